@@ -0,0 +1,44 @@
+// Create a per-integration API key for a tenant
+// Usage: npm run apikey:create -- <tenant slug> <name> [contactId,contactId,...]
+// Omitting the contact list grants access to every contact ('*') of the tenant.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import ApiKey from '../src/models/ApiKey.js';
+import Tenant from '../src/models/Tenant.js';
+import { generateApiKey, hashApiKey, ALL_CONTACTS } from '../src/middleware/auth.js';
+import { logInfo, logError } from '../src/utils/logger.js';
+
+const [tenantSlug, name, contacts] = process.argv.slice(2);
+
+const run = async () => {
+  if (!tenantSlug || !name) {
+    logError('Usage: npm run apikey:create -- <tenant slug> <name> [contactId,contactId,...]');
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    logError('No MongoDB URI provided');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const tenant = await Tenant.findOne({ slug: tenantSlug.toLowerCase() });
+  if (!tenant) {
+    logError(`Tenant ${tenantSlug} not found; create it with npm run tenant:upsert first`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const key = generateApiKey();
+  const allowedContacts = contacts ? contacts.split(',').map(contact => contact.trim()).filter(Boolean) : [ALL_CONTACTS];
+  await ApiKey.create({ name, tenantId: tenant._id, keyHash: hashApiKey(key), keyPrefix: key.slice(0, 8), allowedContacts });
+
+  logInfo(`API key created for ${name} (tenant ${tenant.slug}). Store it now, it cannot be shown again:`);
+  console.log(key);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  logError('Failed to create API key:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+// Backfill the contacts collection from existing message history
+// Usage: npm run migrate:contacts [-- --dry-run]
+// Safe to re-run: existing contacts only get fields they are missing.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Message from '../src/models/Message.js';
+import Contact from '../src/models/Contact.js';
+import { normalizeContactPhone, isSalesforceContactId } from '../src/services/contactService.js';
+import { logInfo, logWarn, logError } from '../src/utils/logger.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Walk messages newest-first and collect the latest known details per contact phone
+ *
+ * @returns {Promise<Map<string, Object>>} - phone -> { salesforceId, name, profileName, lastMessageAt, lastInboundAt }
+ */
+const collectContacts = async () => {
+  const contacts = new Map();
+  const cursor = Message.find({}, { contactId: 1, contactName: 1, direction: 1, from: 1, to: 1, timestamp: 1 })
+    .sort({ timestamp: -1 })
+    .lean()
+    .cursor();
+
+  for await (const message of cursor) {
+    const phone = normalizeContactPhone(message.direction === 'inbound' ? message.from : message.to);
+    if (!phone) continue;
+
+    const entry = contacts.get(phone) || { lastMessageAt: message.timestamp };
+    if (!entry.salesforceId && isSalesforceContactId(message.contactId)) entry.salesforceId = message.contactId;
+    if (!entry.lastInboundAt && message.direction === 'inbound') entry.lastInboundAt = message.timestamp;
+    const name = message.contactName && message.contactName !== 'Unknown' && message.contactName !== message.from ? message.contactName : null;
+    if (name && message.direction === 'inbound' && !entry.profileName) entry.profileName = name;
+    if (name && message.direction === 'outbound' && !entry.name) entry.name = name;
+    contacts.set(phone, entry);
+  }
+  return contacts;
+};
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    logError('No MongoDB URI provided');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+  await Contact.syncIndexes();
+
+  const contacts = await collectContacts();
+  logInfo(`Found ${contacts.size} distinct contact numbers in message history${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = { created: 0, updated: 0, unchanged: 0, conflicts: 0 };
+  for (const [phone, details] of contacts) {
+    const existing = await Contact.findOne({ phone });
+    const fields = {};
+    for (const [key, value] of Object.entries(details)) {
+      if (value && !existing?.[key]) fields[key] = value;
+    }
+    if (existing && existing.lastMessageAt < details.lastMessageAt) fields.lastMessageAt = details.lastMessageAt;
+    if (existing?.lastInboundAt && details.lastInboundAt && existing.lastInboundAt < details.lastInboundAt) fields.lastInboundAt = details.lastInboundAt;
+
+    if (Object.keys(fields).length === 0) {
+      stats.unchanged++;
+      continue;
+    }
+    if (dryRun) {
+      existing ? stats.updated++ : stats.created++;
+      continue;
+    }
+
+    try {
+      if (existing) {
+        await Contact.updateOne({ _id: existing._id }, { $set: fields });
+        stats.updated++;
+      } else {
+        await Contact.create({ phone, ...fields });
+        stats.created++;
+      }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      stats.conflicts++;
+      logWarn(`Skipped ${phone}: Salesforce ID ${details.salesforceId} is already mapped to another number`);
+    }
+  }
+
+  logInfo('Contact backfill complete', stats);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  logError('Contact backfill failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+// Normalize stored phone numbers to E.164 (e.g. 'whatsapp:+971 50 123 4567' or '0501234567' -> '+971501234567'),
+// so exact-match lookups find them: Message from/to, Contact, Consent and CampaignRecipient phones, and
+// contactIds that are a phone number (contacts without a Salesforce ID)
+// Usage: npm run migrate:phones [-- --region=AE] [--dry-run]
+// National numbers are read in --region, else each tenant's defaultRegion or PHONE_DEFAULT_REGION.
+// Numbers that cannot be read (e.g. national numbers when no region applies) are counted and left alone.
+// Records whose normalized number is already taken (e.g. two contacts saved as '050 123 4567' and '+971501234567')
+// are left as they are and logged, to be merged by hand; the unique indexes on the normalized fields are built
+// afterwards to confirm. Inactive tenants are migrated too.
+// Safe to re-run: numbers already in E.164 are left alone.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Message from '../src/models/Message.js';
+import Contact from '../src/models/Contact.js';
+import Consent from '../src/models/Consent.js';
+import CampaignRecipient from '../src/models/CampaignRecipient.js';
+import Conversation from '../src/models/Conversation.js';
+import { forEachTenant } from '../src/services/tenantService.js';
+import { normalizePhone, isValidRegion } from '../src/utils/phone.js';
+import { logInfo, logWarn, logError } from '../src/utils/logger.js';
+
+const BATCH_SIZE = 500;
+// A contactId that is a phone number rather than a Salesforce ID
+const PHONE_KEY = /^(whatsapp:)?\+?[\d\s().-]+$/;
+
+// Collections to normalize: their phone fields, and the contactId field that holds the phone for unknown contacts
+const COLLECTIONS = [
+  { Model: Message, phoneFields: ['from', 'to'], contactIdField: 'contactId' },
+  { Model: Contact, phoneFields: ['phone'] },
+  { Model: Consent, phoneFields: ['phone'] },
+  { Model: CampaignRecipient, phoneFields: ['phone'], contactIdField: 'contactId' },
+  { Model: Conversation, phoneFields: [], contactIdField: 'contactId' }
+];
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const region = args.find(arg => arg.startsWith('--region='))?.slice('--region='.length);
+
+/**
+ * Normalize the phone fields of one collection for the current tenant
+ *
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @returns {Promise<Object>} - { scanned, updated, unparseable, collisions }
+ */
+const migrateCollection = async ({ Model, phoneFields, contactIdField }) => {
+  const stats = { scanned: 0, updated: 0, unparseable: 0, collisions: 0 };
+  let batch = [];
+  const flush = async () => {
+    if (batch.length && !dryRun) {
+      try {
+        await Model.bulkWrite(batch, { ordered: false });
+      } catch (error) {
+        // Duplicate keys: the normalized number already belongs to another record; the rest of the batch is written
+        const duplicates = (error.writeErrors || []).filter(writeError => writeError.code === 11000);
+        if (duplicates.length === 0 || duplicates.length !== error.writeErrors.length) throw error;
+        for (const duplicate of duplicates) {
+          const { filter, update } = batch[duplicate.index].updateOne;
+          logWarn(`${Model.modelName} ${filter._id} not normalized: another record already has ${JSON.stringify(update.$set)}`);
+        }
+        stats.updated -= duplicates.length;
+        stats.collisions += duplicates.length;
+      }
+    }
+    batch = [];
+  };
+
+  const projection = Object.fromEntries([...phoneFields, contactIdField].filter(Boolean).map(field => [field, 1]));
+  const cursor = Model.find({}, projection).lean().cursor();
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const fields = {};
+    for (const field of phoneFields) {
+      const normalized = normalizePhone(doc[field], { region });
+      if (!normalized) {
+        stats.unparseable++;
+        logWarn(`${Model.modelName} ${doc._id} has an unreadable ${field} number: ${doc[field]}`);
+      } else if (normalized !== doc[field]) {
+        fields[field] = normalized;
+        if (contactIdField && doc[contactIdField] === doc[field]) fields[contactIdField] = normalized;
+      }
+    }
+    // A contactId without a phone field beside it (conversations) is normalized when it is a number
+    const contactId = doc[contactIdField];
+    if (contactIdField && !fields[contactIdField] && typeof contactId === 'string' && PHONE_KEY.test(contactId.trim())) {
+      const normalized = normalizePhone(contactId, { region });
+      if (normalized && normalized !== contactId) fields[contactIdField] = normalized;
+    }
+    if (Object.keys(fields).length === 0) continue;
+
+    stats.updated++;
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: fields } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return stats;
+};
+
+/**
+ * Normalize the current tenant's phone numbers in every collection
+ *
+ * @param {Object|null} tenant - Tenant being migrated, or null in single-tenant mode
+ */
+const migrateTenant = async (tenant) => {
+  for (const collection of COLLECTIONS) {
+    const stats = await migrateCollection(collection);
+    logInfo(`${collection.Model.modelName} phone numbers normalized${tenant ? ` for tenant ${tenant.slug}` : ''}${dryRun ? ' (dry run)' : ''}`, stats);
+  }
+};
+
+/**
+ * Build the schema's unique indexes over the normalized fields, if missing; one that fails to build names
+ * the numbers that still collide. Other indexes are left as they are.
+ */
+const ensureUniqueIndexes = async () => {
+  for (const { Model, phoneFields, contactIdField } of COLLECTIONS) {
+    const migrated = [...phoneFields, contactIdField].filter(Boolean);
+    const indexes = Model.schema.indexes().filter(([keys, options]) =>
+      options?.unique && Object.keys(keys).some(key => migrated.includes(key)));
+    for (const [keys, options] of indexes) {
+      try {
+        await Model.collection.createIndex(keys, options);
+      } catch (error) {
+        logError(`${Model.modelName} index ${JSON.stringify(keys)} could not be built; merge the records with duplicate numbers and re-run:`, error.message);
+      }
+    }
+  }
+};
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    logError('No MongoDB URI provided');
+    process.exit(1);
+  }
+  if (region && !isValidRegion(region)) {
+    logError(`--region must be an ISO 3166-1 alpha-2 country code, got ${region}`);
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+  await forEachTenant(migrateTenant, { includeInactive: true });
+  if (!dryRun) await ensureUniqueIndexes();
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  logError('Phone number migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+// Move a single-tenant deployment to tenants: creates a tenant from the env configuration
+// (sender numbers, provider and Salesforce credentials and settings) and assigns it every existing document and API key
+// Usage: npm run migrate:tenants -- <slug> [name] [--origins=https://a.example.com,https://b.example.com] [--dry-run]
+// Safe to re-run: only documents without a tenant are assigned. Unique indexes become per-tenant
+// (e.g. Contact phone), so old single-field indexes are dropped and rebuilt. Without --origins (and without
+// CORS_ALLOWED_ORIGINS) the tenant is seeded with the default Salesforce origins single-tenant mode allowed.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Tenant from '../src/models/Tenant.js';
+import ApiKey from '../src/models/ApiKey.js';
+import Message from '../src/models/Message.js';
+import Contact from '../src/models/Contact.js';
+import Conversation from '../src/models/Conversation.js';
+import Campaign from '../src/models/Campaign.js';
+import CampaignRecipient from '../src/models/CampaignRecipient.js';
+import Consent from '../src/models/Consent.js';
+import Media from '../src/models/Media.js';
+import Template from '../src/models/Template.js';
+import WebhookSubscription from '../src/models/WebhookSubscription.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+import { setTenantCredentials, DEFAULT_SINGLE_TENANT_ORIGINS } from '../src/services/tenantService.js';
+import { normalizeSenderNumber } from '../src/providers/index.js';
+import { logInfo, logWarn, logError } from '../src/utils/logger.js';
+
+const SCOPED_MODELS = [Message, Contact, Conversation, Campaign, CampaignRecipient, Consent, Media, Template, WebhookSubscription, WebhookDelivery];
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const origins = (args.find(arg => arg.startsWith('--origins='))?.slice('--origins='.length) || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const [slug, name] = args.filter(arg => !arg.startsWith('--'));
+
+const parseJsonEnv = (variable) => {
+  try {
+    return JSON.parse(process.env[variable] || '{}');
+  } catch (error) {
+    logWarn(`${variable} is not valid JSON and was ignored: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Sender numbers from MESSAGING_FROM_NUMBER / TWILIO_FROM_NUMBER, MESSAGING_PROVIDER_BY_NUMBER and META_PHONE_NUMBER_IDS
+ *
+ * @returns {Object[]} - Tenant senderNumbers
+ */
+const senderNumbersFromEnv = () => {
+  const phoneNumberIds = Object.fromEntries(Object.entries(parseJsonEnv('META_PHONE_NUMBER_IDS')).map(([number, id]) => [normalizeSenderNumber(number), String(id)]));
+  const senders = new Map();
+  const defaultNumber = normalizeSenderNumber(process.env.MESSAGING_FROM_NUMBER || process.env.TWILIO_FROM_NUMBER);
+  if (defaultNumber) senders.set(defaultNumber, { number: defaultNumber, provider: process.env.MESSAGING_PROVIDER || 'twilio', isDefault: true });
+  for (const [number, provider] of Object.entries(parseJsonEnv('MESSAGING_PROVIDER_BY_NUMBER'))) {
+    const normalized = normalizeSenderNumber(number);
+    if (normalized) senders.set(normalized, { ...senders.get(normalized), number: normalized, provider });
+  }
+  return [...senders.values()].map(sender => ({ ...sender, metaPhoneNumberId: phoneNumberIds[sender.number] }));
+};
+
+// Provider and Salesforce credentials from the TWILIO_*, META_* and SALESFORCE_CLIENT_* variables that are set
+const credentialsFromEnv = () => {
+  const credentials = {};
+  if (process.env.TWILIO_ACCOUNT_SID) {
+    credentials.twilio = { accountSid: process.env.TWILIO_ACCOUNT_SID, authToken: process.env.TWILIO_AUTH_TOKEN };
+  }
+  if (process.env.META_ACCESS_TOKEN) {
+    credentials.meta = {
+      accessToken: process.env.META_ACCESS_TOKEN,
+      appSecret: process.env.META_APP_SECRET,
+      verifyToken: process.env.META_VERIFY_TOKEN,
+      wabaId: process.env.META_WABA_ID
+    };
+  }
+  if (process.env.SALESFORCE_CLIENT_ID) {
+    credentials.salesforce = { clientId: process.env.SALESFORCE_CLIENT_ID, clientSecret: process.env.SALESFORCE_CLIENT_SECRET };
+  }
+  return credentials;
+};
+
+/**
+ * Salesforce org and write-back/lookup settings from the SALESFORCE_* variables, so the tenant keeps
+ * using the org the single-tenant deployment did
+ *
+ * @returns {Object} - Tenant salesforce settings
+ */
+const salesforceSettingsFromEnv = () => {
+  const env = process.env;
+  return {
+    loginUrl: env.SALESFORCE_LOGIN_URL,
+    syncEnabled: env.SALESFORCE_SYNC_ENABLED === 'true',
+    syncObject: env.SALESFORCE_SYNC_OBJECT,
+    syncExternalIdField: env.SALESFORCE_SYNC_EXTERNAL_ID_FIELD,
+    syncRequireRecord: env.SALESFORCE_SYNC_REQUIRE_RECORD !== 'false',
+    syncFieldMap: env.SALESFORCE_SYNC_FIELD_MAP ? parseJsonEnv('SALESFORCE_SYNC_FIELD_MAP') : undefined,
+    resolverEnabled: env.SALESFORCE_RESOLVER_ENABLED === 'true',
+    resolverPhoneFields: env.SALESFORCE_RESOLVER_PHONE_FIELDS?.split(',').map(field => field.trim()).filter(Boolean),
+    resolverCreateLeads: env.SALESFORCE_RESOLVER_CREATE_LEADS === 'true',
+    leadCompany: env.SALESFORCE_LEAD_COMPANY,
+    leadSource: env.SALESFORCE_LEAD_SOURCE
+  };
+};
+
+const run = async () => {
+  if (!slug) {
+    logError('Usage: npm run migrate:tenants -- <slug> [name] [--origins=...] [--dry-run]');
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    logError('No MongoDB URI provided');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let tenant = await Tenant.findOne({ slug: slug.toLowerCase() });
+  if (tenant) {
+    logInfo(`Using existing tenant ${tenant.slug}`);
+  } else {
+    // Without --origins, keep the browser origins the single-tenant deployment allowed
+    const seedOrigins = origins.length > 0 || process.env.CORS_ALLOWED_ORIGINS ? origins : DEFAULT_SINGLE_TENANT_ORIGINS;
+    if (seedOrigins !== origins) {
+      logWarn(`No --origins given: tenant ${slug} gets the default Salesforce origins (${seedOrigins.join(', ')}). `
+        + 'Narrow them to your org with npm run tenant:upsert.');
+    }
+    tenant = new Tenant({
+      slug,
+      name: name || slug,
+      senderNumbers: senderNumbersFromEnv(),
+      allowedOrigins: seedOrigins,
+      salesforce: salesforceSettingsFromEnv()
+    });
+    const credentials = credentialsFromEnv();
+    if (Object.keys(credentials).length > 0) setTenantCredentials(tenant, credentials);
+    logInfo(`${dryRun ? 'Would create' : 'Creating'} tenant ${tenant.slug}`, {
+      senderNumbers: tenant.senderNumbers.map(sender => `${sender.number} (${sender.provider})`),
+      credentials: Object.keys(credentials),
+      allowedOrigins: tenant.allowedOrigins
+    });
+    if (!dryRun) await tenant.save();
+  }
+
+  const unassigned = { tenantId: { $exists: false } };
+  for (const Model of [...SCOPED_MODELS, ApiKey]) {
+    if (dryRun) {
+      logInfo(`${Model.modelName}: ${await Model.countDocuments(unassigned)} documents would be assigned to ${tenant.slug}`);
+      continue;
+    }
+    const { modifiedCount } = await Model.updateMany(unassigned, { $set: { tenantId: tenant._id } });
+    logInfo(`${Model.modelName}: ${modifiedCount} documents assigned to ${tenant.slug}`);
+  }
+
+  if (!dryRun) {
+    for (const Model of [Tenant, ...SCOPED_MODELS]) {
+      const dropped = await Model.syncIndexes();
+      if (dropped.length > 0) logInfo(`${Model.modelName}: replaced indexes ${dropped.join(', ')}`);
+    }
+  }
+
+  if (tenant.allowedOrigins.length === 0) {
+    logWarn(`Tenant ${tenant.slug} allows no browser origins yet; add them with npm run tenant:upsert (or pass --origins=)`);
+  }
+  logInfo(`Tenant migration complete${dryRun ? ' (dry run)' : ''}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  logError('Tenant migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,206 @@
+// Local mock of the Meta Graph API endpoints used by the Cloud API provider
+// Usage: npm run mock:meta [-- <port>]   (default port 4020)
+// Then run the server with META_GRAPH_URL=http://localhost:4020, any META_ACCESS_TOKEN, a META_APP_SECRET
+// shared with this process, META_WABA_ID=mock-waba, META_PHONE_NUMBER_IDS={"<our number>":"<id>"} and
+// MESSAGING_PROVIDER_BY_NUMBER={"<our number>":"meta"} (or a tenant with a meta sender number and those credentials,
+// with META_MOCK_WEBHOOK_URL=http://localhost:3002/webhook/meta/<tenant slug>). Sends are recorded in memory
+// (GET /__messages) and acknowledged with signed 'sent' and 'delivered' webhooks to META_MOCK_WEBHOOK_URL;
+// POST /__inbound and POST /__status simulate customer messages and status changes.
+import express from 'express';
+import crypto from 'crypto';
+import { logInfo, logError } from '../src/utils/logger.js';
+
+const port = parseInt(process.argv[2] || process.env.META_MOCK_PORT || '4020', 10);
+const baseUrl = `http://localhost:${port}`;
+const webhookUrl = process.env.META_MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || '3002'}/webhook/meta`;
+const appSecret = process.env.META_APP_SECRET || 'mock-app-secret';
+// Delay before the automatic 'sent' and 'delivered' webhooks; 0 disables them
+const autoStatusMs = parseInt(process.env.META_MOCK_AUTO_STATUS_MS || '500', 10);
+
+const messages = []; // { id, phoneNumberId, payload, status, createdAt }
+const templates = new Map(); // id -> Graph message template
+const media = new Map(); // id -> { buffer, mimeType }
+const queuedFailures = [];
+
+const newId = () => String(1e14 + crypto.randomInt(1e9) * 1e4 + crypto.randomInt(1e4));
+const newWamid = () => `wamid.${crypto.randomBytes(24).toString('base64url')}`;
+const graphError = (res, status, code, message) =>
+  res.status(status).json({ error: { message, type: 'OAuthException', code, fbtrace_id: crypto.randomBytes(8).toString('hex') } });
+
+/**
+ * Post a notification to the server's Meta webhook, signed like Meta does
+ *
+ * @param {string} phoneNumberId - Receiving phone number ID
+ * @param {string} displayPhoneNumber - Receiving number
+ * @param {Object} value - { messages, contacts } or { statuses }
+ * @returns {Promise<number>} - HTTP status of the webhook response
+ */
+const postWebhook = async (phoneNumberId, displayPhoneNumber, value) => {
+  const body = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'mock-waba',
+      changes: [{
+        field: 'messages',
+        value: { messaging_product: 'whatsapp', metadata: { display_phone_number: displayPhoneNumber, phone_number_id: phoneNumberId }, ...value }
+      }]
+    }]
+  });
+  const signature = `sha256=${crypto.createHmac('sha256', appSecret).update(body).digest('hex')}`;
+  const response = await fetch(webhookUrl, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature }, body });
+  return response.status;
+};
+
+const postStatus = (record, status, error) => postWebhook(record.phoneNumberId, record.displayPhoneNumber || '', {
+  statuses: [{
+    id: record.id,
+    status,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    recipient_id: record.payload.to,
+    ...(error ? { errors: [{ code: error.code, title: error.title || 'Message failed', message: error.message, error_data: { details: error.message } }] } : {})
+  }]
+});
+
+const app = express();
+app.use(express.json({ limit: '20mb' }));
+
+app.use((req, res, next) => {
+  logInfo(`${req.method} ${req.originalUrl}`, Object.keys(req.body || {}).length ? req.body : null);
+  next();
+});
+
+// Inspect or reset recorded sends
+app.get('/__messages', (req, res) => res.json(messages));
+app.delete('/__messages', (req, res) => { messages.length = 0; queuedFailures.length = 0; res.sendStatus(204); });
+
+// Make the next sends fail, e.g. { "code": 130429, "status": 400, "message": "Rate limit hit" }
+app.post('/__fail-next', (req, res) => {
+  const { count = 1, ...failure } = req.body;
+  for (let i = 0; i < count; i++) queuedFailures.push(failure);
+  res.sendStatus(204);
+});
+
+// Simulate a customer message: { from, phoneNumberId, displayPhoneNumber, profileName, text } or
+// { ..., media: { type: 'image', mimeType, base64, caption, filename } }, with an optional replyTo wamid
+app.post('/__inbound', async (req, res) => {
+  const { from, phoneNumberId, displayPhoneNumber = '', profileName = 'Mock Customer', text, media: attachment, replyTo } = req.body;
+  if (!from || !phoneNumberId) return res.status(400).json({ error: 'from and phoneNumberId are required' });
+
+  const waId = String(from).replace(/\D/g, '');
+  const message = { from: waId, id: newWamid(), timestamp: String(Math.floor(Date.now() / 1000)) };
+  if (replyTo) message.context = { from: displayPhoneNumber.replace(/\D/g, ''), id: replyTo };
+  if (attachment) {
+    const id = newId();
+    media.set(id, { buffer: Buffer.from(attachment.base64 || '', 'base64'), mimeType: attachment.mimeType });
+    message.type = attachment.type || 'image';
+    message[message.type] = { id, mime_type: attachment.mimeType, caption: attachment.caption, filename: attachment.filename };
+  } else {
+    message.type = 'text';
+    message.text = { body: text || '' };
+  }
+
+  try {
+    const webhookStatus = await postWebhook(phoneNumberId, displayPhoneNumber, {
+      contacts: [{ profile: { name: profileName }, wa_id: waId }],
+      messages: [message]
+    });
+    res.status(202).json({ id: message.id, webhookStatus });
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// Simulate a status change for a recorded send: { id, status, errorCode, errorMessage }
+app.post('/__status', async (req, res) => {
+  const record = messages.find(entry => entry.id === req.body.id);
+  if (!record) return res.status(404).json({ error: 'Unknown message id' });
+  record.status = req.body.status;
+  const error = req.body.errorCode ? { code: req.body.errorCode, message: req.body.errorMessage } : null;
+  try {
+    res.status(202).json({ webhookStatus: await postStatus(record, req.body.status, error) });
+  } catch (failure) {
+    res.status(502).json({ error: failure.message });
+  }
+});
+
+// Media download URLs returned by GET /{media-id}
+app.get('/__media/:id', (req, res) => {
+  const item = media.get(req.params.id);
+  if (!item) return res.sendStatus(404);
+  res.type(item.mimeType || 'application/octet-stream').send(item.buffer);
+});
+
+const api = express.Router();
+api.use((req, res, next) => {
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) return graphError(res, 401, 190, 'Invalid OAuth access token');
+  next();
+});
+
+api.post('/:phoneNumberId/messages', (req, res) => {
+  const { messaging_product: product, to, type } = req.body;
+  if (product !== 'whatsapp' || !to || !type || !req.body[type]) {
+    return graphError(res, 400, 100, 'Invalid parameter: messaging_product, to, type and a matching payload are required');
+  }
+  if (type === 'template' && ![...templates.values()].some(template => template.name === req.body.template.name && template.language === req.body.template.language?.code)) {
+    return graphError(res, 404, 132001, `Template name does not exist in the translation (${req.body.template.name})`);
+  }
+  const failure = queuedFailures.shift();
+  if (failure) return graphError(res, failure.status || 400, failure.code || 131000, failure.message || 'Simulated failure');
+
+  const record = { id: newWamid(), phoneNumberId: req.params.phoneNumberId, payload: req.body, status: 'accepted', createdAt: new Date() };
+  messages.push(record);
+  res.json({ messaging_product: 'whatsapp', contacts: [{ input: to, wa_id: to.replace(/\D/g, '') }], messages: [{ id: record.id }] });
+
+  if (autoStatusMs > 0) {
+    setTimeout(async () => {
+      try {
+        for (const status of ['sent', 'delivered']) {
+          record.status = status;
+          await postStatus(record, status);
+        }
+      } catch (error) {
+        logError(`Could not post status webhook for ${record.id}:`, error.message);
+      }
+    }, autoStatusMs);
+  }
+});
+
+api.post('/:wabaId/message_templates', (req, res) => {
+  const { name, language, category, components } = req.body;
+  if (!name || !language || !category || !Array.isArray(components)) {
+    return graphError(res, 400, 100, 'Invalid parameter: name, language, category and components are required');
+  }
+  // Approved straight away so it can be sent
+  const template = { id: newId(), name, language, category, components, status: 'APPROVED', rejected_reason: 'NONE' };
+  templates.set(template.id, template);
+  res.json({ id: template.id, status: template.status, category });
+});
+
+// Cursor pagination like the Graph API: ?limit=&after=
+api.get('/:wabaId/message_templates', (req, res) => {
+  const all = [...templates.values()];
+  const limit = parseInt(req.query.limit || '25', 10);
+  const start = req.query.after ? parseInt(Buffer.from(req.query.after, 'base64url').toString(), 10) : 0;
+  const page = all.slice(start, start + limit);
+  const paging = { cursors: { before: Buffer.from(String(start)).toString('base64url'), after: Buffer.from(String(start + page.length)).toString('base64url') } };
+  if (start + page.length < all.length) {
+    paging.next = `${baseUrl}/${req.baseUrl.split('/')[1]}/${req.params.wabaId}/message_templates?limit=${limit}&after=${paging.cursors.after}`;
+  }
+  res.json({ data: page, paging });
+});
+
+// A template or a media object by ID
+api.get('/:id', (req, res) => {
+  const template = templates.get(req.params.id);
+  if (template) return res.json(template);
+
+  const item = media.get(req.params.id);
+  if (item) {
+    return res.json({ messaging_product: 'whatsapp', id: req.params.id, url: `${baseUrl}/__media/${req.params.id}`, mime_type: item.mimeType, file_size: item.buffer.length });
+  }
+  graphError(res, 400, 100, `Unsupported get request. Object with ID '${req.params.id}' does not exist`);
+});
+
+app.use('/:version', api);
+
+app.listen(port, () => logInfo(`Mock Meta Graph API listening on ${baseUrl}, posting webhooks to ${webhookUrl}`));
@@ -0,0 +1,108 @@
+// Local mock of the Salesforce OAuth and REST endpoints used by the connector
+// Usage: npm run mock:salesforce [-- <port>]   (default port 4010)
+// Then run the server with SALESFORCE_LOGIN_URL=http://localhost:4010, any SALESFORCE_CLIENT_ID/SECRET
+// and SALESFORCE_SYNC_ENABLED=true (and/or SALESFORCE_RESOLVER_ENABLED=true). Records live in memory;
+// GET /__records lists them, and Contacts or Leads to resolve can be seeded with POST .../sobjects/Contact.
+import express from 'express';
+import crypto from 'crypto';
+import { logInfo } from '../src/utils/logger.js';
+
+const port = parseInt(process.argv[2] || process.env.SALESFORCE_MOCK_PORT || '4010', 10);
+const baseUrl = `http://localhost:${port}`;
+
+// Key prefixes for the standard objects the connector touches; custom objects get a00
+const KEY_PREFIXES = { Task: '00T', Contact: '003', Lead: '00Q' };
+
+const records = new Map(); // id -> { attributes: { type }, Id, ...fields }
+const tokens = new Set();
+
+const newId = (objectType) => `${KEY_PREFIXES[objectType] || 'a00'}${crypto.randomBytes(6).toString('hex').slice(0, 12).toUpperCase()}`;
+const restError = (res, status, errorCode, message) => res.status(status).json([{ errorCode, message }]);
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+app.use((req, res, next) => {
+  logInfo(`${req.method} ${req.originalUrl}`, Object.keys(req.body || {}).length ? req.body : null);
+  next();
+});
+
+// OAuth 2.0 client credentials flow
+app.post('/services/oauth2/token', (req, res) => {
+  const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body;
+  if (grantType !== 'client_credentials' || !clientId || !clientSecret) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client credentials required' });
+  }
+  const token = `mock_${crypto.randomBytes(16).toString('hex')}`;
+  tokens.add(token);
+  res.json({ access_token: token, instance_url: baseUrl, token_type: 'Bearer', issued_at: String(Date.now()) });
+});
+
+// Inspect or reset the in-memory records
+app.get('/__records', (req, res) => res.json([...records.values()]));
+app.delete('/__records', (req, res) => { records.clear(); res.sendStatus(204); });
+// Revoke every token so the next call exercises the 401 -> re-login path
+app.post('/__expire-tokens', (req, res) => { tokens.clear(); res.sendStatus(204); });
+
+const api = express.Router();
+api.use((req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!tokens.has(token)) return restError(res, 401, 'INVALID_SESSION_ID', 'Session expired or invalid');
+  next();
+});
+
+api.post('/sobjects/:objectType', (req, res) => {
+  const Id = newId(req.params.objectType);
+  records.set(Id, { attributes: { type: req.params.objectType }, Id, ...req.body });
+  res.status(201).json({ id: Id, success: true, errors: [] });
+});
+
+api.get('/sobjects/:objectType/:id', (req, res) => {
+  const record = records.get(req.params.id);
+  if (!record || record.attributes.type !== req.params.objectType) return restError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+  res.json(record);
+});
+
+api.patch('/sobjects/:objectType/:id', (req, res) => {
+  const record = records.get(req.params.id);
+  if (!record || record.attributes.type !== req.params.objectType) return restError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+  Object.assign(record, req.body);
+  res.sendStatus(204);
+});
+
+// Upsert by external ID: 201 with the new ID on insert, 204 on update
+api.patch('/sobjects/:objectType/:field/:value', (req, res) => {
+  const { objectType, field, value } = req.params;
+  const existing = [...records.values()].find(record => record.attributes.type === objectType && record[field] === value);
+  if (existing) {
+    Object.assign(existing, req.body);
+    return res.sendStatus(204);
+  }
+  const Id = newId(objectType);
+  records.set(Id, { attributes: { type: objectType }, Id, [field]: value, ...req.body });
+  res.status(201).json({ id: Id, success: true, errors: [], created: true });
+});
+
+// Just enough SOQL for the phone resolver: SELECT ... FROM <Object> WHERE ... <Field> IN ('a', 'b') ...
+api.get('/query', (req, res) => {
+  const soql = String(req.query.q || '');
+  const objectType = soql.match(/\bFROM\s+(\w+)/i)?.[1];
+  if (!objectType) return restError(res, 400, 'MALFORMED_QUERY', 'FROM clause not found');
+
+  const conditions = [...soql.matchAll(/(\w+)\s+IN\s*\(((?:\s*'(?:[^'\\]|\\.)*'\s*,?)*)\)/gi)].map(([, field, list]) => ({
+    field,
+    values: [...list.matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(([, value]) => value.replace(/\\(.)/g, '$1'))
+  }));
+  const excludeConverted = /IsConverted\s*=\s*false/i.test(soql);
+  const matches = [...records.values()].filter(record =>
+    record.attributes.type === objectType &&
+    !(excludeConverted && record.IsConverted) &&
+    (conditions.length === 0 || conditions.some(({ field, values }) => values.includes(record[field])))
+  );
+  res.json({ totalSize: matches.length, done: true, records: matches });
+});
+
+app.use('/services/data/:version', api);
+
+app.listen(port, () => logInfo(`Mock Salesforce listening on ${baseUrl}`));
@@ -0,0 +1,73 @@
+// Create or update a tenant from a JSON file
+// Usage: npm run tenant:upsert -- <tenant.json>
+// {
+//   "slug": "acme", "name": "Acme Ltd", "active": true,
+//   "senderNumbers": [{ "number": "+14155550100", "provider": "twilio", "isDefault": true },
+//                     { "number": "+14155550101", "provider": "meta", "metaPhoneNumberId": "106540352242922" }],
+//   "allowedOrigins": ["https://acme.lightning.force.com", "https://*.acme.my.salesforce.com"],
+//   "defaultRegion": "AE",
+//   "salesforce": { "loginUrl": "https://acme.my.salesforce.com", "syncEnabled": true, "resolverEnabled": true },
+//   "credentials": { "twilio": { "accountSid": "AC...", "authToken": "..." },
+//                    "meta": { "accessToken": "...", "appSecret": "...", "verifyToken": "...", "wabaId": "..." },
+//                    "salesforce": { "clientId": "...", "clientSecret": "..." } }
+// }
+// salesforce also takes syncObject, syncExternalIdField, syncRequireRecord, syncFieldMap, resolverPhoneFields,
+// resolverCreateLeads, leadCompany and leadSource, like the SALESFORCE_* variables of a single-tenant deployment.
+// Fields left out of the file keep their current values; credentials replace the stored ones as a whole
+// and need TENANT_ENCRYPTION_KEY.
+import 'dotenv/config';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Tenant from '../src/models/Tenant.js';
+import { setTenantCredentials } from '../src/services/tenantService.js';
+import { normalizeSenderNumber } from '../src/providers/index.js';
+import { logInfo, logError } from '../src/utils/logger.js';
+
+const [file] = process.argv.slice(2);
+
+const run = async () => {
+  if (!file) {
+    logError('Usage: npm run tenant:upsert -- <tenant.json>');
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    logError('No MongoDB URI provided');
+    process.exit(1);
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config.slug) {
+    logError('The tenant file must have a slug');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  await Tenant.syncIndexes();
+
+  const tenant = await Tenant.findOne({ slug: config.slug.toLowerCase() }) || new Tenant({ slug: config.slug });
+  const isNew = tenant.isNew;
+  for (const field of ['name', 'active', 'allowedOrigins', 'defaultRegion', 'salesforce']) {
+    if (config[field] !== undefined) tenant[field] = config[field];
+  }
+  if (config.senderNumbers !== undefined) {
+    tenant.senderNumbers = config.senderNumbers.map(sender => ({ ...sender, number: normalizeSenderNumber(sender.number) }));
+  }
+  if (config.credentials !== undefined) setTenantCredentials(tenant, config.credentials);
+  await tenant.save();
+
+  logInfo(`Tenant ${tenant.slug} ${isNew ? 'created' : 'updated'}`, {
+    id: String(tenant._id),
+    senderNumbers: tenant.senderNumbers.map(sender => `${sender.number} (${sender.provider})`),
+    allowedOrigins: tenant.allowedOrigins,
+    defaultRegion: tenant.defaultRegion || null,
+    salesforce: tenant.salesforce?.loginUrl || null
+  });
+  if (isNew) logInfo(`Create its API keys with: npm run apikey:create -- ${tenant.slug} <name>`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  logError('Failed to save tenant:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
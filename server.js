@@ -7,8 +7,26 @@ import { Server } from 'socket.io'; // Import Socket.IO Server for real-time com
 import messageRoutes from './src/routes/messageRoutes.js'; // Import message-related routes
 import webhookRoutes from './src/routes/webhookRoutes.js'; // Import webhook-related routes
 import contactRoutes from './src/routes/contactRoutes.js'; // Import contact-related routes
+import conversationRoutes from './src/routes/conversationRoutes.js'; // Import conversation inbox routes
+import mediaRoutes from './src/routes/mediaRoutes.js'; // Import media upload routes
+import publicMediaRoutes from './src/routes/publicMediaRoutes.js'; // Import signed media serving routes
+import templateRoutes from './src/routes/templateRoutes.js'; // Import template catalog routes
+import campaignRoutes from './src/routes/campaignRoutes.js'; // Import campaign routes
+import webhookSubscriptionRoutes from './src/routes/webhookSubscriptionRoutes.js'; // Import outbound webhook subscription routes
+import salesforceRoutes from './src/routes/salesforceRoutes.js'; // Import Salesforce connector routes
+import fakeProviderRoutes from './src/routes/fakeProviderRoutes.js'; // Import fake messaging provider test controls
+import { getProvider } from './src/providers/index.js'; // Import messaging provider selection
 import socketHandler from './src/utils/socket.js'; // Import Socket.IO handler utility
+import { registerBroadcaster } from './src/utils/realtime.js'; // Import real-time event publisher
+import { authenticateRequest } from './src/middleware/auth.js'; // Import API key / JWT authentication middleware
+import { isOriginAllowed, logCorsConfiguration } from './src/services/tenantService.js'; // Import tenant-based CORS origin check
 import connectDB from './src/config/db.js'; // Import MongoDB connection function
+import { startOutboundWorker, stopOutboundWorker } from './src/services/outboundQueue.js'; // Import outbound queue worker
+import { startTemplateSync, stopTemplateSync } from './src/services/templateService.js'; // Import template catalog sync
+import { startCampaignWorker, stopCampaignWorker } from './src/services/campaignService.js'; // Import campaign worker
+import { startScheduler, stopScheduler } from './src/services/scheduledMessages.js'; // Import scheduled message dispatcher
+import { startWebhookWorker, stopWebhookWorker } from './src/services/webhookService.js'; // Import outbound webhook delivery worker
+import { startSalesforceSync, stopSalesforceSync } from './src/services/salesforceSync.js'; // Import Salesforce write-back worker
 import fs from 'fs'; // Import file system module for lock file management
 
 // ANSI escape code for green text
@@ -20,48 +38,32 @@ const app = express();
 // Create an HTTP server using the Express app
 const server = http.createServer(app);
 
-// Configure CORS options to allow Salesforce domains
+// Configure CORS from tenant configuration: any origin an active tenant allows (Tenant.allowedOrigins),
+// plus CORS_ALLOWED_ORIGINS and localhost outside production. Before any tenant exists, the Salesforce
+// origins allowed before tenants apply unless CORS_ALLOWED_ORIGINS is set. authenticateRequest then
+// checks the origin against the caller's own tenant.
 const corsOptions = {
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps or curl requests)
     if (!origin) return callback(null, true);
-    
-    // List of allowed origins
-    const allowedOrigins = [
-      'https://resilient-bear-otclnn-dev-ed.trailblaze.lightning.force.com',
-      'https://resilient-bear-otclnn-dev-ed.trailblaze.my.salesforce.com',
-      'https://resilient-bear-otclnn-dev-ed.trailblaze.my.salesforce-scrt.com',
-      'https://ind134.sfdc-y37hzm.salesforce.com',
-      /\.lightning\.force\.com$/,
-      /\.salesforce\.com$/,
-      /\.my\.salesforce\.com$/,
-      /\.trailblaze\.my\.salesforce\.com$/,
-      'http://localhost:3000',
-      'http://localhost:3001',
-      'http://localhost:3002'
-    ];
-    
-    // Check if origin is allowed
-    const isAllowed = allowedOrigins.some(allowedOrigin => {
-      if (typeof allowedOrigin === 'string') {
-        return origin === allowedOrigin;
-      } else if (allowedOrigin instanceof RegExp) {
-        return allowedOrigin.test(origin);
-      }
-      return false;
-    });
-    
-    if (isAllowed) {
-      callback(null, true);
-    } else {
-      console.log(`CORS blocked origin: ${origin}`);
-      callback(new Error('Not allowed by CORS'));
-    }
+
+    isOriginAllowed(origin)
+      .then(isAllowed => {
+        if (isAllowed) {
+          callback(null, true);
+        } else {
+          console.log(`CORS blocked origin: ${origin}`);
+          callback(new Error('Not allowed by CORS'));
+        }
+      })
+      .catch(callback);
   },
   methods: ['GET', 'POST', 'PATCH', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
+    'X-API-Key',
+    'Idempotency-Key',
     'X-Requested-With', 
     'Accept', 
     'Origin',
@@ -75,9 +77,11 @@ const corsOptions = {
   exposedHeaders: [
     'Access-Control-Allow-Origin',
     'Access-Control-Allow-Methods',
-    'Access-Control-Allow-Headers'
+    'Access-Control-Allow-Headers',
+    'Idempotent-Replayed'
   ],
   credentials: true,
+  maxAge: 86400, // Cache preflights for 24 hours
   optionsSuccessStatus: 200,
   preflightContinue: false
 };
@@ -87,27 +91,13 @@ app.use(cors(corsOptions));
 // Handle preflight requests with CORS
 app.options('*', cors(corsOptions));
 
-// Additional CORS headers middleware for extra compatibility
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-  if (origin) {
-    res.header('Access-Control-Allow-Origin', origin);
+// Parse JSON bodies with a 50MB limit; webhooks keep the raw bytes for signature checks (Meta's X-Hub-Signature-256)
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buffer) => {
+    if (req.originalUrl.startsWith('/webhook/')) req.rawBody = buffer;
   }
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, Access-Control-Request-Method, Access-Control-Request-Headers, X-CSRF-Token, X-Salesforce-Chat, Cache-Control, Pragma');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Max-Age', '86400'); // 24 hours
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-  next();
-});
-
-// Parse JSON bodies with a 50MB limit
-app.use(express.json({ limit: '50mb' }));
+}));
 // Parse URL-encoded bodies with a 50MB limit
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -123,13 +113,10 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
-// Initialize Socket.IO with the HTTP server and CORS configuration
+// Initialize Socket.IO with the HTTP server and the same tenant-based CORS policy as the REST API
 const io = new Server(server, { 
   cors: {
-    origin: function (origin, callback) {
-      // Allow all origins for Socket.IO
-      callback(null, true);
-    },
+    origin: corsOptions.origin,
     methods: ['GET', 'POST'],
     credentials: true,
     allowedHeaders: ['Content-Type', 'Authorization']
@@ -140,7 +127,9 @@ const io = new Server(server, {
 });
 
 // Set up Socket.IO handler for real-time communication
-socketHandler(io);
+const { broadcastToRoom } = socketHandler(io);
+// Route message events from webhooks and send routes to the contact rooms
+registerBroadcaster(broadcastToRoom);
 // Make Socket.IO instance accessible to routes
 app.set('socketio', io);
 
@@ -158,15 +147,6 @@ app.get('/', (req, res) => {
   });
 });
 
-// Mount message-related routes under /api/messages
-app.use('/api/messages', messageRoutes);
-// Also mount directly under /messages for frontend compatibility
-app.use('/messages', messageRoutes);
-// Mount webhook-related routes under /webhook
-app.use('/webhook', webhookRoutes);
-// Mount contact-related routes under /api
-app.use('/api', contactRoutes);
-
 // Health check endpoint to verify server status
 app.get('/api/health', (req, res) => 
   res.json({ 
@@ -186,6 +166,32 @@ app.get('/api/health/db', async (req, res) =>
   })
 );
 
+// Mount message-related routes under /api/messages (API key or JWT required)
+app.use('/api/messages', authenticateRequest, messageRoutes);
+// Also mount directly under /messages for frontend compatibility
+app.use('/messages', authenticateRequest, messageRoutes);
+// Mount media upload routes under /api/media (API key or JWT required)
+app.use('/api/media', authenticateRequest, mediaRoutes);
+// Serve stored media at signed, expiring URLs under /media (no credentials, so Twilio can fetch them)
+app.use('/media', publicMediaRoutes);
+// Mount the template catalog under /api/templates (API key or JWT required)
+app.use('/api/templates', authenticateRequest, templateRoutes);
+// Mount campaign routes under /api/campaigns (API key or JWT required)
+app.use('/api/campaigns', authenticateRequest, campaignRoutes);
+// Mount outbound webhook subscription routes under /api/webhooks (API key or JWT required)
+app.use('/api/webhooks', authenticateRequest, webhookSubscriptionRoutes);
+// Mount Salesforce connector routes under /api/salesforce (API key or JWT required)
+app.use('/api/salesforce', authenticateRequest, salesforceRoutes);
+// Mount webhook-related routes under /webhook (routed to a tenant by number and authenticated by the provider's webhook signature instead)
+app.use('/webhook', webhookRoutes);
+// Mount the fake provider's test controls under /fake-provider, only when it is the active provider
+if (getProvider().name === 'fake') {
+  app.use('/fake-provider', authenticateRequest, fakeProviderRoutes);
+}
+// Mount contact- and conversation-related routes under /api (API key or JWT required)
+// Health checks are registered above so they stay reachable without credentials
+app.use('/api', authenticateRequest, contactRoutes, conversationRoutes);
+
 // Global error handler
 app.use((err, req, res, next) => {
   console.error(`[${new Date().toISOString()}] Global error handler - Error:`, err);
@@ -215,7 +221,7 @@ const startServer = () => {
       console.log(`[${new Date().toISOString()}] ${green}Server running on http://0.0.0.0:${port}${reset}`);
       console.log(`[${new Date().toISOString()}] ${green}Health check: http://0.0.0.0:${port}/api/health${reset}`);
       console.log(`[${new Date().toISOString()}] ${green}Database health: http://0.0.0.0:${port}/api/health/db${reset}`);
-      console.log(`[${new Date().toISOString()}] ${green}CORS enabled for Salesforce domains${reset}`);
+      console.log(`[${new Date().toISOString()}] ${green}CORS enabled for tenant origins${reset}`);
       resolve();
     }).on('error', (err) => {
       console.error(`[${new Date().toISOString()}] Server error:`, err.message);
@@ -228,6 +234,12 @@ const startServer = () => {
 const lockFile = '.server.lock';
 // Function to clean up resources and exit the process
 const cleanup = () => {
+  stopOutboundWorker();
+  stopTemplateSync();
+  stopCampaignWorker();
+  stopScheduler();
+  stopWebhookWorker();
+  stopSalesforceSync();
   if (fs.existsSync(lockFile)) {
     fs.unlinkSync(lockFile);
     console.log(`[${new Date().toISOString()}] ${green}Removed server lock file on exit${reset}`);
@@ -251,7 +263,21 @@ process.on('exit', cleanup);
 const connectDBWrapper = async () => {
   try {
     await connectDB();
+    // Say which browser origins are allowed, loudly if it is the single-tenant default list
+    await logCorsConfiguration();
     await startServer();
+    // Resume queued sends (including ones interrupted by a restart) once the database is up
+    await startOutboundWorker();
+    // Keep the local template catalog in step with Twilio
+    startTemplateSync();
+    // Start due campaigns and feed their recipients into the outbound queue
+    startCampaignWorker();
+    // Release scheduled messages when they fall due
+    startScheduler();
+    // Deliver queued webhook events to subscribers
+    startWebhookWorker();
+    // Write received and sent messages back to Salesforce, when enabled
+    startSalesforceSync();
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Failed to start server: ${error.message}`);
     cleanup();
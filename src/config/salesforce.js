@@ -0,0 +1,171 @@
+import { getCurrentTenant } from '../utils/tenantContext.js';
+import { logInfo } from '../utils/logger.js';
+
+// Salesforce REST API client using the OAuth 2.0 client credentials flow. Each tenant calls its own org
+// (tenant.salesforce.loginUrl and credentials.salesforce); outside a tenant the SALESFORCE_* variables apply.
+// SALESFORCE_LOGIN_URL is the org's My Domain URL (or a local mock, see scripts/mockSalesforce.js).
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+const API_VERSION = process.env.SALESFORCE_API_VERSION || 'v60.0';
+const TIMEOUT_MS = parseInt(process.env.SALESFORCE_TIMEOUT_MS || '15000', 10);
+
+// '<tenantId or env>' -> { version, session, pendingLogin }: the access token and the instance URL it is
+// valid for, refreshed when Salesforce answers 401 or the tenant is updated
+const sessions = new Map();
+
+/**
+ * Org the current tenant (or, outside a tenant, the env configuration) connects to. A tenant never falls
+ * back to the env org, so its messages and contacts cannot end up in another tenant's Salesforce.
+ *
+ * @returns {Object} - { key, version, loginUrl, clientId, clientSecret, label }
+ */
+const getConnection = () => {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    return {
+      key: String(tenant._id),
+      version: tenant.updatedAt ? new Date(tenant.updatedAt).getTime() : 0,
+      loginUrl: (tenant.salesforce?.loginUrl || DEFAULT_LOGIN_URL).replace(/\/+$/, ''),
+      clientId: tenant.credentials?.salesforce?.clientId,
+      clientSecret: tenant.credentials?.salesforce?.clientSecret,
+      label: ` for tenant ${tenant.slug}`
+    };
+  }
+  return {
+    key: 'env',
+    version: 0,
+    loginUrl: (process.env.SALESFORCE_LOGIN_URL || DEFAULT_LOGIN_URL).replace(/\/+$/, ''),
+    clientId: process.env.SALESFORCE_CLIENT_ID,
+    clientSecret: process.env.SALESFORCE_CLIENT_SECRET,
+    label: ''
+  };
+};
+
+/**
+ * Whether the client credentials needed to call Salesforce are configured, for the current tenant
+ * (credentials.salesforce) or, outside a tenant, in SALESFORCE_CLIENT_ID and SALESFORCE_CLIENT_SECRET
+ *
+ * @returns {boolean}
+ */
+export const isSalesforceConfigured = () => {
+  const { clientId, clientSecret } = getConnection();
+  return Boolean(clientId && clientSecret);
+};
+
+/**
+ * Build an Error from a failed Salesforce response. REST errors come back as
+ * [{ errorCode, message }]; OAuth errors as { error, error_description }.
+ *
+ * @param {number} status - HTTP status
+ * @param {*} data - Parsed response body
+ * @returns {Error} - Error with `status` and Salesforce `code`
+ */
+const salesforceError = (status, data) => {
+  const detail = Array.isArray(data) ? data[0] : data;
+  const message = detail?.message || detail?.error_description || `Salesforce request failed with HTTP ${status}`;
+  return Object.assign(new Error(message), { status, code: detail?.errorCode || detail?.error || null });
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text.slice(0, 500) };
+  }
+};
+
+const login = async ({ loginUrl, clientId, clientSecret, label }) => {
+  if (!clientId || !clientSecret) {
+    const setting = label ? `the tenant's salesforce clientId and clientSecret credentials` : 'SALESFORCE_CLIENT_ID and SALESFORCE_CLIENT_SECRET';
+    throw Object.assign(new Error(`Salesforce is not configured${label}: set ${setting}`), { code: 'NOT_CONFIGURED' });
+  }
+  const response = await fetch(`${loginUrl}/services/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret
+    }),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  const data = await readBody(response);
+  if (!response.ok) throw salesforceError(response.status, data);
+
+  logInfo(`Authenticated with Salesforce${label} (${data.instance_url || loginUrl})`);
+  return { accessToken: data.access_token, instanceUrl: (data.instance_url || loginUrl).replace(/\/+$/, '') };
+};
+
+// Share one login per org between concurrent callers
+const getSession = (connection) => {
+  let entry = sessions.get(connection.key);
+  if (entry?.version !== connection.version) {
+    entry = { version: connection.version, session: null, pendingLogin: null };
+    sessions.set(connection.key, entry);
+  }
+  if (entry.session) return Promise.resolve(entry.session);
+  if (!entry.pendingLogin) {
+    entry.pendingLogin = login(connection)
+      .then(result => { entry.session = result; return result; })
+      .finally(() => { entry.pendingLogin = null; });
+  }
+  return entry.pendingLogin;
+};
+
+/**
+ * Call the Salesforce REST API of the current tenant's org
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /services/data/<version>, e.g. '/sobjects/Task'
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object|null>} - Parsed response, or null for 204 No Content
+ * @throws {Error} - With `status` and `code` for Salesforce errors; network errors are passed through
+ */
+export const salesforceRequest = async (method, path, body) => {
+  const connection = getConnection();
+  for (let attempt = 1; ; attempt += 1) {
+    const { accessToken, instanceUrl } = await getSession(connection);
+    const response = await fetch(`${instanceUrl}/services/data/${API_VERSION}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    // Expired or revoked token: log in again once
+    if (response.status === 401 && attempt === 1) {
+      const entry = sessions.get(connection.key);
+      if (entry) entry.session = null;
+      continue;
+    }
+
+    const data = await readBody(response);
+    if (!response.ok) throw salesforceError(response.status, data);
+    return data;
+  }
+};
+
+
+/**
+ * Run a SOQL query
+ *
+ * @param {string} soql - Query; quote user input with escapeSoql
+ * @returns {Promise<Object[]>} - Matching records (first page)
+ */
+export const salesforceQuery = async (soql) => {
+  const data = await salesforceRequest('GET', `/query?q=${encodeURIComponent(soql)}`);
+  return data?.records || [];
+};
+
+/**
+ * Escape a value for use inside a single-quoted SOQL string literal
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeSoql = (value) => String(value).replace(/[\\']/g, '\\$&');
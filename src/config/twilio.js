@@ -0,0 +1,37 @@
+import twilio from 'twilio';
+
+// Twilio client, created on first use so the server can start (e.g. with MESSAGING_PROVIDER=fake) without credentials
+let twilioClient = null;
+
+/**
+ * Create a Twilio REST client for an account (e.g. a tenant's own account)
+ *
+ * @param {string} accountSid - Account SID
+ * @param {string} authToken - Auth token
+ * @returns {Object} - Twilio client
+ * @throws {Error} - When either credential is missing
+ */
+export const createTwilioClient = (accountSid, authToken) => {
+  if (!accountSid || !authToken) {
+    throw new Error('Missing Twilio credentials: account SID and auth token are required');
+  }
+  return twilio(accountSid, authToken);
+};
+
+/**
+ * Get the shared Twilio REST client
+ *
+ * @returns {Object} - Twilio client
+ * @throws {Error} - When TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN is missing
+ */
+export const getTwilioClient = () => {
+  if (!twilioClient) {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('Missing required Twilio environment variables: TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
+    }
+    twilioClient = createTwilioClient(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return twilioClient;
+};
+
+export default getTwilioClient;
@@ -0,0 +1,184 @@
+// Authentication, tenant resolution and contact-level authorization for the REST API and Socket.IO
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ApiKey from '../models/ApiKey.js';
+import { loadTenant, findTenantBySlug, hasTenants, isOriginAllowedForTenant } from '../services/tenantService.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import { logWarn, logError } from '../utils/logger.js';
+
+// Grants access to every contact when present in allowedContacts
+export const ALL_CONTACTS = '*';
+
+/**
+ * Whether authentication is switched off for local development.
+ * Ignored in production, mirroring the Twilio signature bypass.
+ */
+const isAuthDisabled = () => process.env.AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Hash an API key for storage and lookup
+ *
+ * @param {string} key - Plaintext API key
+ * @returns {string} - Hex-encoded SHA-256 digest
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new random API key
+ *
+ * @returns {string} - Plaintext key with a recognisable prefix
+ */
+export const generateApiKey = () => `wak_${crypto.randomBytes(24).toString('base64url')}`;
+
+const normalizeContacts = (contacts) => {
+  if (contacts === ALL_CONTACTS) return [ALL_CONTACTS];
+  if (!Array.isArray(contacts)) return [];
+  return contacts.filter(contact => typeof contact === 'string' && contact.trim()).map(contact => contact.trim());
+};
+
+/**
+ * Resolve the tenant a credential belongs to. Credentials without a tenant are only accepted
+ * until the first tenant is created, so single-tenant deployments keep working until they migrate.
+ *
+ * @param {Object|null} tenant - Loaded tenant, or null if the credential names none (or an unknown one)
+ * @param {string} credential - Description for the error message
+ * @returns {Promise<Object|null>} - The tenant, or null in single-tenant mode
+ * @throws {Error} - When a tenant is required but missing, or the tenant is inactive
+ */
+const requireTenant = async (tenant, credential) => {
+  if (tenant) {
+    if (!tenant.active) throw new Error(`Tenant ${tenant.slug} is inactive`);
+    return tenant;
+  }
+  if (await hasTenants()) throw new Error(`${credential} does not belong to a tenant`);
+  return null;
+};
+
+const verifyJwt = async (token) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT authentication is not configured');
+  }
+  const claims = jwt.verify(token, process.env.JWT_SECRET, {
+    algorithms: ['HS256'],
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined
+  });
+  // The tenant claim carries the tenant's slug
+  const tenant = await requireTenant(await findTenantBySlug(claims.tenant), 'JWT');
+  return {
+    type: 'jwt',
+    subject: claims.sub || 'unknown',
+    allowedContacts: normalizeContacts(claims.contacts),
+    tenantId: tenant?._id || null,
+    tenant
+  };
+};
+
+const verifyApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), active: true }).lean();
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    throw new Error('Invalid API key');
+  }
+  const tenant = await requireTenant(await loadTenant(apiKey.tenantId), `API key ${apiKey.name}`);
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+    .catch(error => logError(`Failed to record API key usage for ${apiKey.name}:`, error));
+  return {
+    type: 'apiKey',
+    subject: apiKey.name,
+    allowedContacts: normalizeContacts(apiKey.allowedContacts),
+    tenantId: tenant?._id || null,
+    tenant
+  };
+};
+
+/**
+ * Resolve a bearer credential to the caller's identity and tenant.
+ * Tokens with three dot-separated segments are treated as JWTs, anything else as an API key.
+ *
+ * @param {string} token - API key or signed JWT
+ * @returns {Promise<Object>} - { type, subject, allowedContacts, tenantId, tenant }
+ * @throws {Error} - When the credential is missing or invalid, or its tenant is missing or inactive
+ */
+export const authenticateToken = async (token) => {
+  if (isAuthDisabled()) {
+    return { type: 'disabled', subject: 'development', allowedContacts: [ALL_CONTACTS], tenantId: null, tenant: null };
+  }
+  if (!token || typeof token !== 'string') {
+    throw new Error('Authentication required');
+  }
+  return token.split('.').length === 3 ? verifyJwt(token) : verifyApiKey(token);
+};
+
+/**
+ * Extract the credential from an Authorization: Bearer or X-API-Key header
+ *
+ * @param {Object} headers - Request or handshake headers
+ * @returns {string|null} - Raw credential
+ */
+export const extractToken = (headers = {}) => {
+  const authorization = headers.authorization || headers.Authorization;
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return headers['x-api-key'] || null;
+};
+
+/**
+ * Check whether the authenticated caller may access a contact
+ *
+ * @param {Object} auth - Caller identity from authenticateToken
+ * @param {string} contactId - Contact ID or phone number
+ * @returns {boolean}
+ */
+export const canAccessContact = (auth, contactId) => {
+  if (!auth || !contactId) return false;
+  return auth.allowedContacts.includes(ALL_CONTACTS) || auth.allowedContacts.includes(String(contactId).trim());
+};
+
+/**
+ * MongoDB filter restricting a query to the caller's contacts
+ *
+ * @param {Object} auth - Caller identity from authenticateToken
+ * @returns {Object} - Empty filter for unrestricted callers, otherwise a contactId $in filter
+ */
+export const contactScopeFilter = (auth) => {
+  if (auth?.allowedContacts.includes(ALL_CONTACTS)) return {};
+  return { contactId: { $in: auth?.allowedContacts || [] } };
+};
+
+/**
+ * Express middleware requiring a valid API key or JWT.
+ * Sets req.auth to the caller's identity, rejects browser origins the caller's tenant does not allow,
+ * and runs the rest of the request in the tenant's context so every query is scoped to it.
+ */
+export const authenticateRequest = async (req, res, next) => {
+  try {
+    req.auth = await authenticateToken(extractToken(req.headers));
+  } catch (error) {
+    logWarn(`Rejected unauthenticated request to ${req.method} ${req.originalUrl}: ${error.message}`, { ip: req.ip });
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  const { origin } = req.headers;
+  if (origin && req.auth.tenant && !isOriginAllowedForTenant(req.auth.tenant, origin)) {
+    logWarn(`Rejected request from origin ${origin} for tenant ${req.auth.tenant.slug}`, { path: req.originalUrl });
+    return res.status(403).json({ success: false, error: 'Origin not allowed for this tenant' });
+  }
+
+  runWithTenant(req.auth.tenant, next);
+};
+
+/**
+ * Respond 403 unless the caller may access the given contact
+ *
+ * @param {Object} req - Express request with req.auth set
+ * @param {Object} res - Express response
+ * @param {string} contactId - Contact being accessed
+ * @returns {boolean} - true if access is allowed, false if a 403 was sent
+ */
+export const ensureContactAccess = (req, res, contactId) => {
+  if (canAccessContact(req.auth, contactId)) return true;
+  logWarn(`Denied ${req.auth?.subject} access to contact ${contactId}`);
+  res.status(403).json({ success: false, error: 'Not authorized for this contact' });
+  return false;
+};
@@ -0,0 +1,20 @@
+// Webhook authentication middleware: delegates to the messaging provider the webhook belongs to
+import { getProvider } from '../providers/index.js';
+
+/**
+ * Build middleware rejecting webhook requests a provider cannot authenticate
+ * (e.g. a missing or invalid X-Twilio-Signature or X-Hub-Signature-256). Responds 403 Forbidden.
+ *
+ * @param {string|Function} [provider] - Name of the provider whose webhooks the route receives (default: the
+ *   tenant's or MESSAGING_PROVIDER), or (req) => provider for routes shared by several providers' numbers
+ * @returns {Function} - Express middleware
+ */
+export const requireWebhookSignature = (provider) => (req, res, next) => {
+  const selected = typeof provider === 'function' ? provider(req) : getProvider(provider);
+  if (!selected.validateWebhook(req)) {
+    return res.status(403).send('Forbidden');
+  }
+  next();
+};
+
+export default requireWebhookSignature;
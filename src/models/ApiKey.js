@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Define the ApiKey schema for per-integration credentials (e.g. one key per Salesforce org)
+const apiKeySchema = new mongoose.Schema({
+  // Human-readable integration name shown in logs
+  name: { type: String, required: true },
+  // Tenant the key acts for; keys without one stop working once the first tenant exists
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+  // SHA-256 hash of the key; the plaintext key is only shown once at creation
+  keyHash: { type: String, required: true, unique: true, index: true },
+  // First characters of the key, to recognise it without storing the secret
+  keyPrefix: { type: String, required: true },
+  // Contact IDs (or phone numbers) this key may access; '*' grants access to every contact
+  allowedContacts: { type: [String], default: ['*'] },
+  // Disabled keys are rejected without being deleted
+  active: { type: Boolean, default: true },
+  // Optional hard expiry
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Export the ApiKey model
+export default mongoose.model('ApiKey', apiKeySchema);
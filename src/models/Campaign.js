@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the Campaign schema: one approved template sent to a list of contacts
+const campaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Approved template sent to every recipient (Twilio Content SID or Meta template ID)
+  contentSid: { type: String, required: true },
+  templateName: { type: String },
+  // Values used for every recipient unless the recipient overrides them, e.g. { "2": "Spring sale" }
+  defaultVariables: { type: Object, default: {} },
+  // Placeholder -> recipient field, e.g. { "1": "contactName" } or { "3": "fields.city" }
+  variableMapping: { type: Object, default: {} },
+  // draft: not started; scheduled: waiting for scheduledAt; running: being queued; paused/cancelled by a user
+  status: { type: String, enum: ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'], default: 'scheduled', index: true },
+  scheduledAt: { type: Date, default: Date.now, index: true },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  cancelledAt: { type: Date },
+  // Throttle: recipients handed to the outbound queue per second
+  messagesPerSecond: { type: Number, default: 10, min: 1, max: 80 },
+  totalRecipients: { type: Number, default: 0 },
+  fromName: { type: String, default: 'Salesforce User' },
+  // Sending number; unset means the default sender at send time
+  from: { type: String },
+  createdBy: { type: String }
+}, { timestamps: true });
+
+// Every campaign belongs to a tenant
+campaignSchema.plugin(tenantScoped);
+
+// Export the Campaign model
+export default mongoose.model('Campaign', campaignSchema);
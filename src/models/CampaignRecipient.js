@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the CampaignRecipient schema: one contact in a campaign and the message sent to it
+const campaignRecipientSchema = new mongoose.Schema({
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  // Message.contactId for the recipient (usually the Salesforce contact ID)
+  contactId: { type: String, required: true },
+  contactName: { type: String },
+  phone: { type: String, required: true },
+  // Extra per-recipient values referenced by the campaign's variableMapping (fields.<name>)
+  fields: { type: Object },
+  // Template variables after defaults, mapping and per-recipient overrides
+  variables: { type: Object, default: {} },
+  // pending: not queued yet; processing: claimed by the worker; queued: Message created; failed/skipped: never sent
+  status: { type: String, enum: ['pending', 'processing', 'queued', 'failed', 'skipped'], default: 'pending' },
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  lockedAt: { type: Date },
+  queuedAt: { type: Date },
+  error: { type: String }
+}, { timestamps: true });
+
+// One entry per contact per campaign; worker claims pending recipients in insertion order
+campaignRecipientSchema.index({ campaignId: 1, contactId: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaignId: 1, status: 1, _id: 1 });
+
+// Every campaign recipient belongs to a tenant
+campaignRecipientSchema.plugin(tenantScoped);
+
+// Export the CampaignRecipient model
+export default mongoose.model('CampaignRecipient', campaignRecipientSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// One consent change, kept for audit
+const consentEventSchema = new mongoose.Schema({
+  status: { type: String, enum: ['opted_in', 'opted_out'], required: true },
+  // keyword: customer sent an opt-in/opt-out keyword; api: set by an agent or integration
+  source: { type: String, enum: ['keyword', 'api'], required: true },
+  keyword: { type: String },
+  // Inbound message that carried the keyword
+  messageSid: { type: String },
+  // Caller subject for API changes
+  changedBy: { type: String },
+  note: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Define the Consent schema: WhatsApp messaging consent per phone number
+const consentSchema = new mongoose.Schema({
+  // E.164 number, e.g. +14155550100
+  phone: { type: String, required: true, index: true },
+  status: { type: String, enum: ['opted_in', 'opted_out'], required: true, index: true },
+  source: { type: String, enum: ['keyword', 'api'], required: true },
+  keyword: { type: String },
+  changedAt: { type: Date, required: true },
+  history: [consentEventSchema]
+}, { timestamps: true });
+
+// One consent record per number per tenant
+consentSchema.index({ tenantId: 1, phone: 1 }, { unique: true });
+
+// Every consent record belongs to a tenant
+consentSchema.plugin(tenantScoped);
+
+// Export the Consent model
+export default mongoose.model('Consent', consentSchema);
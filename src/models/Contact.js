@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the Contact schema mapping WhatsApp numbers to Salesforce records
+const contactSchema = new mongoose.Schema({
+  // Salesforce record ID (e.g. 003... Contact), unique when present
+  salesforceId: { type: String, trim: true },
+  // Object type behind salesforceId when it was resolved from Salesforce ('Contact' or 'Lead')
+  salesforceObject: { type: String, enum: ['Contact', 'Lead'] },
+  // Last Salesforce lookup by phone; a lookup that found nothing is not repeated until it expires
+  salesforceLookupAt: { type: Date },
+  // WhatsApp number in E.164 format without the whatsapp: prefix, used for inbound routing
+  phone: { type: String, required: true, index: true, trim: true },
+  // Display name from Salesforce or set by an agent
+  name: { type: String, trim: true },
+  // WhatsApp profile name reported by Twilio (ProfileName)
+  profileName: { type: String, trim: true },
+  // WhatsApp ID reported by Twilio (WaId), the number without '+'
+  waId: { type: String, index: true },
+  // Most recent inbound or outbound message, for sorting contact lists
+  lastMessageAt: { type: Date, index: true },
+  // Most recent message from the customer; opens WhatsApp's 24-hour service window
+  lastInboundAt: { type: Date }
+}, { timestamps: true });
+
+// One contact per number per tenant
+contactSchema.index({ tenantId: 1, phone: 1 }, { unique: true });
+// Only one contact per Salesforce record per tenant; contacts not yet linked are allowed to repeat the missing value
+contactSchema.index({ tenantId: 1, salesforceId: 1 }, { unique: true, partialFilterExpression: { salesforceId: { $type: 'string' } } });
+
+/**
+ * Key used as Message.contactId for this contact: the Salesforce ID once known, otherwise the phone
+ */
+contactSchema.virtual('contactId').get(function() { return this.salesforceId || this.phone; });
+
+// Every contact belongs to a tenant
+contactSchema.plugin(tenantScoped);
+
+// Export the Contact model
+export default mongoose.model('Contact', contactSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the Conversation schema: one support thread with a contact at a time
+const conversationSchema = new mongoose.Schema({
+  // Message.contactId of the contact this thread is with
+  contactId: { type: String, required: true, index: true },
+  contactName: { type: String },
+  // Inbox state: open (needs attention), pending (waiting on the customer), closed (resolved)
+  status: { type: String, enum: ['open', 'pending', 'closed'], default: 'open', index: true },
+  // Agent currently responsible for the thread (e.g. Salesforce user ID) and display name
+  assignedAgent: { type: String, index: true },
+  assignedAgentName: { type: String },
+  assignedAt: { type: Date },
+  // Lifecycle timestamps
+  openedAt: { type: Date, default: Date.now },
+  firstInboundAt: { type: Date },
+  firstResponseAt: { type: Date },
+  resolvedAt: { type: Date },
+  resolvedBy: { type: String },
+  reopenedAt: { type: Date },
+  reopenCount: { type: Number, default: 0 },
+  // Latest activity, for sorting the inbox and showing previews
+  lastMessageAt: { type: Date, index: true },
+  lastInboundAt: { type: Date },
+  lastMessageDirection: { type: String, enum: ['inbound', 'outbound'] },
+  lastMessagePreview: { type: String },
+  // Inbound messages since an agent last replied
+  unreadCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+// Inbox listing: by status, newest activity first
+conversationSchema.index({ status: 1, lastMessageAt: -1 });
+// At most one active (open or pending) conversation per contact, so concurrent messages thread into the same one
+// ($in in a partial filter needs MongoDB 6.0 or later)
+conversationSchema.index(
+  { tenantId: 1, contactId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'pending'] } } }
+);
+
+// Every conversation belongs to a tenant
+conversationSchema.plugin(tenantScoped);
+
+// Export the Conversation model
+export default mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the Media schema for files kept in our storage backend
+const mediaSchema = new mongoose.Schema({
+  // Key of the file within the storage backend
+  storageKey: { type: String, required: true, unique: true },
+  // Storage driver the file was written with
+  storageDriver: { type: String, required: true },
+  // Original file name, used for Content-Disposition
+  filename: { type: String },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  // SHA-256 of the file contents, hex-encoded
+  checksum: { type: String, required: true, index: true },
+  // outbound: uploaded by an agent; inbound: downloaded from a customer message
+  direction: { type: String, enum: ['inbound', 'outbound'], required: true },
+  // Authenticated caller that uploaded the file
+  uploadedBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Every media file belongs to a tenant
+mediaSchema.plugin(tenantScoped);
+
+// Export the Media model
+export default mongoose.model('Media', mediaSchema);
@@ -1,25 +1,112 @@
 import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Media file kept in our own storage and attached to a message
+const mediaAttachmentSchema = new mongoose.Schema({
+  // Set once the file is in our storage; inbound media is pending until downloaded from Twilio
+  mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+  filename: { type: String },
+  contentType: { type: String },
+  size: { type: Number },
+  checksum: { type: String },
+  // Download state for inbound media; 'downloading' is a claim held by one caller since lockedAt
+  status: { type: String, enum: ['pending', 'downloading', 'stored', 'failed'], default: 'stored' },
+  lockedAt: { type: Date },
+  error: { type: String },
+  // Original Twilio media URL, kept for audit only and never returned to clients
+  sourceUrl: { type: String, select: false }
+}, { _id: false });
+
+// Strip the audit-only Twilio URL whenever a message is serialized (API responses, Socket.IO events)
+const hideSourceUrl = { transform: (doc, ret) => { delete ret.sourceUrl; return ret; } };
+mediaAttachmentSchema.set('toObject', hideSourceUrl);
+mediaAttachmentSchema.set('toJSON', hideSourceUrl);
+
+// Option the customer picked on an interactive message (quick-reply or template button, list item)
+const interactiveReplySchema = new mongoose.Schema({
+  type: { type: String, enum: ['button_reply', 'list_reply'], required: true },
+  // Button payload or list item ID we set when sending
+  id: { type: String, index: true },
+  // Text shown on the button or list item
+  title: { type: String },
+  description: { type: String },
+  // The outbound message that carried the options
+  repliedMessageSid: { type: String },
+  repliedMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' }
+}, { _id: false });
+
+// Location pin shared by the customer or sent by an agent
+const locationSchema = new mongoose.Schema({
+  latitude: { type: Number, required: true, min: -90, max: 90 },
+  longitude: { type: Number, required: true, min: -180, max: 180 },
+  label: { type: String },
+  address: { type: String }
+}, { _id: false });
+
+// Contact card (parsed from or rendered to a vCard)
+const sharedContactSchema = new mongoose.Schema({
+  name: {
+    formatted: { type: String },
+    first: { type: String },
+    last: { type: String }
+  },
+  phones: [{ _id: false, number: String, type: { type: String }, waId: String }],
+  emails: [{ _id: false, address: String, type: { type: String } }],
+  organization: { type: String }
+}, { _id: false });
+
+// Write-back of the message to Salesforce (a Task or a configured custom object)
+const salesforceSyncSchema = new mongoose.Schema({
+  status: { type: String, enum: ['pending', 'syncing', 'synced', 'failed', 'skipped'] },
+  // Salesforce record the message was written to, and its object type
+  recordId: { type: String },
+  objectType: { type: String },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date },
+  lockedAt: { type: Date },
+  lastAttemptAt: { type: Date },
+  syncedAt: { type: Date },
+  error: { type: String }
+}, { _id: false });
 
 // Define the Message schema with comprehensive fields
 const messageSchema = new mongoose.Schema({
   // Unique Twilio message identifier with index for fast lookups
   messageSid: { type: String, required: true, unique: true, index: true },
+  // Client-supplied idempotency key (namespaced by caller) for de-duplicating send retries
+  idempotencyKey: { type: String },
   // Salesforce contact ID for linking messages, indexed for queries
   contactId: { type: String, required: true, index: true },
+  // Campaign that sent this message, if any
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', index: true },
+  // Conversation thread this message belongs to
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', index: true },
   // Contact name, optional but indexed
   contactName: { type: String, index: true },
-  // Message content, required unless using a template
-  message: { type: String, required: function() { return !this.contentSid; } },
+  // Message content, required unless using a template or carrying media
+  message: { type: String, required: function() { return !this.contentSid && !this.media?.length && !this.mediaUrl?.length && !this.location; } },
   // Twilio content SID for template messages
   contentSid: { type: String, index: true },
   // Variables for template messages
   contentVariables: { type: Object },
+  // Template definition rendered with contentVariables at send time ({ contentType, body, actions, items, ... })
+  renderedContent: { type: Object },
+  // Parsed customer choice for inbound interactive replies
+  interactive: { type: interactiveReplySchema },
+  // Location pin for messageType 'location'
+  location: { type: locationSchema },
+  // Contact cards for messageType 'contact'
+  contacts: [sharedContactSchema],
   // Sender's name
   fromName: { type: String, required: true },
   // Message direction (inbound/outbound)
   direction: { type: String, enum: ['inbound', 'outbound'], required: true },
   // Message status with predefined states
-  status: { type: String, enum: ['queued', 'sending', 'sent', 'delivered', 'read', 'received', 'failed', 'undelivered'], default: 'queued' },
+  status: { type: String, enum: ['scheduled', 'queued', 'sending', 'sent', 'delivered', 'read', 'received', 'failed', 'undelivered', 'cancelled'], default: 'queued' },
+  // Scheduled sends: when to release the message to the queue, and the time zone the agent picked it in
+  sendAt: { type: Date },
+  timeZone: { type: String },
+  cancelledAt: { type: Date },
   // URL for status callback
   statusCallback: { type: String },
   // Read receipt flags
@@ -27,6 +114,10 @@ const messageSchema = new mongoose.Schema({
   readAt: { type: Date },
   // Media URLs array
   mediaUrl: [{ type: String }],
+  // Media stored by us; outbound files are sent to Twilio as signed URLs generated at send time
+  media: [mediaAttachmentSchema],
+  // Messaging provider that sent or received the message ('twilio', 'meta', 'fake')
+  provider: { type: String },
   // Sender and recipient numbers
   from: { type: String, required: true },
   to: { type: String, required: true },
@@ -44,9 +135,49 @@ const messageSchema = new mongoose.Schema({
   retryCount: { type: Number, default: 0 },
   maxRetries: { type: Number, default: 3 },
   nextRetryAt: { type: Date },
+  // Set while the outbound worker is sending; stale locks are reclaimed after a crash
+  lockedAt: { type: Date },
+  // Salesforce write-back state
+  salesforceSync: { type: salesforceSyncSchema },
   // Message type
   messageType: { type: String, enum: ['text', 'template', 'media', 'location', 'contact', 'interactive'], default: 'text' }
 });
 
+// Outbound queue lookups: due messages by status and next attempt
+messageSchema.index({ direction: 1, status: 1, nextRetryAt: 1 });
+
+// Scheduler lookups: scheduled messages that are due
+messageSchema.index({ status: 1, sendAt: 1 });
+
+// Salesforce sync lookups: messages due to be written back
+messageSchema.index({ 'salesforceSync.status': 1, 'salesforceSync.nextAttemptAt': 1 });
+
+// Full-text search (GET /messages/search) over bodies, contact names and the extra text of rendered
+// templates and replies. A collection has at most one text index, so it cannot lead with tenantId;
+// the tenant filter is applied alongside $text. Changing MESSAGE_SEARCH_LANGUAGE (stemming and stop
+// words) needs the index rebuilt.
+messageSchema.index({
+  message: 'text',
+  contactName: 'text',
+  'renderedContent.title': 'text',
+  'renderedContent.subtitle': 'text',
+  'renderedContent.actions.title': 'text',
+  'renderedContent.items.item': 'text',
+  'renderedContent.items.description': 'text',
+  'interactive.title': 'text'
+}, {
+  name: 'message_text_search',
+  weights: { message: 10, contactName: 5 },
+  default_language: process.env.MESSAGE_SEARCH_LANGUAGE || 'english',
+  // Template definitions may carry a 'language' field, which must not pick the stemming language
+  language_override: 'searchLanguage'
+});
+
+// One message per idempotency key and tenant; messages without a key are not constrained
+messageSchema.index({ tenantId: 1, idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
+// Every message belongs to a tenant
+messageSchema.plugin(tenantScoped);
+
 // Export the Message model
 export default mongoose.model('Message', messageSchema);
\ No newline at end of file
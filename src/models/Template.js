@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the Template schema: local cache of Twilio Content API and Meta message templates
+const templateSchema = new mongoose.Schema({
+  // Twilio Content SID (HX...) or Meta template ID
+  contentSid: { type: String, required: true, index: true },
+  // Messaging provider the template lives in; unset on templates cached before Meta support (Twilio)
+  provider: { type: String, index: true },
+  friendlyName: { type: String, index: true },
+  language: { type: String, index: true },
+  // Content types the template defines, e.g. ['twilio/text', 'twilio/quick-reply']
+  contentTypes: [{ type: String }],
+  // Raw type definitions from Twilio (bodies, buttons, list items) with {{placeholders}}
+  types: { type: Object },
+  // Default/sample values Twilio stores for each variable
+  variables: { type: Object },
+  // Placeholder names found in the definitions, e.g. ['1', '2']; sends must supply a value for each
+  placeholders: [{ type: String }],
+  // WhatsApp approval state and category (MARKETING, UTILITY, AUTHENTICATION)
+  approvalStatus: { type: String, default: 'unsubmitted', index: true },
+  category: { type: String, index: true },
+  rejectionReason: { type: String },
+  // False once the template is deleted in Twilio
+  active: { type: Boolean, default: true, index: true },
+  dateCreated: { type: Date },
+  dateUpdated: { type: Date },
+  syncedAt: { type: Date }
+}, { timestamps: true });
+
+// Tenants sharing a provider account each keep their own copy of its templates
+templateSchema.index({ tenantId: 1, contentSid: 1 }, { unique: true });
+
+// Every template belongs to a tenant
+templateSchema.plugin(tenantScoped);
+
+// Export the Template model
+export default mongoose.model('Template', templateSchema);
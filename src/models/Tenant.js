@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { isValidRegion } from '../utils/phone.js';
+
+// A WhatsApp number a tenant sends from and receives on
+const senderNumberSchema = new mongoose.Schema({
+  // E.164 number, e.g. +14155550100
+  number: { type: String, required: true, trim: true },
+  // Messaging provider serving the number
+  provider: { type: String, enum: ['twilio', 'meta', 'fake'], default: 'twilio' },
+  // Cloud API phone number ID, for Meta numbers
+  metaPhoneNumberId: { type: String, trim: true },
+  // Sends without a from go out from the default number (or the first one)
+  isDefault: { type: Boolean, default: false },
+  label: { type: String, trim: true }
+}, { _id: false });
+
+// A tenant's Salesforce org and how messages and contacts are linked to it; the client ID and secret are
+// kept with the other credentials
+const salesforceSettingsSchema = new mongoose.Schema({
+  // The org's My Domain URL, e.g. https://acme.my.salesforce.com
+  loginUrl: { type: String, trim: true },
+  // Write messages back to the org (the worker also needs SALESFORCE_SYNC_ENABLED=true)
+  syncEnabled: { type: Boolean, default: false },
+  syncObject: { type: String, trim: true, default: 'Task' },
+  syncExternalIdField: { type: String, trim: true },
+  syncRequireRecord: { type: Boolean, default: true },
+  // Salesforce field -> template such as "{{body}}"; required for objects other than Task
+  syncFieldMap: { type: Object },
+  // Look unknown numbers up in the org (also needs SALESFORCE_RESOLVER_ENABLED=true)
+  resolverEnabled: { type: Boolean, default: false },
+  resolverPhoneFields: { type: [String], default: undefined },
+  resolverCreateLeads: { type: Boolean, default: false },
+  leadCompany: { type: String, trim: true },
+  leadSource: { type: String, trim: true }
+}, { _id: false });
+
+// Define the Tenant schema: one customer of the middleware, with its own numbers, credentials, origins and API keys
+const tenantSchema = new mongoose.Schema({
+  // URL-safe identifier used in JWT claims, webhook URLs and scripts
+  slug: { type: String, required: true, unique: true, index: true, lowercase: true, trim: true, match: /^[a-z0-9][a-z0-9-]*$/ },
+  name: { type: String, required: true, trim: true },
+  // Inactive tenants are refused on the API and their webhooks ignored
+  active: { type: Boolean, default: true },
+  senderNumbers: { type: [senderNumberSchema], default: [] },
+  // Browser origins allowed to call the API with this tenant's credentials, e.g. https://acme.lightning.force.com
+  allowedOrigins: { type: [String], default: [] },
+  // ISO 3166-1 alpha-2 region national phone numbers (without a country code) are read in, e.g. AE
+  defaultRegion: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    validate: { validator: isValidRegion, message: 'defaultRegion must be an ISO 3166-1 alpha-2 country code' }
+  },
+  salesforce: { type: salesforceSettingsSchema, default: () => ({}) },
+  // Provider credentials ({ twilio: { accountSid, authToken }, meta: { accessToken, appSecret, verifyToken, wabaId },
+  // salesforce: { clientId, clientSecret } }),
+  // encrypted with TENANT_ENCRYPTION_KEY and never selected by default
+  credentials: { type: String, select: false }
+}, { timestamps: true });
+
+// A number belongs to one tenant, which is how inbound webhooks are routed
+tenantSchema.index(
+  { 'senderNumbers.number': 1 },
+  { unique: true, partialFilterExpression: { 'senderNumbers.number': { $exists: true } } }
+);
+tenantSchema.index({ 'senderNumbers.metaPhoneNumberId': 1 });
+
+// Export the Tenant model
+export default mongoose.model('Tenant', tenantSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the WebhookDelivery schema: one event sent (or to be sent) to one subscription
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  // Stable event ID shared by retries and replays so consumers can de-duplicate
+  eventId: { type: String, required: true, index: true },
+  event: { type: String, required: true },
+  // Full JSON body delivered: { id, event, createdAt, data }
+  payload: { type: Object, required: true },
+  status: { type: String, enum: ['pending', 'delivering', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastAttemptAt: { type: Date },
+  deliveredAt: { type: Date },
+  // Last response from the endpoint (body truncated) or transport error
+  responseStatus: { type: Number },
+  responseBody: { type: String },
+  error: { type: String },
+  // Set on deliveries created by the replay endpoint
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' }
+}, { timestamps: true });
+
+// Worker lookups: due deliveries; delivery log: a subscription's deliveries newest first
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+// Every webhook delivery belongs to a tenant
+webhookDeliverySchema.plugin(tenantScoped);
+
+// Export the WebhookDelivery model
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+import tenantScoped from './plugins/tenantScoped.js';
+
+// Define the WebhookSubscription schema: a downstream HTTPS endpoint and the events it receives
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  // Event names, e.g. ['message.received', 'message.status_changed']; '*' for all events
+  events: [{ type: String, required: true }],
+  // HMAC-SHA256 signing secret; only returned when the subscription is created or the secret rotated
+  secret: { type: String, required: true, select: false },
+  description: { type: String },
+  active: { type: Boolean, default: true, index: true },
+  createdBy: { type: String },
+  // Outcome of the latest delivery attempt, for spotting broken endpoints
+  lastDeliveryAt: { type: Date },
+  lastDeliveryStatus: { type: String, enum: ['succeeded', 'failed'] }
+}, { timestamps: true });
+
+// Every webhook subscription belongs to a tenant
+webhookSubscriptionSchema.plugin(tenantScoped);
+
+// Export the WebhookSubscription model
+export default mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,57 @@
+// Mongoose plugin scoping a collection to tenants: new documents are stamped with the current
+// tenant and every query is restricted to it. Outside a tenant context (single-tenant mode,
+// system jobs) nothing is filtered.
+import mongoose from 'mongoose';
+import { getCurrentTenantId } from '../../utils/tenantContext.js';
+
+// Query operations the tenant filter is added to
+const SCOPED_QUERIES = [
+  'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne', 'findOneAndDelete',
+  'findOneAndReplace', 'findOneAndUpdate', 'replaceOne', 'updateMany', 'updateOne'
+];
+
+/**
+ * @param {Object} schema - Mongoose schema
+ */
+const tenantScoped = (schema) => {
+  schema.add({ tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true } });
+
+  schema.pre('validate', function stampTenant(next) {
+    const tenantId = getCurrentTenantId();
+    if (tenantId && !this.tenantId) this.tenantId = tenantId;
+    next();
+  });
+
+  schema.pre('insertMany', function stampTenants(next, docs) {
+    const tenantId = getCurrentTenantId();
+    if (tenantId) {
+      for (const doc of [].concat(docs)) {
+        if (!doc.tenantId) doc.tenantId = tenantId;
+      }
+    }
+    next();
+  });
+
+  // Overwrites any tenantId in the filter, so a query can never reach into another tenant
+  schema.pre(SCOPED_QUERIES, function scopeQuery() {
+    const tenantId = getCurrentTenantId();
+    if (tenantId) this.where({ tenantId });
+  });
+
+  schema.pre('aggregate', function scopeAggregate() {
+    const tenantId = getCurrentTenantId();
+    if (!tenantId) return;
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    // $text and $geoNear must stay the first stage, so the filter joins them instead of preceding them
+    if (first?.$match) {
+      first.$match = { ...first.$match, tenantId };
+    } else if (first?.$geoNear) {
+      first.$geoNear.query = { ...first.$geoNear.query, tenantId };
+    } else {
+      pipeline.unshift({ $match: { tenantId } });
+    }
+  });
+};
+
+export default tenantScoped;
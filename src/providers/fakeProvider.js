@@ -0,0 +1,196 @@
+// In-memory messaging provider for running and testing the server offline.
+// Records every send, speaks Twilio's wire format, and can post synthetic inbound and status webhooks back to this server.
+import crypto from 'crypto';
+import {
+  buildTwilioMessageOptions,
+  parseTwilioInbound,
+  parseTwilioStatus,
+  TWILIO_RETRYABLE_ERROR_CODES
+} from './twilioProvider.js';
+import fetchMedia from './fetchMedia.js';
+import { logInfo, logWarn, logError } from '../utils/logger.js';
+
+// Where synthetic webhooks are posted: this server, unless pointed elsewhere
+const WEBHOOK_BASE_URL = (process.env.FAKE_PROVIDER_WEBHOOK_BASE_URL || `http://localhost:${process.env.PORT || '3002'}`).replace(/\/+$/, '');
+// Synthetic webhooks carry this secret in X-Fake-Provider-Secret; when set, webhooks without it are rejected
+const WEBHOOK_SECRET = process.env.FAKE_PROVIDER_WEBHOOK_SECRET || null;
+// After a send, report 'delivered' through the status webhook after this delay; 0 disables
+const AUTO_DELIVER_MS = parseInt(process.env.FAKE_PROVIDER_AUTO_DELIVER_MS || '1000', 10);
+// Sends kept in memory, oldest dropped first
+const MAX_RECORDED = 1000;
+
+const fakeSid = (prefix) => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+
+/**
+ * Create the fake provider. Refuses to run in production, where it would accept unsigned webhooks and send nothing.
+ *
+ * @returns {Object} - Messaging provider with extra test helpers (listSent, reset, failNextSend, simulateInbound, simulateStatus)
+ */
+const createFakeProvider = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The fake messaging provider cannot be used in production');
+  }
+
+  const sent = [];
+  const contents = new Map();
+  const queuedFailures = [];
+
+  const postWebhook = async (url, params) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(WEBHOOK_SECRET ? { 'X-Fake-Provider-Secret': WEBHOOK_SECRET } : {})
+      },
+      body: new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null))
+    });
+    return response.status;
+  };
+
+  /**
+   * Post a status callback for a recorded send
+   *
+   * @param {string} sid - Message SID returned by send
+   * @param {string} status - e.g. 'delivered', 'read', 'failed', 'undelivered'
+   * @param {Object} [error] - { errorCode, errorMessage } for failures
+   * @returns {Promise<Object>} - { messageSid, status, webhookStatus }
+   */
+  const simulateStatus = async (sid, status, { errorCode, errorMessage } = {}) => {
+    const record = sent.find(entry => entry.sid === sid);
+    if (record) record.status = status;
+    const webhookStatus = await postWebhook(record?.statusCallback || `${WEBHOOK_BASE_URL}/webhook/status`, {
+      MessageSid: sid,
+      MessageStatus: status,
+      ErrorCode: errorCode,
+      ErrorMessage: errorMessage,
+      From: record?.from,
+      To: record?.to
+    });
+    return { messageSid: sid, status, webhookStatus };
+  };
+
+  return {
+    name: 'fake',
+
+    retryableErrorCodes: TWILIO_RETRYABLE_ERROR_CODES,
+
+    isRetryableError: (error) => TWILIO_RETRYABLE_ERROR_CODES.includes(error?.code) || error?.status >= 500,
+
+    send: async (message) => {
+      const failure = queuedFailures.shift();
+      if (failure) {
+        throw Object.assign(new Error(failure.message || 'Simulated send failure'), { code: failure.code, status: failure.status });
+      }
+
+      const record = { sid: fakeSid('SM'), status: 'queued', ...buildTwilioMessageOptions(message), messageId: String(message._id), createdAt: new Date() };
+      sent.push(record);
+      if (sent.length > MAX_RECORDED) sent.shift();
+      logInfo(`Fake provider accepted message ${record.sid} to ${record.to}`);
+
+      if (AUTO_DELIVER_MS > 0) {
+        setTimeout(() => {
+          simulateStatus(record.sid, 'delivered')
+            .catch(error => logError(`Fake provider could not post status for ${record.sid}:`, error.message));
+        }, AUTO_DELIVER_MS).unref();
+      }
+      return { sid: record.sid, status: record.status };
+    },
+
+    fetchMessage: async (sid) => {
+      const record = sent.find(entry => entry.sid === sid);
+      if (!record) throw Object.assign(new Error(`Message ${sid} not found`), { status: 404, code: 20404 });
+      return { sid: record.sid, status: record.status, errorCode: null, errorMessage: null };
+    },
+
+    validateWebhook: (req) => {
+      if (WEBHOOK_SECRET && req.get('X-Fake-Provider-Secret') !== WEBHOOK_SECRET) {
+        logWarn('Rejected fake provider webhook without a valid X-Fake-Provider-Secret', { path: req.originalUrl, ip: req.ip });
+        return false;
+      }
+      return true;
+    },
+
+    parseInbound: parseTwilioInbound,
+
+    parseStatus: parseTwilioStatus,
+
+    downloadMedia: (url, options) => fetchMedia(url, options),
+
+    listContent: async () => [...contents.values()].map(content => ({ content, approval: { status: 'approved', category: 'utility' } })),
+
+    fetchContent: async (contentSid) => {
+      const content = contents.get(contentSid);
+      return content ? { content, approval: { status: 'approved', category: 'utility' } } : null;
+    },
+
+    createContent: async ({ friendlyName, language, variables, types }) => {
+      const now = new Date();
+      const content = { sid: fakeSid('HX'), friendlyName, language, variables: variables || {}, types, dateCreated: now, dateUpdated: now };
+      contents.set(content.sid, content);
+      return content;
+    },
+
+    /**
+     * Sends recorded so far, newest first
+     *
+     * @param {Object} [filter] - { to }
+     * @returns {Object[]}
+     */
+    listSent: ({ to } = {}) => sent.filter(entry => !to || entry.to === `whatsapp:${to}`).reverse(),
+
+    /**
+     * Forget recorded sends, templates and queued failures
+     */
+    reset: () => {
+      sent.length = 0;
+      contents.clear();
+      queuedFailures.length = 0;
+    },
+
+    /**
+     * Make the next sends throw, e.g. { code: 20429, status: 429 } to exercise retries
+     *
+     * @param {Object} failure - { code, status, message }
+     * @param {number} [count] - Number of sends to fail (default 1)
+     */
+    failNextSend: (failure, count = 1) => {
+      for (let i = 0; i < count; i++) queuedFailures.push(failure);
+    },
+
+    /**
+     * Post a synthetic inbound message to /webhook/incoming
+     *
+     * @param {Object} input - { from, to, body, profileName, media: [{ url, contentType }], latitude, longitude, label, address, buttonPayload, buttonText, repliedMessageSid }
+     * @returns {Promise<Object>} - { messageSid, webhookStatus }
+     */
+    simulateInbound: async (input) => {
+      const messageSid = fakeSid('SM');
+      const media = input.media || [];
+      const params = {
+        MessageSid: messageSid,
+        From: `whatsapp:${input.from}`,
+        To: `whatsapp:${input.to || process.env.MESSAGING_FROM_NUMBER || process.env.TWILIO_FROM_NUMBER}`,
+        Body: input.body || '',
+        ProfileName: input.profileName,
+        WaId: input.from.replace(/\D/g, ''),
+        NumMedia: String(media.length),
+        Latitude: input.latitude,
+        Longitude: input.longitude,
+        Label: input.label,
+        Address: input.address,
+        ButtonPayload: input.buttonPayload,
+        ButtonText: input.buttonText,
+        OriginalRepliedMessageSid: input.repliedMessageSid
+      };
+      media.forEach((item, index) => {
+        params[`MediaUrl${index}`] = item.url;
+        params[`MediaContentType${index}`] = item.contentType;
+      });
+      return { messageSid, webhookStatus: await postWebhook(`${WEBHOOK_BASE_URL}/webhook/incoming`, params) };
+    },
+
+    simulateStatus
+  };
+};
+
+export default createFakeProvider;
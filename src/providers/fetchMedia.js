@@ -0,0 +1,39 @@
+// Shared media download for providers
+import { Readable, Transform, pipeline } from 'stream';
+
+/**
+ * Download a media file as a stream with a size cap, so large files are never held in memory.
+ * Providers that redirect to pre-signed storage URLs are fine: fetch drops the Authorization header on cross-origin hops.
+ *
+ * @param {string} url - Media URL
+ * @param {Object} options - { headers, maxBytes, timeoutMs }; the timeout covers reading the body too
+ * @returns {Promise<Object>} - { stream, contentType }; the stream errors once it passes maxBytes
+ */
+const fetchMedia = async (url, { headers = {}, maxBytes, timeoutMs }) => {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`Media request failed with HTTP ${response.status}`);
+  }
+
+  const declaredSize = parseInt(response.headers.get('content-length') || '0', 10);
+  if (declaredSize > maxBytes) {
+    await response.body?.cancel();
+    throw new Error(`Media exceeds ${maxBytes} bytes (${declaredSize})`);
+  }
+
+  // The declared length may be missing or wrong, so count what actually arrives
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) return callback(new Error(`Media exceeds ${maxBytes} bytes`));
+      callback(null, chunk);
+    }
+  });
+  // Errors from the body (e.g. the timeout) reach the caller through the returned stream
+  const body = response.body ? Readable.fromWeb(response.body) : Readable.from([]);
+  return { stream: pipeline(body, limit, () => {}), contentType: response.headers.get('content-type') };
+};
+
+export default fetchMedia;
@@ -0,0 +1,179 @@
+// Messaging provider selection: a default provider plus per-sender-number overrides, configured
+// by the current tenant's sender numbers and credentials, or by env vars in single-tenant mode
+import createTwilioProvider, { TWILIO_RETRYABLE_ERROR_CODES } from './twilioProvider.js';
+import createMetaProvider, { META_RETRYABLE_ERROR_CODES } from './metaProvider.js';
+import createFakeProvider from './fakeProvider.js';
+import { getCurrentTenant } from '../utils/tenantContext.js';
+import { normalizePhone } from '../utils/phone.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+// Provider factories by name; register new providers here
+const drivers = {
+  twilio: createTwilioProvider,
+  meta: createMetaProvider,
+  fake: createFakeProvider
+};
+
+// Error codes any provider treats as transient, for queries over stored Message.errorCode values
+export const RETRYABLE_ERROR_CODES = [...TWILIO_RETRYABLE_ERROR_CODES, ...META_RETRYABLE_ERROR_CODES];
+
+const providers = new Map(); // '<tenantId or env>:<name>' -> { version, provider }
+let providerByNumber = null;
+
+/**
+ * Normalize a sender number from configuration or a request to bare E.164 ('whatsapp:+1 555...' -> '+1555...'),
+ * the same way message and contact numbers are stored
+ *
+ * @param {string} number - Phone number
+ * @returns {string|null}
+ */
+export const normalizeSenderNumber = (number) => normalizePhone(number);
+
+// The tenant's default sender: the one flagged isDefault, else the first
+const getTenantDefaultSender = (tenant) =>
+  tenant.senderNumbers.find(sender => sender.isDefault) || tenant.senderNumbers[0] || null;
+
+/**
+ * Provider configuration from a tenant's credentials; Meta also needs the phone number IDs of its numbers
+ *
+ * @param {Object} tenant - Loaded tenant
+ * @param {string} name - Provider name
+ * @returns {Object} - Config passed to the provider factory
+ */
+const getTenantProviderConfig = (tenant, name) => {
+  const credentials = tenant.credentials?.[name] || {};
+  if (name !== 'meta') return credentials;
+  const phoneNumberIds = Object.fromEntries(tenant.senderNumbers
+    .filter(sender => sender.metaPhoneNumberId)
+    .map(sender => [sender.number, sender.metaPhoneNumberId]));
+  return { ...credentials, phoneNumberIds };
+};
+
+/**
+ * Sender numbers mapped to their provider. For a tenant, every one of its numbers; otherwise the numbers
+ * served by a provider other than the default, from MESSAGING_PROVIDER_BY_NUMBER (JSON, e.g.
+ * {"+15550001111": "meta"}), parsed once with invalid JSON logged and ignored.
+ *
+ * @returns {Object} - Normalized number -> provider name
+ */
+const getProviderByNumber = () => {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    return Object.fromEntries(tenant.senderNumbers.map(sender => [normalizeSenderNumber(sender.number), sender.provider]));
+  }
+  if (!providerByNumber) {
+    providerByNumber = {};
+    try {
+      const configured = JSON.parse(process.env.MESSAGING_PROVIDER_BY_NUMBER || '{}');
+      for (const [number, name] of Object.entries(configured)) {
+        const normalized = normalizeSenderNumber(number);
+        if (normalized) providerByNumber[normalized] = name;
+      }
+    } catch (error) {
+      logError('MESSAGING_PROVIDER_BY_NUMBER is not valid JSON; every number uses the default provider:', error.message);
+    }
+  }
+  return providerByNumber;
+};
+
+/**
+ * Get a messaging provider by name, or the default one: the provider of the tenant's default sender number,
+ * or MESSAGING_PROVIDER (default 'twilio') outside a tenant. Tenants get their own instances, built from
+ * their credentials and rebuilt when the tenant is updated.
+ * Every provider exposes:
+ * - send(message) -> { sid, status }: send a queued Message document
+ * - fetchMessage(sid) -> { sid, status, errorCode, errorMessage }
+ * - isRetryableError(error) -> boolean, and retryableErrorCodes
+ * - validateWebhook(req) -> boolean: authenticate an inbound webhook request
+ * - downloadMedia(url, { maxBytes, timeoutMs }) -> { stream, contentType }: a readable stream of the file
+ * - listContent(), fetchContent(sid), createContent(definition): message templates
+ * - sendsInteractiveInline: true if quick replies and lists are sent from message.renderedContent
+ *   instead of a Content resource created with createContent
+ * Twilio-format providers (twilio, fake) receive one event per webhook at /webhook/incoming and /webhook/status:
+ * - parseInbound(body) -> { messageSid, from, to, body, profileName, waId, media, location, interactive } | null
+ * - parseStatus(body) -> { messageSid, status, errorCode, errorMessage } | null
+ * Meta batches events into one notification at /webhook/meta/:tenant instead:
+ * - parseWebhook(body) -> { messages: [inbound], statuses: [status] }, and verifySubscription(query) for the handshake
+ *
+ * @param {string} [name] - Provider name; defaults to the tenant's or MESSAGING_PROVIDER
+ * @returns {Object} - Messaging provider
+ */
+export const getProvider = (name) => {
+  const tenant = getCurrentTenant();
+  const providerName = name || (tenant ? getTenantDefaultSender(tenant)?.provider || 'twilio' : process.env.MESSAGING_PROVIDER || 'twilio');
+  if (!drivers[providerName]) {
+    throw new Error(`Unknown messaging provider: ${providerName}`);
+  }
+
+  const key = `${tenant ? tenant._id : 'env'}:${providerName}`;
+  const version = tenant?.updatedAt ? new Date(tenant.updatedAt).getTime() : 0;
+  if (providers.get(key)?.version !== version) {
+    const provider = drivers[providerName](tenant ? getTenantProviderConfig(tenant, providerName) : undefined);
+    providers.set(key, { version, provider });
+    logInfo(`Messaging provider initialised: '${providerName}'${tenant ? ` for tenant ${tenant.slug}` : ''}`);
+  }
+  return providers.get(key).provider;
+};
+
+/**
+ * Number outbound messages are sent from unless the request picks another sender: the tenant's default
+ * sender number, or MESSAGING_FROM_NUMBER (falling back to TWILIO_FROM_NUMBER) outside a tenant
+ *
+ * @returns {string|null} - E.164 number
+ */
+export const getDefaultSenderNumber = () => {
+  const tenant = getCurrentTenant();
+  if (tenant) return normalizeSenderNumber(getTenantDefaultSender(tenant)?.number);
+  return normalizeSenderNumber(process.env.MESSAGING_FROM_NUMBER || process.env.TWILIO_FROM_NUMBER);
+};
+
+/**
+ * Every number the API may send from: the default sender plus the tenant's numbers (or those in MESSAGING_PROVIDER_BY_NUMBER)
+ *
+ * @returns {string[]} - E.164 numbers
+ */
+export const getSenderNumbers = () =>
+  [...new Set([getDefaultSenderNumber(), ...Object.keys(getProviderByNumber())])].filter(Boolean);
+
+/**
+ * Resolve the number a send goes out from: the requested one, which must be a configured sender, or the default
+ *
+ * @param {string} [requested] - Sender number from the request
+ * @returns {Object} - { from, provider }, or { error, status } (400 for an unknown sender, 500 if no default is configured)
+ */
+export const resolveSender = (requested) => {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    const from = normalizeSenderNumber(requested);
+    if (!getSenderNumbers().includes(from)) {
+      return { status: 400, error: `from must be one of the configured sender numbers: ${getSenderNumbers().join(', ')}` };
+    }
+    return { from, provider: getProviderForSender(from) };
+  }
+
+  const from = getDefaultSenderNumber();
+  if (!from) {
+    const error = getCurrentTenant()
+      ? 'Server configuration error: no sender number is configured for this tenant'
+      : 'Server configuration error: MESSAGING_FROM_NUMBER (or TWILIO_FROM_NUMBER) is not configured';
+    return { status: 500, error };
+  }
+  return { from, provider: getProviderForSender(from) };
+};
+
+/**
+ * Get the provider that sends from a number
+ *
+ * @param {string} number - Sender number
+ * @returns {Object} - Messaging provider
+ */
+export const getProviderForSender = (number) => getProvider(getProviderByNumber()[normalizeSenderNumber(number)]);
+
+/**
+ * Every provider in use: the default one first, then those serving the other sender numbers
+ *
+ * @returns {Object[]} - Messaging providers
+ */
+export const getActiveProviders = () =>
+  [...new Set([getProvider(), ...Object.values(getProviderByNumber()).map(name => getProvider(name))])];
+
+export default getProvider;
@@ -0,0 +1,489 @@
+// Meta WhatsApp Cloud API provider: sends through the Graph API and handles Meta's batched webhooks
+import crypto from 'crypto';
+import Template from '../models/Template.js';
+import { signMediaUrl, normalizeContentType } from '../services/mediaService.js';
+import { buildLocation } from '../services/structuredMessageService.js';
+import fetchMedia from './fetchMedia.js';
+import { logInfo, logWarn, logError } from '../utils/logger.js';
+
+// Graph API host and version; point META_GRAPH_URL at scripts/mockMetaGraph.js for local testing
+const GRAPH_URL = (process.env.META_GRAPH_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+const GRAPH_API_VERSION = process.env.META_GRAPH_API_VERSION || 'v21.0';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.META_TIMEOUT_MS || '15000', 10);
+
+// Graph API error codes worth retrying: unknown/service errors, app and WABA rate limits, throughput,
+// pair rate limit, temporary unavailability
+export const META_RETRYABLE_ERROR_CODES = [1, 2, 4, 80007, 130429, 131000, 131016, 131056, 133004];
+
+// Meta message statuses mapped onto Message.status; others (e.g. 'deleted', 'warning') are ignored
+export const META_STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed'
+};
+
+// Fields requested for message templates
+const TEMPLATE_FIELDS = 'id,name,language,status,category,components,rejected_reason';
+
+const graphUrl = (path) => `${GRAPH_URL}/${GRAPH_API_VERSION}/${path}`;
+
+/**
+ * Our sender numbers mapped to Cloud API phone number IDs, from META_PHONE_NUMBER_IDS
+ * (JSON, e.g. {"+15550001111": "106540352242922"})
+ *
+ * @returns {Object} - E.164 number -> phone number ID
+ */
+const getPhoneNumberIds = () => {
+  try {
+    const configured = JSON.parse(process.env.META_PHONE_NUMBER_IDS || '{}');
+    return Object.fromEntries(Object.entries(configured).map(([number, id]) => [`+${number.replace(/\D/g, '')}`, String(id)]));
+  } catch (error) {
+    logError('META_PHONE_NUMBER_IDS is not valid JSON:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Call the Graph API with a system user token
+ *
+ * @param {string} accessToken - System user access token
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} - Parsed JSON response
+ * @throws {Error} - With code (Graph error code), status (HTTP status) and transient (network failure) set
+ */
+const graphRequest = async (accessToken, method, url, body) => {
+  if (!accessToken) {
+    throw Object.assign(new Error('No Meta access token is configured (META_ACCESS_TOKEN)'), { code: 'META_NOT_CONFIGURED' });
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw Object.assign(new Error(`Graph API request failed: ${error.message}`), { transient: true });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const graphError = data.error || {};
+    throw Object.assign(new Error(graphError.error_data?.details || graphError.message || `Graph API request failed with HTTP ${response.status}`), {
+      status: response.status,
+      code: graphError.code,
+      subcode: graphError.error_subcode
+    });
+  }
+  return data;
+};
+
+// Guess the WhatsApp media type of an external URL from its extension
+const mediaTypeFromUrl = (url) => {
+  const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+  if (['jpg', 'jpeg', 'png'].includes(extension)) return 'image';
+  if (['mp4', '3gp'].includes(extension)) return 'video';
+  if (['mp3', 'ogg', 'amr', 'aac', 'm4a', 'opus'].includes(extension)) return 'audio';
+  return 'document';
+};
+
+const mediaTypeFromContentType = (contentType) => {
+  if (['image/jpeg', 'image/png'].includes(contentType)) return 'image';
+  if (contentType?.startsWith('video/')) return 'video';
+  if (contentType?.startsWith('audio/')) return 'audio';
+  return 'document';
+};
+
+/**
+ * Build template parameters from stored variables: numeric keys become positional body
+ * parameters in order, other keys named parameters
+ *
+ * @param {Object} variables - Message contentVariables
+ * @returns {Object[]} - Template components
+ */
+const buildTemplateComponents = (variables = {}) => {
+  const entries = Object.entries(variables)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+  if (entries.length === 0) return [];
+
+  const parameters = entries.map(([name, value]) => (/^\d+$/.test(name)
+    ? { type: 'text', text: String(value) }
+    : { type: 'text', parameter_name: name, text: String(value) }));
+  return [{ type: 'body', parameters }];
+};
+
+// Render a stored quick-reply or list definition as a Cloud API interactive message
+const buildInteractive = ({ contentType, body, actions, button, items }) => {
+  if (contentType === 'twilio/quick-reply') {
+    return {
+      type: 'button',
+      body: { text: body },
+      action: { buttons: actions.map(action => ({ type: 'reply', reply: { id: action.id, title: action.title } })) }
+    };
+  }
+  return {
+    type: 'list',
+    body: { text: body },
+    action: {
+      button,
+      sections: [{ rows: items.map(item => ({ id: item.id, title: item.item, description: item.description })) }]
+    }
+  };
+};
+
+// Message.contacts entry -> Cloud API contact object
+const toMetaContact = (contact) => ({
+  name: {
+    formatted_name: contact.name?.formatted || [contact.name?.first, contact.name?.last].filter(Boolean).join(' ') || contact.phones?.[0]?.number,
+    first_name: contact.name?.first,
+    last_name: contact.name?.last
+  },
+  phones: (contact.phones || []).map(phone => ({ phone: phone.number, type: phone.type, wa_id: phone.waId })),
+  emails: (contact.emails || []).map(email => ({ email: email.address, type: email.type })),
+  org: contact.organization ? { company: contact.organization } : undefined
+});
+
+// Cloud API contact object -> Message.contacts entry
+const fromMetaContact = (contact) => ({
+  name: {
+    formatted: contact.name?.formatted_name,
+    first: contact.name?.first_name,
+    last: contact.name?.last_name
+  },
+  phones: (contact.phones || []).map(phone => ({ number: phone.phone, type: phone.type, waId: phone.wa_id })),
+  emails: (contact.emails || []).map(email => ({ address: email.email, type: email.type })),
+  organization: contact.org?.company
+});
+
+/**
+ * Build the Cloud API request bodies for a queued message. Usually one; audio gets its text as a
+ * separate message first because audio cannot carry a caption.
+ *
+ * @param {Object} message - Message document
+ * @returns {Promise<Object[]>} - Request bodies for POST /{phone-number-id}/messages, in send order
+ * @throws {Error} - For messages the Cloud API cannot carry (code META_UNSUPPORTED_MESSAGE)
+ */
+export const buildMetaMessagePayloads = async (message) => {
+  const unsupported = (reason) => Object.assign(new Error(reason), { code: 'META_UNSUPPORTED_MESSAGE' });
+  const base = { messaging_product: 'whatsapp', recipient_type: 'individual', to: message.to.replace(/\D/g, '') };
+
+  if (message.contentSid) {
+    const template = await Template.findOne({ contentSid: message.contentSid });
+    if (!template || template.provider !== 'meta') {
+      throw unsupported(`Template ${message.contentSid} is not a Meta WhatsApp template`);
+    }
+    return [{
+      ...base,
+      type: 'template',
+      template: {
+        name: template.friendlyName,
+        language: { code: template.language },
+        components: buildTemplateComponents(message.contentVariables)
+      }
+    }];
+  }
+
+  const { renderedContent } = message;
+  if (['twilio/quick-reply', 'twilio/list-picker'].includes(renderedContent?.contentType)) {
+    return [{ ...base, type: 'interactive', interactive: buildInteractive(renderedContent) }];
+  }
+
+  if (message.location) {
+    const { latitude, longitude, label, address } = message.location;
+    return [{ ...base, type: 'location', location: { latitude, longitude, name: label, address } }];
+  }
+
+  if (message.messageType === 'contact' && message.contacts?.length) {
+    return [{ ...base, type: 'contacts', contacts: message.contacts.map(toMetaContact) }];
+  }
+
+  // Sign stored media per attempt so a retry never hands Meta an expired URL
+  const media = [
+    ...(message.mediaUrl || []).map(url => ({ type: mediaTypeFromUrl(url), link: url })),
+    ...(message.media || []).map(item => ({ type: mediaTypeFromContentType(item.contentType), link: signMediaUrl(item.mediaId), filename: item.filename }))
+  ];
+  if (media.length > 1) {
+    throw unsupported('The Meta Cloud API sends one media file per message');
+  }
+  if (media.length === 1) {
+    const [{ type, link, filename }] = media;
+    const text = message.message?.trim();
+    if (type === 'audio') {
+      return [
+        ...(text ? [{ ...base, type: 'text', text: { body: text } }] : []),
+        { ...base, type, audio: { link } }
+      ];
+    }
+    return [{ ...base, type, [type]: { link, caption: text || undefined, ...(type === 'document' && filename ? { filename } : {}) } }];
+  }
+
+  return [{ ...base, type: 'text', text: { body: message.message, preview_url: true } }];
+};
+
+/**
+ * Map a Meta message template to the Content-style shape the template catalog stores:
+ * the body as twilio/text, plus quick-reply and call-to-action buttons
+ *
+ * @param {Object} template - Graph API message template
+ * @returns {Object} - { content, approval } as returned by listContent
+ */
+export const toCatalogContent = (template) => {
+  const components = template.components || [];
+  const body = components.find(component => component.type === 'BODY')?.text || '';
+  const buttons = components.find(component => component.type === 'BUTTONS')?.buttons || [];
+
+  const types = { 'twilio/text': { body } };
+  const quickReplies = buttons.filter(button => button.type === 'QUICK_REPLY');
+  if (quickReplies.length) {
+    types['twilio/quick-reply'] = { body, actions: quickReplies.map(button => ({ type: 'QUICK_REPLY', title: button.text, id: button.text })) };
+  }
+  const callsToAction = buttons.filter(button => ['URL', 'PHONE_NUMBER'].includes(button.type));
+  if (callsToAction.length) {
+    types['twilio/call-to-action'] = {
+      body,
+      actions: callsToAction.map(button => (button.type === 'URL'
+        ? { type: 'URL', title: button.text, url: button.url }
+        : { type: 'PHONE_NUMBER', title: button.text, phone: button.phone_number }))
+    };
+  }
+
+  return {
+    content: { sid: template.id, friendlyName: template.name, language: template.language, variables: {}, types },
+    approval: {
+      status: (template.status || 'unsubmitted').toLowerCase(),
+      category: template.category,
+      rejection_reason: template.rejected_reason && template.rejected_reason !== 'NONE' ? template.rejected_reason : undefined
+    }
+  };
+};
+
+/**
+ * Normalize one inbound message from a webhook notification
+ *
+ * @param {Object} message - Entry of value.messages
+ * @param {Object} context - { to, profileNames: wa_id -> name }
+ * @returns {Object|null} - Inbound message as returned by parseInbound, or null for types we do not store (reactions, system messages)
+ */
+const parseMetaMessage = (message, { to, profileNames }) => {
+  const inbound = {
+    messageSid: message.id,
+    from: `+${message.from}`,
+    to,
+    body: '',
+    profileName: profileNames[message.from] || null,
+    waId: message.from,
+    media: [],
+    location: null,
+    interactive: null,
+    contacts: []
+  };
+  const repliedMessageSid = message.context?.id || null;
+
+  switch (message.type) {
+    case 'text':
+      inbound.body = message.text?.body || '';
+      break;
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'document':
+    case 'sticker': {
+      const media = message[message.type] || {};
+      inbound.body = media.caption || '';
+      inbound.media.push({ url: graphUrl(media.id), contentType: normalizeContentType(media.mime_type) || undefined, filename: media.filename });
+      break;
+    }
+    case 'location': {
+      const { latitude, longitude, name, address } = message.location || {};
+      inbound.location = buildLocation({ latitude, longitude, label: name, address }).value || null;
+      break;
+    }
+    case 'contacts':
+      inbound.contacts = (message.contacts || []).map(fromMetaContact);
+      break;
+    case 'button':
+      // Quick-reply button on a template
+      inbound.interactive = { type: 'button_reply', id: message.button?.payload || null, title: message.button?.text || null, description: null, repliedMessageSid };
+      break;
+    case 'interactive': {
+      const { type, button_reply: buttonReply, list_reply: listReply } = message.interactive || {};
+      const reply = type === 'list_reply' ? listReply : buttonReply;
+      if (!reply) return null;
+      inbound.interactive = { type, id: reply.id || null, title: reply.title || null, description: reply.description || null, repliedMessageSid };
+      break;
+    }
+    default:
+      return null;
+  }
+  return inbound;
+};
+
+/**
+ * Create the Meta Cloud API provider. Env configuration is read per call, so a missing credential
+ * fails the call that needs it instead of the whole process.
+ *
+ * @param {Object} [config] - A tenant's { accessToken, appSecret, verifyToken, wabaId, phoneNumberIds };
+ *   defaults to META_ACCESS_TOKEN, META_APP_SECRET, META_VERIFY_TOKEN, META_WABA_ID and META_PHONE_NUMBER_IDS
+ * @returns {Object} - Messaging provider
+ */
+const createMetaProvider = (config) => {
+  const settings = () => config || {
+    accessToken: process.env.META_ACCESS_TOKEN,
+    appSecret: process.env.META_APP_SECRET,
+    verifyToken: process.env.META_VERIFY_TOKEN,
+    wabaId: process.env.META_WABA_ID,
+    phoneNumberIds: getPhoneNumberIds()
+  };
+  const request = (method, url, body) => graphRequest(settings().accessToken, method, url, body);
+
+  return {
+    name: 'meta',
+
+    // Quick replies and lists go out as interactive messages built from renderedContent, not as templates
+    sendsInteractiveInline: true,
+
+    retryableErrorCodes: META_RETRYABLE_ERROR_CODES,
+
+    isRetryableError: (error) => META_RETRYABLE_ERROR_CODES.includes(error?.code) || error?.status >= 500 || error?.transient === true,
+
+    send: async (message) => {
+      const phoneNumberId = settings().phoneNumberIds?.[message.from];
+      if (!phoneNumberId) {
+        throw Object.assign(new Error(`No Cloud API phone number ID configured for ${message.from}`), { code: 'META_SENDER_NOT_CONFIGURED' });
+      }
+
+      let sent;
+      for (const payload of await buildMetaMessagePayloads(message)) {
+        sent = await request('POST', graphUrl(`${phoneNumberId}/messages`), payload);
+      }
+      return { sid: sent.messages[0].id, status: sent.messages[0].message_status || 'accepted' };
+    },
+
+    fetchMessage: async () => {
+      throw Object.assign(new Error('The Meta Cloud API does not support message lookups; statuses arrive by webhook'), { status: 501 });
+    },
+
+    validateWebhook: (req) => {
+      const { appSecret } = settings();
+      if (!appSecret) {
+        logError('Cannot validate Meta webhook: no Meta app secret is configured');
+        return false;
+      }
+
+      const signature = req.get('X-Hub-Signature-256');
+      if (!signature || !req.rawBody) {
+        logWarn('Rejected Meta webhook without signature', { path: req.originalUrl, ip: req.ip });
+        return false;
+      }
+
+      // Meta signs the exact bytes it sent, so compare against the raw body rather than re-serialized JSON
+      const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex')}`;
+      const isValid = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      if (!isValid) {
+        logWarn('Rejected Meta webhook with invalid signature', { path: req.originalUrl, ip: req.ip });
+      }
+      return isValid;
+    },
+
+    /**
+     * Answer Meta's subscription handshake
+     *
+     * @param {Object} query - Request query with hub.mode, hub.verify_token and hub.challenge
+     * @returns {string|null} - The challenge to echo back, or null if the token does not match the configured verify token
+     */
+    verifySubscription: (query) => {
+      const { verifyToken } = settings();
+      if (!verifyToken || query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== verifyToken) return null;
+      return query['hub.challenge'] ?? null;
+    },
+
+    /**
+     * Split a webhook notification into inbound messages and status updates.
+     * The receiving number comes from metadata.phone_number_id via the configured phone number IDs, falling back to the display number.
+     *
+     * @param {Object} body - Webhook notification
+     * @returns {Object} - { messages: [inbound], statuses: [{ messageSid, status, errorCode, errorMessage }] }
+     */
+    parseWebhook: (body) => {
+      const messages = [];
+      const statuses = [];
+      if (body?.object !== 'whatsapp_business_account') return { messages, statuses };
+
+      const numbersById = Object.fromEntries(Object.entries(settings().phoneNumberIds || {}).map(([number, id]) => [id, number]));
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          if (change.field !== 'messages' || !change.value) continue;
+          const { metadata = {}, contacts = [], messages: received = [], statuses: updates = [] } = change.value;
+
+          const to = numbersById[metadata.phone_number_id] || `+${String(metadata.display_phone_number || '').replace(/\D/g, '')}`;
+          const profileNames = Object.fromEntries(contacts.map(contact => [contact.wa_id, contact.profile?.name]));
+          for (const message of received) {
+            const inbound = parseMetaMessage(message, { to, profileNames });
+            if (inbound) messages.push(inbound);
+            else logInfo(`Ignoring Meta ${message.type} message ${message.id}`);
+          }
+
+          for (const update of updates) {
+            const status = META_STATUS_MAP[update.status];
+            if (!status) continue;
+            const [error] = update.errors || [];
+            statuses.push({
+              messageSid: update.id,
+              status,
+              errorCode: error?.code ? String(error.code) : null,
+              errorMessage: error ? error.error_data?.details || error.message || error.title : null
+            });
+          }
+        }
+      }
+      return { messages, statuses };
+    },
+
+    // Media IDs resolve to a short-lived download URL that needs the same bearer token
+    downloadMedia: async (url, options) => {
+      const { url: downloadUrl } = await request('GET', url);
+      return fetchMedia(downloadUrl, { ...options, headers: { Authorization: `Bearer ${settings().accessToken}` } });
+    },
+
+    listContent: async () => {
+      const { wabaId } = settings();
+      if (!wabaId) {
+        throw Object.assign(new Error('No WhatsApp Business Account ID is configured (META_WABA_ID)'), { code: 'META_NOT_CONFIGURED' });
+      }
+
+      const templates = [];
+      let url = graphUrl(`${wabaId}/message_templates?fields=${TEMPLATE_FIELDS}&limit=100`);
+      while (url) {
+        const page = await request('GET', url);
+        templates.push(...(page.data || []));
+        url = page.paging?.next || null;
+      }
+      return templates.map(toCatalogContent);
+    },
+
+    fetchContent: async (templateId) => {
+      // Meta template IDs are numeric; anything else belongs to another provider
+      if (!/^\d+$/.test(templateId)) return null;
+      try {
+        return toCatalogContent(await request('GET', graphUrl(`${templateId}?fields=${TEMPLATE_FIELDS}`)));
+      } catch (error) {
+        if ([400, 404].includes(error.status)) return null;
+        throw error;
+      }
+    },
+
+    createContent: async () => {
+      throw Object.assign(new Error('Meta templates are created and approved in WhatsApp Manager'), { status: 501 });
+    }
+  };
+};
+
+export default createMetaProvider;
@@ -0,0 +1,249 @@
+// Twilio messaging provider: WhatsApp sends, Content API templates and webhook handling
+import twilio from 'twilio';
+import { getTwilioClient, createTwilioClient } from '../config/twilio.js';
+import { signMediaUrl } from '../services/mediaService.js';
+import { buildLocation } from '../services/structuredMessageService.js';
+import fetchMedia from './fetchMedia.js';
+import { logWarn, logError } from '../utils/logger.js';
+
+// Twilio error codes worth retrying: rate limit, connection, timeout, queue full
+export const TWILIO_RETRYABLE_ERROR_CODES = [20429, 20003, 20005, 21614];
+
+/**
+ * Whether signature checks are switched off for local development.
+ * Only honoured outside production so a stray env var can never open the webhooks up in a live deployment.
+ */
+const isSignatureBypassEnabled = () =>
+  process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Build the public URLs Twilio may have signed for this request.
+ * Twilio signs the exact URL it called, which differs from what Express sees behind Render's proxy,
+ * so we try API_BASE_URL first and then the URL reconstructed from the reverse-proxy headers.
+ *
+ * @param {Object} req - Express request
+ * @returns {Array<string>} - Candidate absolute URLs, de-duplicated
+ */
+const getCandidateUrls = (req) => {
+  const urls = [];
+
+  if (process.env.API_BASE_URL) {
+    urls.push(`${process.env.API_BASE_URL.replace(/\/+$/, '')}${req.originalUrl}`);
+  }
+
+  // X-Forwarded-* may carry a comma-separated chain; the first entry is the client-facing hop
+  const forwardedProto = req.get('X-Forwarded-Proto')?.split(',')[0].trim();
+  const forwardedHost = req.get('X-Forwarded-Host')?.split(',')[0].trim();
+  const protocol = forwardedProto || req.protocol;
+  const host = forwardedHost || req.get('Host');
+  if (host) {
+    urls.push(`${protocol}://${host}${req.originalUrl}`);
+  }
+
+  return [...new Set(urls)];
+};
+
+/**
+ * Build Twilio message options from a queued message document
+ *
+ * @param {Object} message - Message document
+ * @returns {Object} - Options for twilioClient.messages.create
+ */
+export const buildTwilioMessageOptions = (message) => {
+  const options = {
+    from: `whatsapp:${message.from}`,
+    to: `whatsapp:${message.to}`,
+    statusCallback: message.statusCallback
+  };
+
+  if (message.contentSid) {
+    options.contentSid = message.contentSid;
+    options.contentVariables = JSON.stringify(message.contentVariables || {});
+  } else {
+    if (message.message) options.body = message.message;
+    if (message.location) {
+      const { latitude, longitude, label } = message.location;
+      options.persistentAction = [`geo:${latitude},${longitude}${label ? `|${label}` : ''}`];
+    }
+    // Sign stored media per attempt so a retry never hands Twilio an expired URL
+    const mediaUrls = [...(message.mediaUrl || []), ...(message.media || []).map(item => signMediaUrl(item.mediaId))];
+    if (mediaUrls.length) options.mediaUrl = mediaUrls;
+  }
+
+  return options;
+};
+
+/**
+ * Parse the customer's choice from an inbound webhook: a quick-reply or template button tap,
+ * or a list selection.
+ *
+ * @param {Object} body - Twilio webhook parameters
+ * @returns {Object|null} - { type, id, title, description, repliedMessageSid }, or null for non-interactive messages
+ */
+export const parseTwilioInteractiveReply = (body) => {
+  const { ButtonPayload, ButtonText, ListId, ListTitle, ListDescription, OriginalRepliedMessageSid } = body;
+
+  if (ListId || ListTitle) {
+    return {
+      type: 'list_reply',
+      id: ListId || null,
+      title: ListTitle || null,
+      description: ListDescription || null,
+      repliedMessageSid: OriginalRepliedMessageSid || null
+    };
+  }
+  if (ButtonPayload || ButtonText) {
+    return {
+      type: 'button_reply',
+      id: ButtonPayload || null,
+      title: ButtonText || null,
+      description: null,
+      repliedMessageSid: OriginalRepliedMessageSid || null
+    };
+  }
+  return null;
+};
+
+/**
+ * Normalize an inbound message webhook (also used by the fake provider, whose synthetic webhooks use Twilio's format)
+ *
+ * @param {Object} body - Twilio webhook parameters
+ * @returns {Object|null} - { messageSid, from, to, body, profileName, waId, media: [{ url, contentType }], location, interactive }
+ */
+export const parseTwilioInbound = (body) => {
+  const { MessageSid, From, To, Body, NumMedia, ProfileName, WaId, Latitude, Longitude, Address, Label } = body;
+  if (!MessageSid || !From || !To) return null;
+
+  const media = [];
+  for (let i = 0; i < parseInt(NumMedia || 0); i++) {
+    if (body[`MediaUrl${i}`]) media.push({ url: body[`MediaUrl${i}`], contentType: body[`MediaContentType${i}`] });
+  }
+
+  return {
+    messageSid: MessageSid,
+    from: From.replace('whatsapp:', ''),
+    to: To.replace('whatsapp:', ''),
+    body: Body,
+    profileName: ProfileName || null,
+    waId: WaId || null,
+    media,
+    location: buildLocation({ latitude: Latitude, longitude: Longitude, label: Label, address: Address }).value || null,
+    interactive: parseTwilioInteractiveReply(body)
+  };
+};
+
+/**
+ * Normalize a status callback
+ *
+ * @param {Object} body - Twilio webhook parameters
+ * @returns {Object|null} - { messageSid, status, errorCode, errorMessage }
+ */
+export const parseTwilioStatus = (body) => {
+  const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = body;
+  if (!MessageSid || !MessageStatus) return null;
+  return { messageSid: MessageSid, status: MessageStatus.toLowerCase(), errorCode: ErrorCode || null, errorMessage: ErrorMessage || null };
+};
+
+/**
+ * Create the Twilio provider. The REST client is created on first use, so a missing
+ * credential fails the call that needs it instead of the whole process.
+ *
+ * @param {Object} [config] - A tenant's { accountSid, authToken }; defaults to TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN
+ * @returns {Object} - Messaging provider
+ */
+const createTwilioProvider = (config) => {
+  const getAuthToken = () => (config ? config.authToken : process.env.TWILIO_AUTH_TOKEN);
+  let tenantClient = null;
+  const getClient = () => {
+    if (!config) return getTwilioClient();
+    if (!tenantClient) tenantClient = createTwilioClient(config.accountSid, config.authToken);
+    return tenantClient;
+  };
+
+  return {
+    name: 'twilio',
+
+    retryableErrorCodes: TWILIO_RETRYABLE_ERROR_CODES,
+
+    isRetryableError: (error) => TWILIO_RETRYABLE_ERROR_CODES.includes(error?.code) || error?.status >= 500,
+
+    send: async (message) => {
+      const sent = await getClient().messages.create(buildTwilioMessageOptions(message));
+      return { sid: sent.sid, status: sent.status };
+    },
+
+    fetchMessage: async (sid) => {
+      const message = await getClient().messages(sid).fetch();
+      return { sid: message.sid, status: message.status, errorCode: message.errorCode, errorMessage: message.errorMessage };
+    },
+
+    validateWebhook: (req) => {
+      if (isSignatureBypassEnabled()) {
+        logWarn(`Twilio signature validation bypassed for ${req.method} ${req.originalUrl} (TWILIO_SKIP_SIGNATURE_VALIDATION)`);
+        return true;
+      }
+
+      const authToken = getAuthToken();
+      if (!authToken) {
+        logError('Cannot validate Twilio webhook: no Twilio auth token is configured');
+        return false;
+      }
+
+      const signature = req.get('X-Twilio-Signature');
+      if (!signature) {
+        logWarn('Rejected Twilio webhook without signature', { path: req.originalUrl, ip: req.ip });
+        return false;
+      }
+
+      const candidateUrls = getCandidateUrls(req);
+      try {
+        const isValid = candidateUrls.some(url => twilio.validateRequest(authToken, signature, url, req.body || {}));
+        if (!isValid) {
+          logWarn('Rejected Twilio webhook with invalid signature', { path: req.originalUrl, ip: req.ip, candidateUrls });
+        }
+        return isValid;
+      } catch (error) {
+        logError('Error validating Twilio webhook signature:', error);
+        return false;
+      }
+    },
+
+    parseInbound: parseTwilioInbound,
+
+    parseStatus: parseTwilioStatus,
+
+    downloadMedia: (url, options) => {
+      const accountSid = config ? config.accountSid : process.env.TWILIO_ACCOUNT_SID;
+      const credentials = Buffer.from(`${accountSid}:${getAuthToken()}`).toString('base64');
+      return fetchMedia(url, { ...options, headers: { Authorization: `Basic ${credentials}` } });
+    },
+
+    listContent: async () => {
+      const contents = await getClient().content.v1.contentAndApprovals.list();
+      return contents.map(content => ({ content, approval: content.approvalRequests }));
+    },
+
+    fetchContent: async (contentSid) => {
+      let content;
+      try {
+        content = await getClient().content.v1.contents(contentSid).fetch();
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+
+      let approval;
+      try {
+        approval = (await getClient().content.v1.contents(contentSid).approvalFetch().fetch()).whatsapp;
+      } catch (error) {
+        logWarn(`Could not fetch approval status for template ${contentSid}: ${error.message}`);
+      }
+      return { content, approval };
+    },
+
+    createContent: ({ friendlyName, language, variables, types }) =>
+      getClient().content.v1.contents.create({ friendly_name: friendlyName, language, variables, types })
+  };
+};
+
+export default createTwilioProvider;
@@ -0,0 +1,357 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { ALL_CONTACTS } from '../middleware/auth.js';
+import { getTemplate, isTemplateSendableBy } from '../services/templateService.js';
+import { resolveSender } from '../providers/index.js';
+import { prepareRecipients, getCampaignStats, cancelCampaign } from '../services/campaignService.js';
+
+const router = express.Router();
+
+const MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS || '10000', 10);
+const RECIPIENT_STATUSES = ['pending', 'processing', 'queued', 'failed', 'skipped'];
+
+// Campaigns reach many contacts at once, so only callers with access to all contacts may manage them
+router.use((req, res, next) => {
+  if (!req.auth?.allowedContacts.includes(ALL_CONTACTS)) {
+    return res.status(403).json({ success: false, error: 'Not authorized to manage campaigns' });
+  }
+  next();
+});
+
+/**
+ * Load a campaign by ID from the route parameter
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Campaign document
+ */
+const findCampaign = (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Campaign.findById(id);
+};
+
+/**
+ * POST / (mounted at /api/campaigns)
+ * Create a campaign that sends an approved template to a list of contacts
+ *
+ * Request body:
+ * - name: Campaign name
+ * - contentSid: Approved template (Twilio Content SID or Meta template ID)
+ * - recipients: Array of { contactId, to, contactName, variables, fields }; `to` is looked up from the contact when omitted
+ * - defaultVariables: Variables shared by every recipient, e.g. { "2": "Spring sale" }
+ * - variableMapping: Placeholder -> recipient field, e.g. { "1": "contactName", "3": "fields.city" }
+ * - scheduledAt: When to start (ISO date, default: now)
+ * - draft: true to create without scheduling; start later with POST /:id/start
+ * - messagesPerSecond: Throttle (default: 10, max: 80)
+ * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); the template must belong to its provider
+ *
+ * Recipients with invalid phones or variables fail the whole request with a per-recipient error list.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, contentSid, recipients, defaultVariables = {}, variableMapping = {}, scheduledAt, draft, messagesPerSecond, fromName, from } = req.body;
+
+    if (!name || typeof name !== 'string' || !contentSid || typeof contentSid !== 'string') {
+      return res.status(400).json({ success: false, error: 'name and contentSid are required' });
+    }
+    if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > MAX_RECIPIENTS) {
+      return res.status(400).json({ success: false, error: `recipients must be an array of 1 to ${MAX_RECIPIENTS} entries` });
+    }
+    if (typeof defaultVariables !== 'object' || Array.isArray(defaultVariables) || typeof variableMapping !== 'object' || Array.isArray(variableMapping)) {
+      return res.status(400).json({ success: false, error: 'defaultVariables and variableMapping must be objects' });
+    }
+
+    const startAt = scheduledAt ? new Date(scheduledAt) : new Date();
+    if (isNaN(startAt.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid scheduledAt format. Use ISO format (YYYY-MM-DDTHH:mm:ss.sssZ)' });
+    }
+
+    const template = await getTemplate(contentSid);
+    if (!template || !template.active) {
+      return res.status(400).json({ success: false, error: `Unknown template: ${contentSid}` });
+    }
+    if (template.approvalStatus !== 'approved') {
+      return res.status(400).json({ success: false, error: `Template ${contentSid} is not approved for WhatsApp (status: ${template.approvalStatus})` });
+    }
+
+    const sender = resolveSender(from);
+    if (sender.error) {
+      return res.status(sender.status).json({ success: false, error: sender.error });
+    }
+    if (!isTemplateSendableBy(template, sender.provider)) {
+      return res.status(400).json({ success: false, error: `Template ${contentSid} is not available to ${sender.from}, which sends through ${sender.provider.name}` });
+    }
+
+    const campaign = new Campaign({
+      name: name.trim(),
+      contentSid,
+      templateName: template.friendlyName,
+      defaultVariables,
+      variableMapping,
+      status: draft ? 'draft' : 'scheduled',
+      scheduledAt: startAt,
+      messagesPerSecond,
+      fromName: fromName?.trim() || undefined,
+      from: from ? sender.from : undefined,
+      createdBy: req.auth?.subject
+    });
+    await campaign.validate();
+
+    const { recipients: prepared, errors } = await prepareRecipients(campaign, template, recipients);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${errors.length} of ${recipients.length} recipients are invalid`,
+        recipientErrors: errors.slice(0, 100)
+      });
+    }
+
+    // Recipients go in before the campaign exists, so the worker never picks up a scheduled campaign
+    // with only part of its recipients; a failure on either side removes what was written
+    campaign.totalRecipients = prepared.length;
+    try {
+      await CampaignRecipient.insertMany(prepared.map(recipient => ({ ...recipient, campaignId: campaign._id })));
+      await campaign.save();
+    } catch (error) {
+      await CampaignRecipient.deleteMany({ campaignId: campaign._id }).catch(cleanupError => {
+        logError(`Failed to remove recipients of unsaved campaign ${campaign._id}:`, cleanupError);
+      });
+      throw error;
+    }
+
+    logInfo(`Campaign ${campaign._id} created with ${prepared.length} recipients (${campaign.status})`);
+    res.status(201).json({ success: true, data: campaign });
+  } catch (error) {
+    logError('Error creating campaign:', error);
+    res.status(500).json({ success: false, error: 'Failed to create campaign' });
+  }
+});
+
+/**
+ * GET / (mounted at /api/campaigns)
+ * List campaigns, newest first
+ *
+ * Query parameters:
+ * - status: Filter by campaign status
+ * - page: Page number (default: 1)
+ * - limit: Number of campaigns per page (default: 20, max: 100)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100); // Cap limit at 100
+
+    if (pageNum < 1 || limitNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page and limit must be positive integers'
+      });
+    }
+
+    const query = status ? { status } : {};
+    const [total, campaigns] = await Promise.all([
+      Campaign.countDocuments(query),
+      Campaign.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      success: true,
+      data: campaigns,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logError('Error fetching campaigns:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaigns' });
+  }
+});
+
+/**
+ * GET /:id
+ * Get a campaign with its progress stats
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, data: { ...campaign.toObject(), stats: await getCampaignStats(campaign._id) } });
+  } catch (error) {
+    logError('Error fetching campaign:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaign' });
+  }
+});
+
+/**
+ * GET /:id/stats
+ * Progress for a campaign: pending, queued, sent, delivered, read, failed and skipped recipients
+ */
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, data: { campaignId: campaign._id, status: campaign.status, ...(await getCampaignStats(campaign._id)) } });
+  } catch (error) {
+    logError('Error fetching campaign stats:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaign stats' });
+  }
+});
+
+/**
+ * GET /:id/recipients
+ * List a campaign's recipients with their linked message status
+ *
+ * Query parameters:
+ * - status: Filter by recipient status (pending, processing, queued, failed, skipped)
+ * - page: Page number (default: 1)
+ * - limit: Number of recipients per page (default: 50, max: 200)
+ */
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 200); // Cap limit at 200
+
+    if (pageNum < 1 || limitNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page and limit must be positive integers'
+      });
+    }
+    if (status && !RECIPIENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${RECIPIENT_STATUSES.join(', ')}` });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const query = { campaignId: campaign._id, ...(status ? { status } : {}) };
+    const [total, recipients] = await Promise.all([
+      CampaignRecipient.countDocuments(query),
+      CampaignRecipient.find(query)
+        .sort({ _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('messageId', 'messageSid status sentAt deliveredAt readAt failedAt errorCode errorMessage')
+        .lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      success: true,
+      data: recipients,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logError('Error fetching campaign recipients:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaign recipients' });
+  }
+});
+
+/**
+ * Register a lifecycle action that moves a campaign from one of `from` to `to`
+ *
+ * @param {string} action - Route suffix, e.g. 'pause'
+ * @param {string[]} from - Statuses the action is allowed from
+ * @param {Function} apply - async (campaign) => void, updates and saves the campaign
+ */
+const lifecycleRoute = (action, from, apply) => {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      const campaign = await findCampaign(req);
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      if (!from.includes(campaign.status)) {
+        return res.status(409).json({ success: false, error: `Cannot ${action} a ${campaign.status} campaign` });
+      }
+
+      await apply(campaign);
+      logInfo(`Campaign ${campaign._id} ${action} by ${req.auth?.subject}`);
+      res.json({ success: true, data: campaign });
+    } catch (error) {
+      logError(`Error in campaign ${action}:`, error);
+      res.status(500).json({ success: false, error: `Failed to ${action} campaign` });
+    }
+  });
+};
+
+/**
+ * POST /:id/start
+ * Schedule a draft campaign (starts at scheduledAt, or now if that has passed)
+ */
+lifecycleRoute('start', ['draft'], async (campaign) => {
+  campaign.status = 'scheduled';
+  await campaign.save();
+});
+
+/**
+ * POST /:id/pause
+ * Stop queuing further recipients; messages already queued are still sent
+ */
+lifecycleRoute('pause', ['scheduled', 'running'], async (campaign) => {
+  campaign.status = 'paused';
+  await campaign.save();
+});
+
+/**
+ * POST /:id/resume
+ * Continue a paused campaign
+ */
+lifecycleRoute('resume', ['paused'], async (campaign) => {
+  campaign.status = campaign.startedAt ? 'running' : 'scheduled';
+  await campaign.save();
+});
+
+/**
+ * POST /:id/cancel
+ * Cancel a campaign: remaining recipients are skipped and its queued messages withdrawn
+ */
+lifecycleRoute('cancel', ['draft', 'scheduled', 'running', 'paused'], cancelCampaign);
+
+/**
+ * Global error handler for the campaign router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in campaign routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in campaign routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,88 @@
 import express from 'express';
 import Message from '../models/Message.js';
+import Contact from '../models/Contact.js';
 import { logInfo, logError } from '../utils/logger.js';
+import { ensureContactAccess, canAccessContact, ALL_CONTACTS } from '../middleware/auth.js';
+import { findContactByKey } from '../services/contactService.js';
+import { parsePhone, parseWhatsAppNumber } from '../utils/phone.js';
+import { describeServiceWindow, getServiceWindow } from '../services/serviceWindow.js';
+import Consent from '../models/Consent.js';
+import { getConsent, recordConsent, describeConsent } from '../services/consentService.js';
 
 const router = express.Router();
 
+/**
+ * MongoDB filter restricting Contact queries to the caller's contacts.
+ * allowedContacts may hold Salesforce IDs or phone numbers, so match either.
+ *
+ * @param {Object} auth - Caller identity from the auth middleware
+ * @returns {Object} - Contact filter
+ */
+const contactRecordScope = (auth) => {
+  if (auth?.allowedContacts.includes(ALL_CONTACTS)) return {};
+  const allowed = auth?.allowedContacts || [];
+  return { $or: [{ salesforceId: { $in: allowed } }, { phone: { $in: allowed } }] };
+};
+
+/**
+ * Check the caller may access a Contact record via any of its identifiers
+ *
+ * @param {Object} auth - Caller identity
+ * @param {Object} contact - Contact document
+ * @returns {boolean}
+ */
+const canAccessContactRecord = (auth, contact) =>
+  canAccessContact(auth, contact.salesforceId) || canAccessContact(auth, contact.phone);
+
+/**
+ * Shape a Contact document for API responses
+ *
+ * @param {Object} contact - Contact document
+ * @param {Object|null} consent - Consent record for the contact's phone
+ * @returns {Object} - Public contact representation
+ */
+const formatContact = (contact, consent) => ({
+  id: contact._id,
+  contactId: contact.salesforceId || contact.phone,
+  salesforceId: contact.salesforceId || null,
+  phone: contact.phone,
+  name: contact.name || contact.profileName || 'Unknown Contact',
+  profileName: contact.profileName || null,
+  waId: contact.waId || null,
+  lastMessageAt: contact.lastMessageAt || null,
+  serviceWindow: describeServiceWindow(contact.lastInboundAt),
+  consent: describeConsent(consent),
+  createdAt: contact.createdAt,
+  updatedAt: contact.updatedAt
+});
+
+/**
+ * Validate and normalize writable contact fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} requirePhone - Whether phone must be present (create)
+ * @returns {Object} - { fields } or { error }
+ */
+const parseContactFields = (body, requirePhone) => {
+  const fields = {};
+  if (body.phone !== undefined || requirePhone) {
+    const { phone, error } = parseWhatsAppNumber(body.phone, { region: body.region });
+    if (error) {
+      return { error: `phone is required and must be a valid WhatsApp number: ${error}` };
+    }
+    fields.phone = phone;
+  }
+  for (const field of ['salesforceId', 'name', 'profileName', 'waId']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      fields[field] = body[field]?.trim() || undefined;
+    }
+  }
+  return { fields };
+};
+
 /**
  * GET /contact/:recordId
  * Get contact details by recordId (contactId)
@@ -11,6 +90,11 @@ const router = express.Router();
  * 
  * This endpoint is specifically designed to match the frontend expectation
  * of /api/contact/:recordId where recordId corresponds to contactId in the database
+ * 
+ * Includes serviceWindow ({ open, lastInboundAt, expiresAt }): free-form messages can only be
+ * sent while the WhatsApp 24-hour window is open; otherwise use /send-template
+ * 
+ * Includes consent ({ status, source, keyword, changedAt }): sends are blocked while status is opted_out
  */
 router.get('/contact/:recordId', async (req, res) => {
   try {
@@ -24,8 +108,13 @@ router.get('/contact/:recordId', async (req, res) => {
       });
     }
 
+    if (!ensureContactAccess(req, res, recordId.trim())) return;
+
     logInfo(`Fetching contact details for recordId: ${recordId}`);
 
+    // Prefer the stored contact record for name and phone; message history fills in activity
+    const contact = await findContactByKey(recordId);
+
     // Find the most recent message for this contact to get contact information
     const contactMessage = await Message.findOne({ 
       contactId: recordId.trim() 
@@ -54,12 +143,16 @@ router.get('/contact/:recordId', async (req, res) => {
 
       const contactData = {
         contactId: recordId,
-        name: contactMessage.contactName || contactMessage.fromName || 'Unknown Contact',
-        phone: contactPhone,
+        name: contact?.name || contactMessage.contactName || contact?.profileName || contactMessage.fromName || 'Unknown Contact',
+        phone: contact?.phone || contactPhone,
         lastMessageDate: contactMessage.timestamp,
         messageCount: messageCount,
         lastMessageStatus: contactMessage.status,
-        lastMessageDirection: contactMessage.direction
+        lastMessageDirection: contactMessage.direction,
+        serviceWindow: contact?.lastInboundAt
+          ? describeServiceWindow(contact.lastInboundAt)
+          : await getServiceWindow(contact?.phone || contactPhone),
+        consent: describeConsent(await getConsent(contact?.phone || contactPhone))
       };
 
       logInfo(`Contact found: ${recordId} - Name: ${contactData.name}, Phone: ${contactData.phone}`);
@@ -77,12 +170,14 @@ router.get('/contact/:recordId', async (req, res) => {
       success: true,
       data: {
         contactId: recordId,
-        name: 'Unknown Contact',
-        phone: null,
+        name: contact?.name || contact?.profileName || 'Unknown Contact',
+        phone: contact?.phone || null,
         lastMessageDate: null,
         messageCount: 0,
         lastMessageStatus: null,
-        lastMessageDirection: null
+        lastMessageDirection: null,
+        serviceWindow: describeServiceWindow(contact?.lastInboundAt),
+        consent: describeConsent(contact ? await getConsent(contact.phone) : null)
       }
     });
 
@@ -101,12 +196,14 @@ router.get('/contact/:recordId', async (req, res) => {
  * Useful for displaying a contact list
  * 
  * Query parameters:
+ * - search: Case-insensitive match on name, profile name, phone or Salesforce ID
+ * - region: ISO country code for a national number in search (default: the tenant's default region)
  * - page: Page number (default: 1)
  * - limit: Number of contacts per page (default: 20, max: 100)
  */
 router.get('/contacts', async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { search, page = 1, limit = 20 } = req.query;
 
     // Input validation
     const pageNum = parseInt(page);
@@ -121,61 +218,50 @@ router.get('/contacts', async (req, res) => {
 
     logInfo(`Fetching contacts - Page: ${pageNum}, Limit: ${limitNum}`);
 
-    // Aggregate to get unique contacts with their latest message
-    const pipeline = [
-      {
-        $sort: { timestamp: -1 }
-      },
-      {
-        $group: {
-          _id: '$contactId',
-          latestMessage: { $first: '$$ROOT' },
-          messageCount: { $sum: 1 },
-          lastMessageDate: { $first: '$timestamp' }
-        }
-      },
-      {
-        $sort: { lastMessageDate: -1 }
-      },
-      {
-        $skip: (pageNum - 1) * limitNum
-      },
-      {
-        $limit: limitNum
-      }
-    ];
+    const conditions = [contactRecordScope(req.auth)];
+    if (search?.trim()) {
+      const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const clauses = [{ name: pattern }, { profileName: pattern }, { phone: pattern }, { salesforceId: pattern }];
+      // A full number in any format (e.g. '050 123 4567') also matches its stored E.164 form
+      const { phone } = parsePhone(search, { region: req.query.region });
+      if (phone) clauses.push({ phone });
+      conditions.push({ $or: clauses });
+    }
+    const query = { $and: conditions };
 
     const [contacts, totalContacts] = await Promise.all([
-      Message.aggregate(pipeline),
-      Message.distinct('contactId').then(contactIds => contactIds.length)
+      Contact.find(query)
+        .sort({ lastMessageAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Contact.countDocuments(query)
+    ]);
+
+    // Attach the latest message and count for each contact on this page
+    const contactIds = contacts.map(contact => contact.salesforceId || contact.phone);
+    const activity = await Message.aggregate([
+      { $match: { contactId: { $in: contactIds } } },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$contactId', latestMessage: { $first: '$$ROOT' }, messageCount: { $sum: 1 } } }
     ]);
+    const activityByContact = new Map(activity.map(entry => [entry._id, entry]));
+    const consents = await Consent.find({ phone: { $in: contacts.map(contact => contact.phone) } }).lean();
+    const consentByPhone = new Map(consents.map(consent => [consent.phone, consent]));
 
     // Format the response
     const formattedContacts = contacts.map(contact => {
-      const message = contact.latestMessage;
-      
-      // Determine contact phone based on message direction
-      let contactPhone;
-      if (message.direction === 'inbound') {
-        contactPhone = message.from;
-      } else {
-        contactPhone = message.to;
-      }
-
-      // Clean up phone number
-      if (contactPhone && contactPhone.startsWith('whatsapp:')) {
-        contactPhone = contactPhone.replace('whatsapp:', '');
-      }
+      const formatted = formatContact(contact, consentByPhone.get(contact.phone));
+      const entry = activityByContact.get(formatted.contactId);
+      const message = entry?.latestMessage;
 
       return {
-        contactId: contact._id,
-        name: message.contactName || message.fromName || 'Unknown Contact',
-        phone: contactPhone,
-        lastMessageDate: contact.lastMessageDate,
-        messageCount: contact.messageCount,
-        lastMessageStatus: message.status,
-        lastMessageDirection: message.direction,
-        lastMessagePreview: message.message ? message.message.substring(0, 100) : 'Media message'
+        ...formatted,
+        lastMessageDate: message?.timestamp || contact.lastMessageAt || null,
+        messageCount: entry?.messageCount || 0,
+        lastMessageStatus: message?.status || null,
+        lastMessageDirection: message?.direction || null,
+        lastMessagePreview: message ? (message.message ? message.message.substring(0, 100) : 'Media message') : null
       };
     });
 
@@ -205,6 +291,162 @@ router.get('/contacts', async (req, res) => {
   }
 });
 
+/**
+ * GET /contacts/:id
+ * Get a single contact by Mongo ID, Salesforce ID or phone number
+ */
+router.get('/contacts/:id', async (req, res) => {
+  try {
+    const contact = await findContactByKey(req.params.id);
+    if (!contact || !canAccessContactRecord(req.auth, contact)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    res.json({ success: true, data: formatContact(contact, await getConsent(contact.phone)) });
+  } catch (error) {
+    logError('Error fetching contact:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch contact' });
+  }
+});
+
+/**
+ * POST /contacts
+ * Create a contact mapping a WhatsApp number to a Salesforce record
+ * 
+ * Request body:
+ * - phone: WhatsApp number, E.164 or national (required); stored as E.164
+ * - region: ISO country code for a national phone (default: the tenant's default region)
+ * - salesforceId: Salesforce record ID
+ * - name: Display name
+ * - profileName: WhatsApp profile name
+ * - waId: WhatsApp ID
+ */
+router.post('/contacts', async (req, res) => {
+  try {
+    const { fields, error } = parseContactFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (!canAccessContact(req.auth, fields.salesforceId) && !canAccessContact(req.auth, fields.phone)) {
+      return res.status(403).json({ success: false, error: 'Not authorized for this contact' });
+    }
+
+    const contact = await Contact.create(fields);
+    logInfo(`Contact created: ${contact._id} (${contact.phone})`);
+    res.status(201).json({ success: true, data: formatContact(contact, await getConsent(contact.phone)) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A contact with this phone or Salesforce ID already exists' });
+    }
+    logError('Error creating contact:', error);
+    res.status(500).json({ success: false, error: 'Failed to create contact' });
+  }
+});
+
+/**
+ * PATCH /contacts/:id
+ * Update a contact's phone, Salesforce link or names
+ */
+router.patch('/contacts/:id', async (req, res) => {
+  try {
+    const contact = await findContactByKey(req.params.id);
+    if (!contact || !canAccessContactRecord(req.auth, contact)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const { fields, error } = parseContactFields(req.body, false);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (fields.salesforceId && !canAccessContact(req.auth, fields.salesforceId) && !canAccessContact(req.auth, contact.phone)) {
+      return res.status(403).json({ success: false, error: 'Not authorized for this contact' });
+    }
+
+    contact.set(fields);
+    await contact.save();
+    logInfo(`Contact updated: ${contact._id}`);
+    res.json({ success: true, data: formatContact(contact, await getConsent(contact.phone)) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A contact with this phone or Salesforce ID already exists' });
+    }
+    logError('Error updating contact:', error);
+    res.status(500).json({ success: false, error: 'Failed to update contact' });
+  }
+});
+
+/**
+ * GET /contacts/:id/consent
+ * Get a contact's consent state and the history of changes
+ */
+router.get('/contacts/:id/consent', async (req, res) => {
+  try {
+    const contact = await findContactByKey(req.params.id);
+    if (!contact || !canAccessContactRecord(req.auth, contact)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const consent = await getConsent(contact.phone);
+    res.json({ success: true, data: { phone: contact.phone, ...describeConsent(consent), history: consent?.history || [] } });
+  } catch (error) {
+    logError('Error fetching consent:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch consent' });
+  }
+});
+
+/**
+ * PUT /contacts/:id/consent
+ * Record an opt-out or opt-in on the customer's behalf (e.g. requested by phone or email)
+ * 
+ * Request body:
+ * - status: opted_out or opted_in
+ * - note: Reason, kept in the consent history
+ */
+router.put('/contacts/:id/consent', async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['opted_out', 'opted_in'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be opted_out or opted_in' });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ success: false, error: 'note must be a string' });
+    }
+
+    const contact = await findContactByKey(req.params.id);
+    if (!contact || !canAccessContactRecord(req.auth, contact)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const consent = await recordConsent(contact.phone, status, { source: 'api', changedBy: req.auth?.subject, note: note?.trim() || undefined });
+    res.json({ success: true, data: { phone: contact.phone, ...describeConsent(consent), history: consent.history } });
+  } catch (error) {
+    logError('Error updating consent:', error);
+    res.status(500).json({ success: false, error: 'Failed to update consent' });
+  }
+});
+
+/**
+ * DELETE /contacts/:id
+ * Delete a contact record. Message history is kept.
+ */
+router.delete('/contacts/:id', async (req, res) => {
+  try {
+    const contact = await findContactByKey(req.params.id);
+    if (!contact || !canAccessContactRecord(req.auth, contact)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    await contact.deleteOne();
+    logInfo(`Contact deleted: ${contact._id}`);
+    res.json({ success: true, data: { id: contact._id } });
+  } catch (error) {
+    logError('Error deleting contact:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete contact' });
+  }
+});
+
 /**
  * Global error handler for the contact router
  * Catches any unhandled errors and returns a consistent error response
@@ -0,0 +1,217 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { contactScopeFilter } from '../middleware/auth.js';
+import { assignConversation, setConversationStatus } from '../services/conversationService.js';
+
+const router = express.Router();
+
+const CONVERSATION_STATUSES = ['open', 'pending', 'closed'];
+
+/**
+ * Load a conversation by ID within the caller's contacts
+ *
+ * @param {Object} req - Express request with req.auth set
+ * @returns {Promise<Object|null>} - Conversation document
+ */
+const findScopedConversation = (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Conversation.findOne({ _id: id, ...contactScopeFilter(req.auth) });
+};
+
+/**
+ * GET /conversations
+ * List conversations for the inbox, newest activity first
+ *
+ * Query parameters:
+ * - status: open, pending or closed; comma-separated for several (default: open,pending)
+ * - assignedAgent: Filter by assigned agent ID
+ * - unassigned: 'true' for conversations without an agent
+ * - contactId: Filter by contact
+ * - page: Page number (default: 1)
+ * - limit: Number of conversations per page (default: 20, max: 100)
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const { status = 'open,pending', assignedAgent, unassigned, contactId, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100); // Cap limit at 100
+
+    if (pageNum < 1 || limitNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page and limit must be positive integers'
+      });
+    }
+
+    const statuses = status === 'all' ? CONVERSATION_STATUSES : status.split(',').map(value => value.trim().toLowerCase());
+    if (statuses.some(value => !CONVERSATION_STATUSES.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${CONVERSATION_STATUSES.join(', ')} or 'all'`
+      });
+    }
+
+    const query = { ...contactScopeFilter(req.auth), status: { $in: statuses } };
+    if (contactId) {
+      if (query.contactId && !query.contactId.$in.includes(contactId.trim())) {
+        return res.status(403).json({ success: false, error: 'Not authorized for this contact' });
+      }
+      query.contactId = contactId.trim();
+    }
+    if (unassigned === 'true') {
+      query.assignedAgent = null;
+    } else if (assignedAgent) {
+      query.assignedAgent = assignedAgent.trim();
+    }
+
+    const [total, conversations] = await Promise.all([
+      Conversation.countDocuments(query),
+      Conversation.find(query)
+        .sort({ lastMessageAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    logInfo(`Retrieved ${conversations.length} conversations for query: ${JSON.stringify(query)}`);
+
+    res.json({
+      success: true,
+      data: conversations,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logError('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+/**
+ * GET /conversations/:id
+ * Get a single conversation
+ */
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.json({ success: true, data: conversation });
+  } catch (error) {
+    logError('Error fetching conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch conversation' });
+  }
+});
+
+/**
+ * PATCH /conversations/:id/assign
+ * Assign a conversation to an agent, or unassign it
+ *
+ * Request body:
+ * - agentId: Agent identifier (e.g. Salesforce user ID); null to unassign
+ * - agentName: Agent display name
+ */
+router.patch('/conversations/:id/assign', async (req, res) => {
+  try {
+    const { agentId, agentName } = req.body;
+    if (agentId !== null && (typeof agentId !== 'string' || !agentId.trim())) {
+      return res.status(400).json({ success: false, error: 'agentId must be a non-empty string, or null to unassign' });
+    }
+
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    await assignConversation(conversation, agentId?.trim() || null, agentName?.trim());
+    res.json({ success: true, data: conversation });
+  } catch (error) {
+    logError('Error assigning conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to assign conversation' });
+  }
+});
+
+/**
+ * PATCH /conversations/:id/status
+ * Move a conversation between open, pending and closed
+ *
+ * Request body:
+ * - status: open, pending or closed
+ * - agentId: Agent making the change, recorded as resolvedBy when closing
+ */
+router.patch('/conversations/:id/status', async (req, res) => {
+  try {
+    const { status, agentId } = req.body;
+    if (!CONVERSATION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${CONVERSATION_STATUSES.join(', ')}` });
+    }
+
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    await setConversationStatus(conversation, status, agentId || req.auth?.subject);
+    res.json({ success: true, data: conversation });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'The contact already has an open or pending conversation' });
+    }
+    logError('Error updating conversation status:', error);
+    res.status(500).json({ success: false, error: 'Failed to update conversation status' });
+  }
+});
+
+/**
+ * POST /conversations/:id/close
+ * Close (resolve) a conversation
+ *
+ * Request body:
+ * - agentId: Agent resolving the conversation
+ */
+router.post('/conversations/:id/close', async (req, res) => {
+  try {
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    await setConversationStatus(conversation, 'closed', req.body?.agentId || req.auth?.subject);
+    res.json({ success: true, data: conversation });
+  } catch (error) {
+    logError('Error closing conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to close conversation' });
+  }
+});
+
+/**
+ * Global error handler for the conversation router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in conversation routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in conversation routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
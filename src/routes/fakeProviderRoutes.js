@@ -0,0 +1,135 @@
+import express from 'express';
+import { logInfo, logError } from '../utils/logger.js';
+import { getProvider, getDefaultSenderNumber } from '../providers/index.js';
+import { normalizeContactPhone } from '../services/contactService.js';
+
+// Test controls for the fake messaging provider; only mounted when MESSAGING_PROVIDER=fake
+const router = express.Router();
+
+const MESSAGE_STATUSES = ['sent', 'delivered', 'read', 'failed', 'undelivered'];
+
+/**
+ * GET /messages (mounted at /fake-provider)
+ * Messages the fake provider has "sent", newest first
+ *
+ * Query parameters:
+ * - to: Only messages to this number
+ */
+router.get('/messages', (req, res) => {
+  const to = req.query.to ? normalizeContactPhone(req.query.to) : undefined;
+  res.json({ success: true, data: getProvider('fake').listSent({ to }) });
+});
+
+/**
+ * DELETE /messages
+ * Forget recorded messages, templates and queued failures
+ */
+router.delete('/messages', (req, res) => {
+  getProvider('fake').reset();
+  res.json({ success: true, message: 'Fake provider reset' });
+});
+
+/**
+ * POST /inbound
+ * Simulate a customer message: posts a synthetic webhook to /webhook/incoming
+ *
+ * Request body:
+ * - from: Customer number
+ * - to: Our number, which routes the webhook to its tenant (default: the default sender number)
+ * - body, profileName, media: [{ url, contentType }], latitude, longitude, label, address,
+ *   buttonPayload, buttonText, repliedMessageSid
+ */
+router.post('/inbound', async (req, res) => {
+  try {
+    const from = normalizeContactPhone(req.body.from);
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'from is required' });
+    }
+    if (req.body.media !== undefined && !Array.isArray(req.body.media)) {
+      return res.status(400).json({ success: false, error: 'media must be an array of { url, contentType }' });
+    }
+
+    const result = await getProvider('fake').simulateInbound({ ...req.body, from, to: normalizeContactPhone(req.body.to) || getDefaultSenderNumber() || undefined });
+    logInfo(`Fake provider simulated inbound ${result.messageSid} from ${from}`);
+    res.status(202).json({ success: true, data: result });
+  } catch (error) {
+    logError('Error simulating inbound message:', error);
+    res.status(502).json({ success: false, error: `Failed to post inbound webhook: ${error.message}` });
+  }
+});
+
+/**
+ * POST /status
+ * Simulate a status callback for a sent message
+ *
+ * Request body:
+ * - messageSid: SID returned by the fake provider
+ * - status: sent, delivered, read, failed or undelivered
+ * - errorCode, errorMessage: For failed/undelivered
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const { messageSid, status, errorCode, errorMessage } = req.body;
+    if (!messageSid || !MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `messageSid and status (${MESSAGE_STATUSES.join(', ')}) are required` });
+    }
+
+    const result = await getProvider('fake').simulateStatus(messageSid, status, { errorCode, errorMessage });
+    res.status(202).json({ success: true, data: result });
+  } catch (error) {
+    logError('Error simulating status callback:', error);
+    res.status(502).json({ success: false, error: `Failed to post status webhook: ${error.message}` });
+  }
+});
+
+/**
+ * POST /fail-next
+ * Make the next sends fail, e.g. { "code": 20429, "status": 429 } to exercise the retry path
+ *
+ * Request body:
+ * - code: Provider error code
+ * - status: HTTP status of the simulated error
+ * - message: Error message
+ * - count: Number of sends to fail (default: 1)
+ */
+router.post('/fail-next', (req, res) => {
+  const { code, status, message, count = 1 } = req.body;
+  if (!Number.isInteger(count) || count < 1) {
+    return res.status(400).json({ success: false, error: 'count must be a positive integer' });
+  }
+  getProvider('fake').failNextSend({ code, status, message }, count);
+  res.json({ success: true, message: `Next ${count} send(s) will fail` });
+});
+
+/**
+ * POST /templates
+ * Register a template with the fake provider so send-template can use it
+ *
+ * Request body:
+ * - friendlyName, language, variables, types: As in Twilio's Content API
+ */
+router.post('/templates', async (req, res) => {
+  const { friendlyName, language = 'en', variables = {}, types } = req.body;
+  if (!friendlyName || !types || typeof types !== 'object') {
+    return res.status(400).json({ success: false, error: 'friendlyName and types are required' });
+  }
+  const content = await getProvider('fake').createContent({ friendlyName, language, variables, types });
+  res.status(201).json({ success: true, data: content });
+});
+
+/**
+ * Global error handler for the fake provider router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in fake provider routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in fake provider routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
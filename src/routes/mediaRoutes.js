@@ -0,0 +1,104 @@
+import express from 'express';
+import { AsyncResource } from 'async_hooks';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import Media from '../models/Media.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { storeMedia, validateMediaFile, signMediaUrl, canUseMedia, MAX_MEDIA_BYTES } from '../services/mediaService.js';
+
+const router = express.Router();
+
+// Keep uploads in memory: files are capped at MAX_MEDIA_BYTES and written straight to the storage backend
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_MEDIA_BYTES, files: 1 } });
+
+const formatMedia = (media) => ({
+  mediaId: media._id,
+  filename: media.filename || null,
+  contentType: media.contentType,
+  size: media.size,
+  checksum: media.checksum,
+  createdAt: media.createdAt
+});
+
+/**
+ * POST / (mounted at /api/media)
+ * Upload an outbound attachment as multipart/form-data
+ * 
+ * Form fields:
+ * - file: The file to upload (WhatsApp-supported MIME types only)
+ * 
+ * Returns the mediaId to pass to /send-message as mediaIds, plus a short-lived signed URL for previews
+ */
+router.post('/', (req, res) => {
+  // Multer calls back from the request stream's events; bind the callback so it keeps the tenant context
+  upload.single('file')(req, res, AsyncResource.bind(async (uploadError) => {
+    try {
+      if (uploadError) {
+        const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ success: false, error: `Upload failed: ${uploadError.message}` });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'file is required (multipart/form-data)' });
+      }
+
+      const validationError = validateMediaFile(req.file.mimetype, req.file.size);
+      if (validationError) {
+        return res.status(415).json({ success: false, error: validationError });
+      }
+
+      const media = await storeMedia({
+        buffer: req.file.buffer,
+        contentType: req.file.mimetype,
+        filename: req.file.originalname,
+        direction: 'outbound',
+        uploadedBy: req.auth?.subject
+      });
+
+      logInfo(`Media uploaded by ${req.auth?.subject}: ${media._id}`);
+      res.status(201).json({
+        success: true,
+        data: { ...formatMedia(media), url: signMediaUrl(media._id) }
+      });
+    } catch (error) {
+      logError('Error uploading media:', error);
+      res.status(500).json({ success: false, error: 'Failed to upload media' });
+    }
+  }));
+});
+
+/**
+ * GET /:mediaId (mounted at /api/media)
+ * Get media metadata with a fresh signed URL
+ */
+router.get('/:mediaId', async (req, res) => {
+  try {
+    const { mediaId } = req.params;
+    const media = mongoose.isValidObjectId(mediaId) ? await Media.findById(mediaId).lean() : null;
+    if (!media || !canUseMedia(req.auth, media)) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+
+    res.json({ success: true, data: { ...formatMedia(media), url: signMediaUrl(media._id) } });
+  } catch (error) {
+    logError('Error fetching media:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch media' });
+  }
+});
+
+/**
+ * Global error handler for the media router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in media routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in media routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
@@ -1,127 +1,50 @@
 import express from 'express';
-import twilio from 'twilio';
+import mongoose from 'mongoose';
 import Message from '../models/Message.js';
+import Media from '../models/Media.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logInfo, logError } from '../utils/logger.js';
+import { publishMessageStatus } from '../utils/realtime.js';
+import { ensureContactAccess, contactScopeFilter } from '../middleware/auth.js';
+import { enqueueMessage } from '../services/outboundQueue.js';
+import { canUseMedia, openMediaStream } from '../services/mediaService.js';
+import { downloadInboundMedia } from '../services/inboundMedia.js';
+import { getServiceWindow, getReengagementTemplate, isServiceWindowEnforced, SERVICE_WINDOW_CLOSED } from '../services/serviceWindow.js';
+import { getTemplate, normalizeContentVariables, validateTemplateVariables, isTemplateSendableBy } from '../services/templateService.js';
+import { buildQuickReply, buildListPicker, getInteractiveContent } from '../services/interactiveService.js';
+import { buildLocation, describeLocation, buildContactCard, storeContactCard } from '../services/structuredMessageService.js';
+import { cancelScheduledMessage, updateScheduledMessage } from '../services/scheduledMessages.js';
+import { parseSendAt } from '../utils/schedule.js';
+import { isOptedOut, RECIPIENT_OPTED_OUT } from '../services/consentService.js';
+import { resolveSender } from '../providers/index.js';
+import { findContactByKey } from '../services/contactService.js';
+import { searchMessages, parseSearchCursor, SEARCH_SORTS, MAX_QUERY_LENGTH } from '../services/messageSearch.js';
+import { parseWhatsAppNumber, normalizePhone } from '../utils/phone.js';
 
 const router = express.Router();
 
-// Initialize Twilio client with error handling
-let twilioClient;
-try {
-  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
-    throw new Error('Missing required Twilio environment variables: TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
-  }
-  twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-} catch (error) {
-  logError('Failed to initialize Twilio client:', error);
-  process.exit(1); // Exit if Twilio cannot be initialized
-}
-
-/**
- * Helper function for retry logic with exponential backoff
- * Implements exponential backoff strategy for failed Twilio API calls
- * 
- * @param {Object} messageOptions - Twilio message options
- * @param {number} retryCount - Current retry attempt (0-based)
- * @param {number} maxRetries - Maximum number of retry attempts
- * @returns {Promise<Object>} - Result object with success flag and data/error
- */
-const sendWithRetry = async (messageOptions, retryCount = 0, maxRetries = 3) => {
-  try {
-    logInfo(`Attempting to send message (attempt ${retryCount + 1}/${maxRetries + 1})`);
-    const message = await twilioClient.messages.create(messageOptions);
-    logInfo(`Message sent successfully on attempt ${retryCount + 1}: ${message.sid}`);
-    return { success: true, message };
-  } catch (error) {
-    logError(`Send attempt ${retryCount + 1} failed:`, error);
-    
-    // Check if error is retryable (network issues, rate limits, temporary server errors)
-    const retryableErrors = [20429, 20003, 20005, 21614]; // Rate limit, connection, timeout, queue full
-    const isRetryable = retryableErrors.includes(error.code) || error.status >= 500;
-    
-    if (retryCount < maxRetries && isRetryable) {
-      const delay = Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s delays
-      logInfo(`Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return sendWithRetry(messageOptions, retryCount + 1, maxRetries);
-    }
-    
-    return { success: false, error };
-  }
-};
+// How long an Idempotency-Key keeps returning the original result instead of sending again
+const IDEMPOTENCY_WINDOW_MS = parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS || '24', 10) * 60 * 60 * 1000;
+// A contactId that is itself a phone number rather than a Salesforce ID
+const PHONE_KEY = /^(whatsapp:)?\+?[\d\s().-]+$/;
 
 /**
- * Validate and format phone numbers for WhatsApp
- * Ensures proper WhatsApp formatting and validates number format
- * Updated to handle international prefixes properly
- * 
- * @param {string} number - Phone number to format
- * @returns {string|null} - Formatted WhatsApp number or null if invalid
+ * Parse the recipient of a send to E.164. National numbers are read in the request's region
+ * (body.region), else the tenant's default region or PHONE_DEFAULT_REGION; numbers that cannot
+ * receive WhatsApp messages (e.g. landlines) are refused.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response; a 400 is sent when the number is invalid
+ * @param {string} to - Recipient number as given
+ * @returns {string|null} - E.164 number, or null if a response was sent
  */
-const formatPhoneNumber = (number) => {
-  if (!number || typeof number !== 'string') {
+const parseRecipient = (req, res, to) => {
+  const recipient = parseWhatsAppNumber(to, { region: req.body.region });
+  if (recipient.error) {
+    res.status(400).json({ success: false, error: `Invalid recipient: ${recipient.error}` });
     return null;
   }
-  
-  // Remove any whitespace
-  let cleanNumber = number.trim();
-  
-  // Return as-is if already in WhatsApp format
-  if (cleanNumber.startsWith('whatsapp:')) {
-    return cleanNumber;
-  }
-  
-  // Handle the format we receive from frontend: whatsapp:+1234567890
-  if (cleanNumber.startsWith('whatsapp:+')) {
-    cleanNumber = cleanNumber.substring(9); // Remove 'whatsapp:' prefix
-  }
-  
-  // If it starts with 'whatsapp:' but not '+', handle appropriately
-  if (cleanNumber.startsWith('whatsapp:')) {
-    cleanNumber = cleanNumber.substring(9); // Remove 'whatsapp:' prefix
-    // Add '+' if not present
-    if (!cleanNumber.startsWith('+')) {
-      cleanNumber = '+' + cleanNumber;
-    }
-  }
-  
-  // Remove all non-digit characters except +
-  cleanNumber = cleanNumber.replace(/[^\d+]/g, '');
-  
-  // If it doesn't start with '+', we need to handle it
-  if (!cleanNumber.startsWith('+')) {
-    // Remove all non-digit characters
-    const digitsOnly = cleanNumber.replace(/\D/g, '');
-    
-    // Handle UAE numbers specifically
-    if (digitsOnly.startsWith('971')) {
-      // Already has UAE country code
-      cleanNumber = '+' + digitsOnly;
-    } else if (digitsOnly.startsWith('0') && digitsOnly.length > 1) {
-      // Remove leading 0 and add UAE country code
-      cleanNumber = '+971' + digitsOnly.substring(1);
-    } else if (digitsOnly.length >= 9) {
-      // Assume it's a UAE number without country code
-      cleanNumber = '+971' + digitsOnly;
-    } else {
-      // Fallback: add UAE country code
-      cleanNumber = '+971' + digitsOnly;
-    }
-  } else {
-    // It starts with '+', just clean it
-    cleanNumber = '+' + cleanNumber.substring(1).replace(/\D/g, '');
-  }
-  
-  // Basic validation - should contain only digits after prefix removal
-  const digitsOnly = cleanNumber.replace(/^\+/, '');
-  if (!/^\d{10,15}$/.test(digitsOnly)) {
-    logError(`Invalid phone number format after processing: ${cleanNumber} (original: ${number})`);
-    return null;
-  }
-  
-  // Twilio WhatsApp API expects numbers in the format 'whatsapp:+E.164_NUMBER'
-  return `whatsapp:${cleanNumber}`;
+  return recipient.phone;
 };
 
 /**
@@ -152,82 +75,176 @@ const validateMediaUrls = (mediaUrl) => {
 };
 
 /**
- * Create a new message document in the database
+ * Resolve uploaded media IDs (from POST /api/media) to message attachments
  * 
- * @param {Object} messageData - Message data object
- * @returns {Promise<Object>} - Created message document
+ * @param {string|Array} mediaIds - Single ID or array of IDs
+ * @param {Object} auth - Caller identity, used to check access to each file
+ * @returns {Promise<Object>} - { media } on success, { error } if any ID is invalid or not accessible
  */
-const createMessageDocument = async (messageData) => {
-  try {
-    const newMessage = new Message({
-      ...messageData,
-      timestamp: new Date(),
-      createdAt: new Date(),
-      updatedAt: new Date()
-    });
-    
-    const savedMessage = await newMessage.save();
-    logInfo(`Message document created: ${savedMessage._id}`);
-    return savedMessage;
-  } catch (error) {
-    logError('Failed to create message document:', error);
-    throw error;
+const resolveMediaIds = async (mediaIds, auth) => {
+  if (!mediaIds) return { media: [] };
+
+  const ids = Array.isArray(mediaIds) ? mediaIds : [mediaIds];
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return { error: 'mediaIds must contain valid media IDs' };
   }
+
+  const found = await Media.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(found.map(item => [String(item._id), item]));
+  const media = [];
+  for (const id of ids) {
+    const item = byId.get(String(id));
+    if (!item || item.direction !== 'outbound' || !canUseMedia(auth, item)) {
+      return { error: `Media not found: ${id}` };
+    }
+    media.push({ mediaId: item._id, filename: item.filename, contentType: item.contentType, size: item.size, checksum: item.checksum });
+  }
+  return { media };
+};
+
+/**
+ * Read the client's idempotency key from the Idempotency-Key header or the clientMessageId body field.
+ * Keys are namespaced by the authenticated caller so two integrations can never collide.
+ * 
+ * @param {Object} req - Express request
+ * @returns {Object} - { key } when present, { error } when malformed, {} when absent
+ */
+const getIdempotencyKey = (req) => {
+  const raw = req.get('Idempotency-Key') ?? req.body.clientMessageId;
+  if (raw === undefined || raw === null || raw === '') return {};
+  if (typeof raw !== 'string' || !raw.trim() || raw.trim().length > 255) {
+    return { error: 'Idempotency-Key (or clientMessageId) must be a non-empty string of at most 255 characters' };
+  }
+  return { key: `${req.auth?.subject || 'anonymous'}:${raw.trim()}` };
 };
 
 /**
- * Update message status in database
+ * Find the message created for an idempotency key within the retention window.
+ * Keys older than the window are released so clients may reuse them.
  * 
- * @param {string} messageId - Message document ID
- * @param {Object} updateData - Data to update
- * @returns {Promise<Object>} - Update result
+ * @param {string} idempotencyKey - Namespaced idempotency key
+ * @returns {Promise<Object|null>} - Original message, or null if the key is unused or expired
  */
-const updateMessageStatus = async (messageId, updateData) => {
+const findIdempotentMessage = async (idempotencyKey) => {
+  const existing = await Message.findOne({ idempotencyKey }).lean();
+  if (!existing) return null;
+
+  if (Date.now() - new Date(existing.timestamp).getTime() > IDEMPOTENCY_WINDOW_MS) {
+    await Message.updateOne({ _id: existing._id }, { $unset: { idempotencyKey: 1 } });
+    logInfo(`Released expired idempotency key for message ${existing._id}`);
+    return null;
+  }
+  return existing;
+};
+
+/**
+ * Queue a message unless a concurrent request with the same idempotency key won the race
+ * 
+ * @param {Object} messageData - Fields for enqueueMessage, including idempotencyKey if any
+ * @returns {Promise<Object>} - { message, replayed }
+ */
+const enqueueOnce = async (messageData) => {
   try {
-    const result = await Message.updateOne(
-      { _id: messageId },
-      { 
-        $set: { 
-          ...updateData,
-          updatedAt: new Date()
-        }
-      }
-    );
-    
-    if (result.modifiedCount === 0) {
-      logError(`Failed to update message: ${messageId} - Document not found or no changes made`);
-    } else {
-      logInfo(`Message updated successfully: ${messageId}`);
-    }
-    
-    return result;
+    return { message: await enqueueMessage(messageData), replayed: false };
   } catch (error) {
-    logError(`Error updating message ${messageId}:`, error);
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey && messageData.idempotencyKey) {
+      const existing = await Message.findOne({ idempotencyKey: messageData.idempotencyKey }).lean();
+      if (existing) return { message: existing, replayed: true };
+    }
     throw error;
   }
 };
 
 /**
- * Helper to strip whatsapp: prefix
- * @param {string} number - The phone number to strip.
- * @returns {string} - The phone number with the whatsapp: prefix removed.
+ * Respond to a repeated request with the original message instead of sending it again
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} message - Message created by the original request
+ * @param {string} contactId - contactId of the repeated request
+ * @param {string} description - Response message text
+ * @param {Function} buildData - Builds the response data from the message, as for the original response
+ */
+const replayIdempotentRequest = (res, message, contactId, description, buildData) => {
+  if (message.contactId !== contactId) {
+    return res.status(409).json({ 
+      success: false, 
+      error: 'Idempotency-Key was already used for a request to a different contact' 
+    });
+  }
+
+  logInfo(`Replaying idempotent request for message ${message._id}`);
+  res.set('Idempotent-Replayed', 'true');
+  res.status(202).json({ success: true, message: description, data: buildData(message) });
+};
+
+const sendMessageResult = (message) => ({
+  messageId: message._id,
+  messageSid: message.messageSid,
+  status: message.status,
+  contactId: message.contactId,
+  to: `whatsapp:${message.to}`,
+  sendAt: message.sendAt || undefined,
+  // Set when the service window was closed and the re-engagement template was sent instead
+  substitutedTemplateSid: message.channelMetadata?.reengagement ? message.contentSid : undefined
+});
+
+const sendTemplateResult = (message) => ({
+  messageId: message._id,
+  messageSid: message.messageSid,
+  status: message.status,
+  body: message.message,
+  renderedContent: message.renderedContent || null,
+  sendAt: message.sendAt || undefined
+});
+
+/**
+ * Reject a send to a number that has opted out of WhatsApp messages
+ *
+ * @param {Object} res - Express response
+ * @param {string} phone - Recipient number
+ * @returns {Promise<boolean>} - True if the request was rejected (response already sent)
  */
-function stripWhatsappPrefix(number) {
-  if (!number) return number;
-  return number.replace(/^whatsapp:/, '');
-}
+const rejectIfOptedOut = async (res, phone) => {
+  if (!(await isOptedOut(phone))) return false;
+  logInfo(`Rejected send to ${phone}: recipient opted out`);
+  res.status(422).json({
+    success: false,
+    error: 'This contact has opted out of WhatsApp messages. They can opt back in by replying START.',
+    errorCode: RECIPIENT_OPTED_OUT
+  });
+  return true;
+};
 
 /**
  * POST /send-message
  * Send WhatsApp message (text or media)
+ * Responds 202 once the message is queued; the outbound worker delivers it and
+ * status changes are pushed over Socket.IO and exposed on GET /:messageId/status
  * 
  * Request body:
  * - contactId: Unique identifier for the contact
- * - to: Recipient phone number (E.164 format recommended)
- * - body: Message text content (required if no mediaUrl)
- * - mediaUrl: Media URL or array of URLs (required if no body)
+ * - to: Recipient phone number (E.164 format recommended); must be able to receive WhatsApp messages
+ * - region: ISO country code for a national `to` number (default: the tenant's default region)
+ * - body: Message text content (required if no mediaUrl or mediaIds)
+ * - mediaUrl: Pre-hosted media URL or array of URLs
+ * - mediaIds: ID or array of IDs of files uploaded via POST /api/media
  * - contactName: Display name for the contact
  * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); it picks the messaging provider
+ * - clientMessageId: Idempotency key, alternative to the Idempotency-Key header
+ * - sendAt: Schedule the message instead of sending now; ISO date-time with offset,
+ *   or a local date-time (e.g. 2026-01-15T09:00) together with timeZone
+ * - timeZone: IANA time zone for a local sendAt, e.g. the customer's (America/New_York)
+ * 
+ * Repeating a request with the same Idempotency-Key within the retention window
+ * returns the original message instead of sending a duplicate.
+ * 
+ * Sends to numbers that opted out are rejected with 422 and errorCode RECIPIENT_OPTED_OUT.
+ * 
+ * Outside the WhatsApp 24-hour service window the request is rejected with 422 and
+ * errorCode SERVICE_WINDOW_CLOSED, unless a re-engagement template is configured
+ * (REENGAGEMENT_TEMPLATE_SID), in which case that template is sent instead.
+ * Scheduled messages must fall inside the window at sendAt; they are not substituted.
  */
 router.post('/send-message', async (req, res) => {
   try {
@@ -236,8 +253,12 @@ router.post('/send-message', async (req, res) => {
       to, 
       body, 
       mediaUrl, 
+      mediaIds, 
       contactName, 
-      fromName = 'Salesforce User' 
+      fromName = 'Salesforce User',
+      from,
+      sendAt,
+      timeZone
     } = req.body;
 
     // Input validation
@@ -248,6 +269,19 @@ router.post('/send-message', async (req, res) => {
       });
     }
 
+    if (!ensureContactAccess(req, res, contactId.trim())) return;
+
+    const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json({ success: false, error: idempotencyError });
+    }
+    if (idempotencyKey) {
+      const existing = await findIdempotentMessage(idempotencyKey);
+      if (existing) {
+        return replayIdempotentRequest(res, existing, contactId.trim(), 'Message queued for delivery', sendMessageResult);
+      }
+    }
+
     if (!to || typeof to !== 'string') {
       return res.status(400).json({ 
         success: false, 
@@ -255,28 +289,25 @@ router.post('/send-message', async (req, res) => {
       });
     }
 
-    if (!body && !mediaUrl) {
+    if (!body && !mediaUrl && !mediaIds) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Either body or mediaUrl is required' 
+        error: 'Either body, mediaUrl or mediaIds is required' 
       });
     }
 
-    // Format and validate phone numbers
-    const formattedTo = formatPhoneNumber(to);
-    if (!formattedTo) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid recipient phone number format. Use E.164 format (e.g., +1234567890)' 
-      });
-    }
+    // Parse and validate the recipient number
+    const formattedTo = parseRecipient(req, res, to);
+    if (!formattedTo) return;
+
+    if (await rejectIfOptedOut(res, formattedTo)) return;
 
-    const fromNumber = formatPhoneNumber(process.env.TWILIO_FROM_NUMBER);
-    if (!fromNumber) {
-      logError('TWILIO_FROM_NUMBER environment variable is not configured or invalid');
-      return res.status(500).json({ 
+    const sender = resolveSender(from);
+    if (sender.error) {
+      if (sender.status === 500) logError(sender.error);
+      return res.status(sender.status).json({ 
         success: false, 
-        error: 'Server configuration error: FROM_NUMBER not configured' 
+        error: sender.error 
       });
     }
 
@@ -289,86 +320,105 @@ router.post('/send-message', async (req, res) => {
       });
     }
 
-    // Create initial message document with temporary SID
+    // Resolve uploaded files; their signed URLs are generated when the worker sends
+    const { media, error: mediaError } = await resolveMediaIds(mediaIds, req.auth);
+    if (mediaError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: mediaError 
+      });
+    }
+
+    const schedule = sendAt !== undefined ? parseSendAt(sendAt, timeZone) : null;
+    if (schedule?.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: schedule.error 
+      });
+    }
+
+    // WhatsApp rejects free-form messages outside the 24-hour service window (Twilio error 63016),
+    // so fail fast here instead of after the queue has retried
+    let reengagement = null;
+    if (isServiceWindowEnforced()) {
+      const serviceWindow = await getServiceWindow(formattedTo);
+      if (schedule && !(serviceWindow.expiresAt > schedule.sendAt)) {
+        logInfo(`Rejected scheduled message to ${formattedTo}: service window closed at sendAt`);
+        return res.status(422).json({ 
+          success: false, 
+          error: 'The 24-hour WhatsApp customer service window will be closed at sendAt. Schedule an approved template via POST /messages/send-template instead.',
+          errorCode: SERVICE_WINDOW_CLOSED,
+          serviceWindow
+        });
+      }
+      if (!schedule && !serviceWindow.open) {
+        reengagement = getReengagementTemplate();
+        // The re-engagement template only helps if the sender's provider has it
+        if (reengagement) {
+          const template = await getTemplate(reengagement.contentSid);
+          if (!template || template.approvalStatus !== 'approved' || !isTemplateSendableBy(template, sender.provider)) {
+            logError(`Re-engagement template ${reengagement.contentSid} is not approved or cannot be sent by ${sender.provider.name} (sender ${sender.from})`);
+            reengagement = null;
+          }
+        }
+        if (!reengagement) {
+          logInfo(`Rejected free-form message to ${formattedTo}: service window closed`);
+          return res.status(422).json({ 
+            success: false, 
+            error: 'The 24-hour WhatsApp customer service window is closed for this contact. Send an approved template via POST /messages/send-template instead.',
+            errorCode: SERVICE_WINDOW_CLOSED,
+            serviceWindow
+          });
+        }
+        logInfo(`Service window closed for ${formattedTo}, substituting re-engagement template ${reengagement.contentSid}`);
+      }
+    }
+
+    const content = reengagement
+      ? {
+        message: '',
+        contentSid: reengagement.contentSid,
+        contentVariables: reengagement.contentVariables,
+        messageType: 'template',
+        // Keep what the agent wrote so the widget can offer to resend it once the customer replies
+        channelMetadata: { reengagement: true, originalBody: body?.trim() || '', originalMediaUrl: validMediaUrls, originalMedia: media }
+      }
+      : {
+        message: body?.trim() || '',
+        mediaUrl: validMediaUrls,
+        media,
+        messageType: validMediaUrls.length > 0 || media.length > 0 ? 'media' : 'text'
+      };
+
+    // Queue the message with a temporary SID; the worker swaps in Twilio's SID once sent
     const tempMessageSid = `tw_${uuidv4()}`;
-    const messageData = {
+    const { message: newMessage, replayed } = await enqueueOnce({
       messageSid: tempMessageSid,
+      idempotencyKey,
       contactId: contactId.trim(),
       contactName: contactName?.trim() || 'Unknown',
       fromName: fromName?.trim() || 'Salesforce User',
-      message: body?.trim() || '',
-      mediaUrl: validMediaUrls,
-      direction: 'outbound',
-      status: 'queued',
-      from: stripWhatsappPrefix(fromNumber),
-      to: stripWhatsappPrefix(formattedTo),
-      messageType: validMediaUrls.length > 0 ? 'media' : 'text'
-    };
-
-    const newMessage = await createMessageDocument(messageData);
-
-    // Construct status callback URL with fallback
-    const apiBaseUrl = process.env.API_BASE_URL || 'https://whatsappwidget-be.onrender.com';
-    const statusCallbackUrl = `${apiBaseUrl}/webhook/status`;
-
-    // Prepare Twilio message options
-    const messageOptions = {
-      from: fromNumber, // Keep whatsapp: prefix for Twilio API
-      to: formattedTo,  // Keep whatsapp: prefix for Twilio API
-      statusCallback: statusCallbackUrl
-    };
-
-    // Add body if provided
-    if (body?.trim()) {
-      messageOptions.body = body.trim();
-    }
-
-    // Add media URLs if provided
-    if (validMediaUrls.length > 0) {
-      messageOptions.mediaUrl = validMediaUrls;
-    }
-
-    // Send message via Twilio with retry logic
-    logInfo(`Sending message to ${formattedTo} for contact ${contactId}`);
-    const { success, message, error } = await sendWithRetry(messageOptions);
-
-    // Update message document based on result
-    if (success) {
-      await updateMessageStatus(newMessage._id, {
-        messageSid: message.sid,
-        status: 'sent',
-        sentAt: new Date()
-      });
+      ...content,
+      sendAt: schedule?.sendAt,
+      timeZone: schedule?.timeZone,
+      from: sender.from,
+      to: formattedTo
+    });
+    if (replayed) {
+      return replayIdempotentRequest(res, newMessage, contactId.trim(), 'Message queued for delivery', sendMessageResult);
+    }
 
-      logInfo(`Message sent successfully: ${message.sid} to ${formattedTo}`);
-      
-      res.status(202).json({
-        success: true,
-        message: 'Message sent successfully',
-        data: { 
-          messageId: newMessage._id,
-          messageSid: message.sid,
-          status: 'sent',
-          contactId,
-          to: formattedTo
-        }
-      });
-    } else {
-      await updateMessageStatus(newMessage._id, {
-        status: 'failed',
-        errorCode: error.code || 'UNKNOWN_ERROR',
-        errorMessage: error.message || 'Unknown error occurred',
-        failedAt: new Date()
-      });
+    logInfo(`Message ${schedule ? 'scheduled' : 'queued'} for ${formattedTo} for contact ${contactId}`);
 
-      logError(`Failed to send message to ${formattedTo}: ${error.message} (Code: ${error.code})`);
-      
-      res.status(500).json({ 
-        success: false, 
-        error: `Failed to send message: ${error.message}`,
-        errorCode: error.code
-      });
-    }
+    let description = 'Message queued for delivery';
+    if (schedule) description = `Message scheduled for ${schedule.sendAt.toISOString()}`;
+    else if (reengagement) description = 'Service window closed; re-engagement template queued for delivery';
+
+    res.status(202).json({
+      success: true,
+      message: description,
+      data: sendMessageResult(newMessage)
+    });
 
   } catch (error) {
     logError('Error in send-message endpoint:', error);
@@ -382,109 +432,571 @@ router.post('/send-message', async (req, res) => {
 /**
  * POST /send-template
  * Send WhatsApp template message
+ * Queued for the outbound worker like /send-message
  * 
  * Request body:
  * - contactId: Unique identifier for the contact
- * - to: Recipient phone number (E.164 format recommended)
+ * - to: Recipient phone number (E.164 format recommended); must be able to receive WhatsApp messages
+ * - region: ISO country code for a national `to` number (default: the tenant's default region)
  * - contentSid: Twilio Content Template SID
- * - contentVariables: Object/Array of template variables
+ * - contentVariables: Object/Array of template variables; must match the template's placeholders
  * - contactName: Display name for the contact
  * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); it picks the messaging provider
+ * - clientMessageId: Idempotency key, alternative to the Idempotency-Key header
+ * - sendAt: Schedule the template instead of sending now (see /send-message)
+ * - timeZone: IANA time zone for a local sendAt
  */
 router.post('/send-template', async (req, res) => {
   try {
-    const { contactId, to, contentSid, contentVariables, contactName, fromName = 'Salesforce User' } = req.body;
+    const { contactId, to, contentSid, contentVariables, contactName, fromName = 'Salesforce User', from, sendAt, timeZone } = req.body;
 
     if (!contactId || !to || !contentSid) {
       return res.status(400).json({ success: false, error: 'contactId, to, and contentSid are required' });
     }
 
-    const formattedTo = formatPhoneNumber(to);
-    if (!formattedTo) {
-      return res.status(400).json({ success: false, error: 'Invalid to number format' });
+    if (!ensureContactAccess(req, res, contactId)) return;
+
+    const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json({ success: false, error: idempotencyError });
     }
+    if (idempotencyKey) {
+      const existing = await findIdempotentMessage(idempotencyKey);
+      if (existing) {
+        return replayIdempotentRequest(res, existing, contactId, 'Template queued for delivery', sendTemplateResult);
+      }
+    }
+
+    const formattedTo = parseRecipient(req, res, to);
+    if (!formattedTo) return;
+
+    if (await rejectIfOptedOut(res, formattedTo)) return;
 
-    const fromNumber = formatPhoneNumber(process.env.TWILIO_FROM_NUMBER);
-    if (!fromNumber) {
-      return res.status(500).json({ success: false, error: 'TWILIO_FROM_NUMBER is not configured' });
+    const sender = resolveSender(from);
+    if (sender.error) {
+      return res.status(sender.status).json({ success: false, error: sender.error });
+    }
+
+    const contentVars = normalizeContentVariables(contentVariables);
+    if (!contentVars) {
+      return res.status(400).json({ success: false, error: 'contentVariables must be an object or an array' });
+    }
+
+    const template = await getTemplate(contentSid);
+    if (!template || !template.active) {
+      return res.status(400).json({ success: false, error: `Unknown template: ${contentSid}` });
+    }
+    // WhatsApp only delivers approved templates; anything else would be queued and fail at the provider
+    if (template.approvalStatus !== 'approved') {
+      return res.status(400).json({ success: false, error: `Template ${contentSid} is not approved for WhatsApp (status: ${template.approvalStatus})` });
+    }
+    if (!isTemplateSendableBy(template, sender.provider)) {
+      return res.status(400).json({ success: false, error: `Template ${contentSid} is not available to ${sender.from}, which sends through ${sender.provider.name}` });
+    }
+    const variablesError = validateTemplateVariables(template, contentVars);
+    if (variablesError) {
+      return res.status(400).json({
+        success: false,
+        error: variablesError,
+        placeholders: template.placeholders
+      });
+    }
+
+    const schedule = sendAt !== undefined ? parseSendAt(sendAt, timeZone) : null;
+    if (schedule?.error) {
+      return res.status(400).json({ success: false, error: schedule.error });
     }
 
     const tempMessageSid = `tw_${uuidv4()}`;
-    const newMessage = new Message({
+    const { message: newMessage, replayed } = await enqueueOnce({
       messageSid: tempMessageSid,
+      idempotencyKey,
       contactId,
       contactName: contactName || 'Unknown',
       contentSid,
-      contentVariables: contentVariables || {},
+      contentVariables: contentVars,
       fromName,
-      direction: 'outbound',
-      status: 'queued',
-      from: stripWhatsappPrefix(fromNumber),
-      to: stripWhatsappPrefix(formattedTo),
+      sendAt: schedule?.sendAt,
+      timeZone: schedule?.timeZone,
+      from: sender.from,
+      to: formattedTo,
       messageType: 'template'
     });
-    await newMessage.save();
+    if (replayed) {
+      return replayIdempotentRequest(res, newMessage, contactId, 'Template queued for delivery', sendTemplateResult);
+    }
+
+    logInfo(`Template ${schedule ? 'scheduled' : 'queued'}: ${newMessage._id}`);
+    res.status(202).json({
+      success: true,
+      message: schedule ? `Template scheduled for ${schedule.sendAt.toISOString()}` : 'Template queued for delivery',
+      data: sendTemplateResult(newMessage)
+    });
+  } catch (error) {
+    logError('Error in send-template endpoint:', error);
+    res.status(500).json({ success: false, error: 'Internal server error while sending template' });
+  }
+});
 
-    const apiBaseUrl = process.env.API_BASE_URL || 'https://whatsappwidget-be.onrender.com';
-    const statusCallbackUrl = `${apiBaseUrl}/webhook/status`;
+/**
+ * Shared flow for session (non-template) sends built from structured input: interactive messages,
+ * locations and contact cards. Validates, checks the service window, then prepares and queues the
+ * message. These cannot be carried by a template, so they are rejected rather than substituted
+ * when the service window is closed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.kind - Label for logs and responses, e.g. 'Interactive message'
+ * @param {Function} options.validate - (body) => { value } or { error }
+ * @param {Function} options.prepare - async (value, req, sender) => message fields (message, contentSid, media, messageType, ...)
+ * @param {Function} [options.buildData] - Response data builder (default: sendMessageResult)
+ */
+const queueSessionMessage = async (req, res, { kind, validate, prepare, buildData = sendMessageResult }) => {
+  const { contactId, to, contactName, fromName = 'Salesforce User', from } = req.body;
+  const queuedMessage = `${kind} queued for delivery`;
 
-    let contentVars = {};
-    if (!contentVariables) {
-      contentVars = { "1": "696969" };
-    } else if (Array.isArray(contentVariables)) {
-      contentVariables.forEach((val, idx) => {
-        contentVars[`${idx + 1}`] = val;
-      });
-    } else if (typeof contentVariables === 'object' && contentVariables !== null) {
-      contentVars = { ...contentVariables };
+  if (!contactId || typeof contactId !== 'string' || !to || typeof to !== 'string') {
+    return res.status(400).json({ success: false, error: 'contactId and to are required' });
+  }
+
+  if (!ensureContactAccess(req, res, contactId.trim())) return;
+
+  const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
+  if (idempotencyError) {
+    return res.status(400).json({ success: false, error: idempotencyError });
+  }
+  if (idempotencyKey) {
+    const existing = await findIdempotentMessage(idempotencyKey);
+    if (existing) {
+      return replayIdempotentRequest(res, existing, contactId.trim(), queuedMessage, buildData);
     }
+  }
 
-    const messageOptions = {
-      from: stripWhatsappPrefix(fromNumber),
-      to: stripWhatsappPrefix(formattedTo),
-      contentSid,
-      contentVariables: JSON.stringify(contentVars),
-      statusCallback: statusCallbackUrl
-    };
-    const { success, message, error } = await sendWithRetry(messageOptions);
+  const { value, error } = validate(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-    if (success) {
-      // Fetch the actual message body from Twilio
-      const fetchedMessage = await twilioClient.messages(message.sid).fetch();
+  const formattedTo = parseRecipient(req, res, to);
+  if (!formattedTo) return;
 
-      await Message.updateOne({ _id: newMessage._id }, {
-        $set: { 
-          messageSid: message.sid, 
-          status: 'sent', 
-          sentAt: new Date(),
-          message: fetchedMessage.body || ''
-        }
-      });
-      logInfo(`Template sent successfully: ${message.sid}`);
-      res.status(202).json({
-        success: true,
-        message: 'Template sent successfully',
-        data: { messageSid: message.sid, status: 'sent' }
+  if (await rejectIfOptedOut(res, formattedTo)) return;
+
+  const sender = resolveSender(from);
+  if (sender.error) {
+    return res.status(sender.status).json({ success: false, error: sender.error });
+  }
+
+  if (isServiceWindowEnforced()) {
+    const serviceWindow = await getServiceWindow(formattedTo);
+    if (!serviceWindow.open) {
+      logInfo(`Rejected ${kind.toLowerCase()} to ${formattedTo}: service window closed`);
+      return res.status(422).json({
+        success: false,
+        error: `The 24-hour WhatsApp customer service window is closed for this contact. ${kind}s can only be sent while it is open; use an approved template instead.`,
+        errorCode: SERVICE_WINDOW_CLOSED,
+        serviceWindow
       });
-    } else {
-      await Message.updateOne({ _id: newMessage._id }, {
-        $set: { status: 'failed', errorCode: error.code, errorMessage: error.message, failedAt: new Date() }
+    }
+  }
+
+  const content = await prepare(value, req, sender);
+
+  const { message: newMessage, replayed } = await enqueueOnce({
+    messageSid: `tw_${uuidv4()}`,
+    idempotencyKey,
+    contactId: contactId.trim(),
+    contactName: contactName?.trim() || 'Unknown',
+    fromName: fromName?.trim() || 'Salesforce User',
+    ...content,
+    from: sender.from,
+    to: formattedTo
+  });
+  if (replayed) {
+    return replayIdempotentRequest(res, newMessage, contactId.trim(), queuedMessage, buildData);
+  }
+
+  logInfo(`${kind} queued: ${newMessage._id}`);
+  res.status(202).json({
+    success: true,
+    message: queuedMessage,
+    data: buildData(newMessage)
+  });
+};
+
+/**
+ * Options for an interactive send: validate with the given builder, then create (or reuse) its Content resource.
+ * Providers that send interactive messages inline (Meta) get the rendered definition instead.
+ *
+ * @param {string} contentType - 'twilio/quick-reply' or 'twilio/list-picker'
+ * @param {Function} build - buildQuickReply or buildListPicker
+ * @returns {Object} - queueSessionMessage options
+ */
+const interactiveOptions = (contentType, build) => ({
+  kind: 'Interactive message',
+  buildData: sendTemplateResult,
+  validate: (body) => {
+    const { definition, error } = build(body);
+    return { value: definition, error };
+  },
+  prepare: async (definition, req, { provider }) => {
+    if (provider.sendsInteractiveInline) {
+      return { message: definition.body, renderedContent: { contentType, ...definition }, messageType: 'interactive' };
+    }
+    const template = await getInteractiveContent(contentType, definition, provider);
+    return { contentSid: template.contentSid, contentVariables: {}, messageType: 'interactive' };
+  }
+});
+
+/**
+ * POST /send-quick-reply
+ * Send a message with up to 3 quick-reply buttons.
+ * The customer's tap comes back on /webhook/incoming as message.interactive (type 'button_reply', id = button id).
+ *
+ * Request body:
+ * - contactId: Unique identifier for the contact
+ * - to: Recipient phone number (E.164 format recommended); must be able to receive WhatsApp messages
+ * - region: ISO country code for a national `to` number (default: the tenant's default region)
+ * - body: Message text
+ * - buttons: Array of { title, id } (title max 20 characters; id defaults to the title)
+ * - contactName: Display name for the contact
+ * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); it picks the messaging provider
+ * - clientMessageId: Idempotency key, alternative to the Idempotency-Key header
+ */
+router.post('/send-quick-reply', async (req, res) => {
+  try {
+    await queueSessionMessage(req, res, interactiveOptions('twilio/quick-reply', buildQuickReply));
+  } catch (error) {
+    logError('Error in send-quick-reply endpoint:', error);
+    res.status(500).json({ success: false, error: 'Internal server error while sending quick reply' });
+  }
+});
+
+/**
+ * POST /send-list
+ * Send a list message: a button that opens up to 10 selectable items.
+ * The customer's selection comes back on /webhook/incoming as message.interactive (type 'list_reply', id = item id).
+ *
+ * Request body:
+ * - contactId: Unique identifier for the contact
+ * - to: Recipient phone number (E.164 format recommended); must be able to receive WhatsApp messages
+ * - region: ISO country code for a national `to` number (default: the tenant's default region)
+ * - body: Message text
+ * - button: Label of the button that opens the list (max 20 characters)
+ * - items: Array of { item, id, description } (item max 24 characters, description max 72; id defaults to the item)
+ * - contactName: Display name for the contact
+ * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); it picks the messaging provider
+ * - clientMessageId: Idempotency key, alternative to the Idempotency-Key header
+ */
+router.post('/send-list', async (req, res) => {
+  try {
+    await queueSessionMessage(req, res, interactiveOptions('twilio/list-picker', buildListPicker));
+  } catch (error) {
+    logError('Error in send-list endpoint:', error);
+    res.status(500).json({ success: false, error: 'Internal server error while sending list' });
+  }
+});
+
+/**
+ * POST /send-location
+ * Send a location pin
+ *
+ * Request body:
+ * - contactId: Unique identifier for the contact
+ * - to: Recipient phone number (E.164 format recommended); must be able to receive WhatsApp messages
+ * - region: ISO country code for a national `to` number (default: the tenant's default region)
+ * - latitude: Latitude in degrees (-90 to 90)
+ * - longitude: Longitude in degrees (-180 to 180)
+ * - label: Place name shown on the pin
+ * - address: Street address shown under the pin
+ * - contactName: Display name for the contact
+ * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); it picks the messaging provider
+ * - clientMessageId: Idempotency key, alternative to the Idempotency-Key header
+ */
+router.post('/send-location', async (req, res) => {
+  try {
+    await queueSessionMessage(req, res, {
+      kind: 'Location',
+      validate: buildLocation,
+      prepare: async (location) => ({
+        // WhatsApp needs some body text alongside the pin
+        message: describeLocation(location) || `${location.latitude}, ${location.longitude}`,
+        location,
+        messageType: 'location'
+      })
+    });
+  } catch (error) {
+    logError('Error in send-location endpoint:', error);
+    res.status(500).json({ success: false, error: 'Internal server error while sending location' });
+  }
+});
+
+/**
+ * POST /send-contact
+ * Send a contact card, delivered to WhatsApp as a vCard file
+ *
+ * Request body:
+ * - contactId: Unique identifier for the contact
+ * - to: Recipient phone number (E.164 format recommended); must be able to receive WhatsApp messages
+ * - region: ISO country code for a national `to` number (default: the tenant's default region)
+ * - contact: { name, phones: [{ number, type }], emails: [{ address, type }], organization }
+ *   name may be a string or { first, last, formatted }; phones and emails may be plain strings
+ *   phone types: cell (default), work, home; email types: internet (default), work, home
+ * - contactName: Display name for the contact
+ * - fromName: Sender name (defaults to 'Salesforce User')
+ * - from: Sending number, one of the tenant's sender numbers (defaults to its default sender); it picks the messaging provider
+ * - clientMessageId: Idempotency key, alternative to the Idempotency-Key header
+ */
+router.post('/send-contact', async (req, res) => {
+  try {
+    await queueSessionMessage(req, res, {
+      kind: 'Contact card',
+      validate: buildContactCard,
+      prepare: async (contact, request) => ({
+        message: '',
+        media: [await storeContactCard(contact, request.auth?.subject)],
+        contacts: [contact],
+        messageType: 'contact'
+      })
+    });
+  } catch (error) {
+    logError('Error in send-contact endpoint:', error);
+    res.status(500).json({ success: false, error: 'Internal server error while sending contact card' });
+  }
+});
+
+/**
+ * Load a scheduled (or formerly scheduled) outbound message within the caller's contacts
+ *
+ * @param {Object} req - Express request with req.params.messageId
+ * @returns {Promise<Object|null>} - Message document
+ */
+const findScopedScheduledMessage = (req) => {
+  const { messageId } = req.params;
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  return Message.findOne({ _id: messageId, direction: 'outbound', sendAt: { $ne: null }, ...contactScopeFilter(req.auth) });
+};
+
+/**
+ * GET /scheduled
+ * List pending scheduled messages, soonest first
+ *
+ * Query parameters:
+ * - contactId: Filter by contact ID
+ * - page: Page number (default: 1)
+ * - limit: Number of messages per page (default: 20, max: 100)
+ */
+router.get('/scheduled', async (req, res) => {
+  try {
+    const { contactId, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100); // Cap limit at 100
+
+    if (pageNum < 1 || limitNum < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Page and limit must be positive integers' 
       });
-      logError(`Failed to send template: ${error.message} (Code: ${error.code})`);
-      res.status(500).json({ success: false, error: `Failed to send template: ${error.message}` });
     }
+
+    const query = { ...contactScopeFilter(req.auth), direction: 'outbound', status: 'scheduled' };
+    if (contactId) {
+      if (!ensureContactAccess(req, res, contactId.trim())) return;
+      query.contactId = contactId.trim();
+    }
+
+    const [total, messages] = await Promise.all([
+      Message.countDocuments(query),
+      Message.find(query)
+        .sort({ sendAt: 1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      success: true,
+      data: messages,
+      pagination: { 
+        total,
+        page: pageNum,
+        totalPages,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
   } catch (error) {
-    logError('Error in send-template endpoint:', error);
-    res.status(500).json({ success: false, error: 'Internal server error while sending template' });
+    logError('Error fetching scheduled messages:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch scheduled messages' });
+  }
+});
+
+/**
+ * PATCH /scheduled/:messageId
+ * Edit or reschedule a message that has not been sent yet
+ *
+ * Request body (all optional, at least one required):
+ * - body: New text (free-form messages only)
+ * - contentVariables: New template variables (template messages only)
+ * - sendAt: New send time (see /send-message)
+ * - timeZone: IANA time zone for a local sendAt
+ */
+router.patch('/scheduled/:messageId', async (req, res) => {
+  try {
+    const { body, contentVariables, sendAt, timeZone } = req.body;
+    if (body === undefined && contentVariables === undefined && sendAt === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide body, contentVariables or sendAt to update' });
+    }
+
+    const message = await findScopedScheduledMessage(req);
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+    if (message.status !== 'scheduled') {
+      return res.status(409).json({ success: false, error: `Message is already ${message.status}` });
+    }
+
+    const changes = {};
+    if (body !== undefined) {
+      if (message.contentSid) {
+        return res.status(400).json({ success: false, error: 'Template messages cannot take a body; update contentVariables instead' });
+      }
+      if (typeof body !== 'string' || (!body.trim() && !message.media?.length && !message.mediaUrl?.length)) {
+        return res.status(400).json({ success: false, error: 'body must be a non-empty string' });
+      }
+      changes.message = body.trim();
+    }
+
+    if (contentVariables !== undefined) {
+      if (!message.contentSid) {
+        return res.status(400).json({ success: false, error: 'contentVariables only apply to template messages' });
+      }
+      const contentVars = normalizeContentVariables(contentVariables);
+      const template = contentVars && await getTemplate(message.contentSid);
+      const variablesError = !contentVars ? 'contentVariables must be an object or an array' : template && validateTemplateVariables(template, contentVars);
+      if (variablesError) {
+        return res.status(400).json({ success: false, error: variablesError, placeholders: template?.placeholders });
+      }
+      changes.contentVariables = contentVars;
+    }
+
+    if (sendAt !== undefined) {
+      const schedule = parseSendAt(sendAt, timeZone);
+      if (schedule.error) {
+        return res.status(400).json({ success: false, error: schedule.error });
+      }
+      if (!message.contentSid && isServiceWindowEnforced()) {
+        const serviceWindow = await getServiceWindow(message.to);
+        if (!(serviceWindow.expiresAt > schedule.sendAt)) {
+          return res.status(422).json({
+            success: false,
+            error: 'The 24-hour WhatsApp customer service window will be closed at sendAt.',
+            errorCode: SERVICE_WINDOW_CLOSED,
+            serviceWindow
+          });
+        }
+      }
+      changes.sendAt = schedule.sendAt;
+      changes.timeZone = schedule.timeZone || null;
+    }
+
+    const updated = await updateScheduledMessage(message, changes);
+    if (!updated) {
+      return res.status(409).json({ success: false, error: 'Message was sent or cancelled before the update' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    logError('Error updating scheduled message:', error);
+    res.status(500).json({ success: false, error: 'Failed to update scheduled message' });
   }
 });
 
+/**
+ * POST /scheduled/:messageId/cancel
+ * Cancel a message that has not been sent yet
+ */
+router.post('/scheduled/:messageId/cancel', async (req, res) => {
+  try {
+    const message = await findScopedScheduledMessage(req);
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+
+    const cancelled = await cancelScheduledMessage(message._id);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, error: `Message is already ${message.status === 'scheduled' ? 'released' : message.status}` });
+    }
+    res.json({ success: true, data: cancelled });
+  } catch (error) {
+    logError('Error cancelling scheduled message:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel scheduled message' });
+  }
+});
+
+/**
+ * Build the message filter shared by the list and search routes from query parameters
+ * (contactId, phone, region, status, direction, startDate, endDate), restricted to the caller's contacts
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response; a 400 or 403 is sent for invalid or forbidden filters
+ * @returns {Object|null} - Message filter, or null if a response was sent
+ */
+const buildMessageFilter = (req, res) => {
+  const { contactId, phone, status, direction, startDate, endDate } = req.query;
+  const query = { ...contactScopeFilter(req.auth) };
+
+  if (contactId) {
+    if (!ensureContactAccess(req, res, contactId.trim())) return null;
+    query.contactId = contactId.trim();
+  }
+
+  // Phone numbers are matched exactly as E.164 on both from/to
+  if (phone) {
+    const normalizedPhone = normalizePhone(phone, { region: req.query.region });
+    if (!normalizedPhone) {
+      res.status(400).json({ success: false, error: 'phone must be a valid phone number' });
+      return null;
+    }
+    query.$or = [{ from: normalizedPhone }, { to: normalizedPhone }];
+  }
+  if (status) {
+    query.status = status.trim();
+  }
+  if (direction && ['inbound', 'outbound'].includes(direction.toLowerCase())) {
+    query.direction = direction.toLowerCase();
+  }
+  // Date range filtering
+  for (const [name, value, operator] of [['startDate', startDate, '$gte'], ['endDate', endDate, '$lte']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      res.status(400).json({ 
+        success: false, 
+        error: `Invalid ${name} format. Use ISO format (YYYY-MM-DDTHH:mm:ss.sssZ)` 
+      });
+      return null;
+    }
+    query.timestamp = { ...query.timestamp, [operator]: date };
+  }
+  return query;
+};
+
 /**
  * GET / (mounted at /messages)
  * Get messages with pagination and filtering
  * 
  * Query parameters:
  * - contactId: Filter by contact ID
+ * - phone: Filter by the contact's number (either side of the conversation)
+ * - region: ISO country code for a national phone number (default: the tenant's default region)
  * - status: Filter by message status
  * - direction: Filter by message direction (inbound/outbound)
  * - startDate: Filter messages after this date (ISO format)
@@ -501,10 +1013,6 @@ router.get('/', async (req, res) => {
     const { 
       contactId, 
       phone, // allow phone number as a query param
-      status, 
-      direction, 
-      startDate, 
-      endDate, 
       page = 1, 
       limit = 20 
     } = req.query;
@@ -520,61 +1028,19 @@ router.get('/', async (req, res) => {
       });
     }
 
-    // Build query object
-    let query = {};
+    // Build query object, restricted to the caller's contacts
+    const query = buildMessageFilter(req, res);
+    if (!query) return;
     let fallbackQuery = null;
-    
-    if (contactId) {
-      query.contactId = contactId.trim();
-      
-      // If no phone parameter provided, prepare fallback query to search by phone
-      // This helps when contactId doesn't have messages but phone number does
-      if (!phone) {
-        fallbackQuery = {
-          $or: [
-            { from: { $regex: contactId.trim().replace(/[^\d]/g, ''), $options: 'i' } },
-            { to: { $regex: contactId.trim().replace(/[^\d]/g, ''), $options: 'i' } }
-          ]
-        };
-      }
-    }
-    
-    // Support phone number as a fallback (normalize for both from/to)
-    if (phone) {
-      const normalizedPhone = phone.replace(/[^\d]/g, '');
-      query.$or = [
-        { from: new RegExp(normalizedPhone, 'i') },
-        { to: new RegExp(normalizedPhone, 'i') }
-      ];
-    }
-    if (status) {
-      query.status = status.trim();
-    }
-    if (direction && ['inbound', 'outbound'].includes(direction.toLowerCase())) {
-      query.direction = direction.toLowerCase();
-    }
-    // Date range filtering
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) {
-        const start = new Date(startDate);
-        if (isNaN(start.getTime())) {
-          return res.status(400).json({ 
-            success: false, 
-            error: 'Invalid startDate format. Use ISO format (YYYY-MM-DDTHH:mm:ss.sssZ)' 
-          });
-        }
-        query.timestamp.$gte = start;
-      }
-      if (endDate) {
-        const end = new Date(endDate);
-        if (isNaN(end.getTime())) {
-          return res.status(400).json({ 
-            success: false, 
-            error: 'Invalid endDate format. Use ISO format (YYYY-MM-DDTHH:mm:ss.sssZ)' 
-          });
-        }
-        query.timestamp.$lte = end;
+
+    // If no phone parameter provided, prepare fallback query to search by phone
+    // This helps when contactId doesn't have messages but phone number does:
+    // the stored contact's phone, or contactId itself when it is a phone number
+    if (contactId && !phone) {
+      const contact = await findContactByKey(contactId);
+      const contactPhone = contact?.phone || (PHONE_KEY.test(contactId.trim()) ? normalizePhone(contactId) : null);
+      if (contactPhone) {
+        fallbackQuery = { ...contactScopeFilter(req.auth), $or: [{ from: contactPhone }, { to: contactPhone }] };
       }
     }
     // Execute query with pagination
@@ -633,6 +1099,60 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /search (mounted at /messages)
+ * Full-text search over message bodies, contact names and rendered template text, across conversations
+ *
+ * Query parameters:
+ * - q: Search text (required): words match any form of the word ('refund' finds 'refunded'),
+ *   "quoted phrases" must appear exactly (e.g. an order number), -word excludes messages
+ * - contactId, phone, region, status, direction, startDate, endDate: Filters, as for GET /
+ * - sort: relevance (default) or date (newest first)
+ * - limit: Number of results per page (default: 20, max: 100)
+ * - cursor: pagination.nextCursor from the previous page
+ *
+ * Each result is a message with its relevance score and highlights: one snippet per matching field
+ * ({ field, text, matches: [{ start, end }] }, offsets into text)
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, sort = 'relevance', limit = 20, cursor } = req.query;
+
+    if (typeof q !== 'string' || !q.trim() || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ success: false, error: `q is required and must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` });
+    }
+    const limitNum = Math.min(parseInt(limit), 100); // Cap limit at 100
+    if (!(limitNum >= 1)) {
+      return res.status(400).json({ success: false, error: 'limit must be a positive integer' });
+    }
+    let after;
+    if (cursor) {
+      const { value, error } = parseSearchCursor(String(cursor), sort);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      after = value;
+    }
+
+    const filter = buildMessageFilter(req, res);
+    if (!filter) return;
+
+    const { results, nextCursor } = await searchMessages({ q: q.trim(), filter, sort, limit: limitNum, cursor: after });
+    logInfo(`Message search returned ${results.length} results (sort: ${sort})`);
+    res.json({
+      success: true,
+      data: results,
+      pagination: { limit: limitNum, nextCursor, hasMore: Boolean(nextCursor) }
+    });
+  } catch (error) {
+    logError('Error searching messages:', error);
+    res.status(500).json({ success: false, error: 'Failed to search messages' });
+  }
+});
+
 /**
  * PATCH /read
  * Mark messages as read
@@ -640,6 +1160,8 @@ router.get('/', async (req, res) => {
  * Request body:
  * - messageIds: Array of message IDs to mark as read (optional if contactId provided)
  * - contactId: Contact ID to mark all unread inbound messages as read (optional if messageIds provided)
+ *
+ * Publishes a message:status event for each message that moves to 'read'
  */
 router.patch('/read', async (req, res) => {
   try {
@@ -664,9 +1186,10 @@ router.patch('/read', async (req, res) => {
     // Build query based on provided parameters
     let query;
     if (messageIds?.length) {
-      query = { _id: { $in: messageIds } };
+      query = { _id: { $in: messageIds }, ...contactScopeFilter(req.auth) };
       logInfo(`Marking ${messageIds.length} specific messages as read`);
     } else {
+      if (!ensureContactAccess(req, res, contactId.trim())) return;
       query = { 
         contactId: contactId.trim(), 
         direction: 'inbound', 
@@ -675,19 +1198,30 @@ router.patch('/read', async (req, res) => {
       logInfo(`Marking all unread inbound messages as read for contact: ${contactId}`);
     }
 
+    // Messages whose status changes, loaded with the fields the status event carries
+    const transitioning = await Message.find(
+      { $and: [query, { status: { $ne: 'read' } }] },
+      'tenantId contactId direction from to messageSid status sentAt deliveredAt failedAt errorCode errorMessage'
+    ).lean();
+
     // Update messages
+    const readAt = new Date();
     const result = await Message.updateMany(
       query,
       { 
         $set: { 
           isRead: true, 
-          readAt: new Date(), 
+          readAt, 
           status: 'read',
-          updatedAt: new Date()
+          updatedAt: readAt
         } 
       }
     );
 
+    for (const message of transitioning) {
+      publishMessageStatus({ ...message, status: 'read', isRead: true, readAt }, message.status);
+    }
+
     if (result.matchedCount === 0) {
       return res.status(404).json({ 
         success: false, 
@@ -735,6 +1269,7 @@ router.get('/:messageId/status', async (req, res) => {
 
     // Find message by either internal ID or Twilio SID
     const message = await Message.findOne({ 
+      ...contactScopeFilter(req.auth),
       $or: [
         { _id: messageId.trim() }, 
         { messageSid: messageId.trim() }
@@ -780,6 +1315,80 @@ router.get('/:messageId/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /:messageId/media/:index
+ * Stream a message's media item from our storage
+ * 
+ * Inbound media is served from the copy downloaded from Twilio, so the browser never sees Twilio URLs.
+ * Items whose download is still pending or failed are fetched on demand; an item another request is
+ * downloading gets 503 with Retry-After.
+ */
+router.get('/:messageId/media/:index', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const index = parseInt(req.params.index, 10);
+
+    if (!mongoose.isValidObjectId(messageId) || !Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'A valid messageId and non-negative media index are required' 
+      });
+    }
+
+    let message = await Message.findOne({ _id: messageId, ...contactScopeFilter(req.auth) }).lean();
+    if (!message || !message.media?.[index]) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Media not found' 
+      });
+    }
+
+    if (message.media[index].status !== 'stored') {
+      logInfo(`Media ${index} of message ${messageId} not stored yet, downloading on demand`);
+      message = await downloadInboundMedia(messageId);
+    }
+
+    const item = message?.media[index];
+    if (item?.status === 'downloading') {
+      res.set('Retry-After', '2');
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Media is still downloading' 
+      });
+    }
+    const media = item?.mediaId ? await Media.findById(item.mediaId).lean() : null;
+    if (!media) {
+      return res.status(502).json({ 
+        success: false, 
+        error: 'Media is not available yet',
+        details: item?.error
+      });
+    }
+
+    const stream = await openMediaStream(media);
+    stream.on('error', (error) => {
+      logError(`Error streaming media ${media._id}:`, error);
+      if (!res.headersSent) res.status(404).json({ success: false, error: 'Media not found' });
+      else res.end();
+    });
+
+    res.set({
+      'Content-Type': media.contentType,
+      'Content-Length': media.size,
+      'X-Content-Checksum-SHA256': media.checksum,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logError('Error serving message media:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch media' 
+    });
+  }
+});
+
 /**
  * Global error handler for the router
  * Catches any unhandled errors and returns a consistent error response
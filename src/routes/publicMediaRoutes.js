@@ -0,0 +1,52 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Media from '../models/Media.js';
+import { logWarn, logError } from '../utils/logger.js';
+import { verifyMediaSignature, openMediaStream } from '../services/mediaService.js';
+
+const router = express.Router();
+
+/**
+ * GET /:mediaId (mounted at /media)
+ * Serve a stored media file to Twilio via a signed, expiring URL
+ * 
+ * Query parameters:
+ * - expires: Unix timestamp (seconds) after which the URL is rejected
+ * - signature: HMAC of the media ID and expiry
+ */
+router.get('/:mediaId', async (req, res) => {
+  try {
+    const { mediaId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!mongoose.isValidObjectId(mediaId) || !verifyMediaSignature(mediaId, expires, signature)) {
+      logWarn(`Rejected media request with invalid or expired signature: ${mediaId}`, { ip: req.ip });
+      return res.status(403).json({ success: false, error: 'Invalid or expired media URL' });
+    }
+
+    const media = await Media.findById(mediaId).lean();
+    if (!media) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+
+    const stream = await openMediaStream(media);
+    stream.on('error', (error) => {
+      logError(`Error streaming media ${mediaId}:`, error);
+      if (!res.headersSent) res.status(404).json({ success: false, error: 'Media not found' });
+      else res.end();
+    });
+
+    res.set({
+      'Content-Type': media.contentType,
+      'Content-Length': media.size,
+      'Content-Disposition': `inline${media.filename ? `; filename="${media.filename.replace(/[^\x20-\x7e]|"/g, '_')}"` : ''}`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logError('Error serving media:', error);
+    res.status(500).json({ success: false, error: 'Failed to serve media' });
+  }
+});
+
+export default router;
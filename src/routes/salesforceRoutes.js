@@ -0,0 +1,138 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { ALL_CONTACTS } from '../middleware/auth.js';
+import { getSalesforceSyncStatus, isSalesforceSyncEnabled, queueSalesforceSync, SYNCABLE_STATUSES } from '../services/salesforceSync.js';
+import { isSalesforceResolverEnabled, resolveSalesforceContact } from '../services/salesforceResolver.js';
+import { normalizeContactPhone } from '../services/contactService.js';
+
+const router = express.Router();
+
+// The Salesforce connector acts on every contact's messages, so only callers with access to all contacts may manage it
+router.use((req, res, next) => {
+  if (!req.auth?.allowedContacts.includes(ALL_CONTACTS)) {
+    return res.status(403).json({ success: false, error: 'Not authorized to manage the Salesforce connector' });
+  }
+  next();
+});
+
+/**
+ * GET /sync (mounted at /api/salesforce)
+ * Write-back configuration and message counts per sync status (pending, syncing, synced, failed, skipped)
+ */
+router.get('/sync', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getSalesforceSyncStatus() });
+  } catch (error) {
+    logError('Error fetching Salesforce sync status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch Salesforce sync status' });
+  }
+});
+
+/**
+ * POST /sync/retry
+ * Queue every failed (and, with includeSkipped=true, skipped) message for another sync attempt
+ *
+ * Request body:
+ * - includeSkipped: Also retry messages skipped because they were not linked to a Salesforce record
+ */
+router.post('/sync/retry', async (req, res) => {
+  try {
+    if (!isSalesforceSyncEnabled()) {
+      return res.status(409).json({ success: false, error: 'Salesforce sync is not enabled' });
+    }
+
+    const statuses = req.body?.includeSkipped === true ? ['failed', 'skipped'] : ['failed'];
+    const result = await Message.updateMany(
+      { 'salesforceSync.status': { $in: statuses } },
+      { $set: { 'salesforceSync.status': 'pending', 'salesforceSync.attempts': 0, 'salesforceSync.nextAttemptAt': new Date() } }
+    );
+
+    logInfo(`Salesforce sync retry queued for ${result.modifiedCount} messages by ${req.auth?.subject}`);
+    res.json({ success: true, data: { queued: result.modifiedCount } });
+  } catch (error) {
+    logError('Error retrying Salesforce sync:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry Salesforce sync' });
+  }
+});
+
+/**
+ * POST /sync/messages/:messageId
+ * Queue one message to be written to Salesforce again
+ */
+router.post('/sync/messages/:messageId', async (req, res) => {
+  try {
+    if (!isSalesforceSyncEnabled()) {
+      return res.status(409).json({ success: false, error: 'Salesforce sync is not enabled' });
+    }
+
+    const { messageId } = req.params;
+    const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId).select('_id status') : null;
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    if (!SYNCABLE_STATUSES.includes(message.status)) {
+      return res.status(409).json({ success: false, error: `Messages with status ${message.status} are not synced to Salesforce` });
+    }
+
+    await queueSalesforceSync(message);
+    logInfo(`Salesforce sync queued for message ${message._id} by ${req.auth?.subject}`);
+    res.status(202).json({ success: true, message: 'Message queued for Salesforce sync' });
+  } catch (error) {
+    logError('Error queuing Salesforce sync:', error);
+    res.status(500).json({ success: false, error: 'Failed to queue Salesforce sync' });
+  }
+});
+
+/**
+ * POST /contacts/resolve
+ * Look a number up in Salesforce now, bypassing the cached "not found" result, and re-link its earlier messages on a match
+ *
+ * Request body:
+ * - phone: WhatsApp number
+ * - createLead: Create a Lead when nothing matches (default: the tenant's resolverCreateLeads, or SALESFORCE_RESOLVER_CREATE_LEADS)
+ */
+router.post('/contacts/resolve', async (req, res) => {
+  try {
+    if (!isSalesforceResolverEnabled()) {
+      return res.status(409).json({ success: false, error: 'Salesforce contact resolution is not enabled' });
+    }
+
+    const { phone, createLead } = req.body;
+    const normalized = typeof phone === 'string' ? normalizeContactPhone(phone) : null;
+    if (!normalized || normalized.length < 8) {
+      return res.status(400).json({ success: false, error: 'A valid phone is required' });
+    }
+    if (createLead !== undefined && typeof createLead !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'createLead must be a boolean' });
+    }
+
+    const match = await resolveSalesforceContact(normalized, { force: true, ...(createLead !== undefined ? { createLead } : {}) });
+    if (!match) {
+      return res.status(404).json({ success: false, error: `No Salesforce Contact or Lead found for ${normalized}` });
+    }
+    res.json({ success: true, data: { phone: normalized, ...match } });
+  } catch (error) {
+    logError('Error resolving Salesforce contact:', error);
+    res.status(500).json({ success: false, error: 'Failed to resolve Salesforce contact' });
+  }
+});
+
+/**
+ * Global error handler for the Salesforce router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in Salesforce routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in Salesforce routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
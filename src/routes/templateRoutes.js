@@ -0,0 +1,144 @@
+import express from 'express';
+import Template from '../models/Template.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { ALL_CONTACTS } from '../middleware/auth.js';
+import { getTemplate, syncTemplates } from '../services/templateService.js';
+import { getProvider, getProviderForSender, getSenderNumbers, normalizeSenderNumber } from '../providers/index.js';
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * GET / (mounted at /api/templates)
+ * List templates for the widget's template picker
+ *
+ * Query parameters:
+ * - search: Match friendly name or content SID
+ * - language: Filter by language code (e.g. en, en_US)
+ * - category: Filter by WhatsApp category (MARKETING, UTILITY, AUTHENTICATION)
+ * - status: Filter by approval status (e.g. approved, pending, rejected); 'all' for every status (default: approved)
+ * - contentType: Filter by content type (e.g. twilio/text, twilio/quick-reply)
+ * - from: Only templates the given sender number can send (those of its messaging provider)
+ * - includeInactive: 'true' to include templates deleted in Twilio
+ * - page: Page number (default: 1)
+ * - limit: Number of templates per page (default: 20, max: 100)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, language, category, status = 'approved', contentType, from, includeInactive, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100); // Cap limit at 100
+
+    if (pageNum < 1 || limitNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page and limit must be positive integers'
+      });
+    }
+
+    const query = {};
+    if (includeInactive !== 'true') query.active = true;
+    if (status !== 'all') query.approvalStatus = status.trim().toLowerCase();
+    if (language) query.language = language.trim();
+    if (category) query.category = category.trim().toUpperCase();
+    if (contentType) query.contentTypes = contentType.trim();
+    if (from) {
+      if (!getSenderNumbers().includes(normalizeSenderNumber(from))) {
+        return res.status(400).json({ success: false, error: `from must be one of the configured sender numbers: ${getSenderNumbers().join(', ')}` });
+      }
+      const provider = getProviderForSender(from);
+      // Templates cached before the provider was recorded belong to the default provider
+      query.provider = provider === getProvider() ? { $in: [provider.name, null] } : provider.name;
+    }
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ friendlyName: pattern }, { contentSid: pattern }];
+    }
+
+    const [total, templates] = await Promise.all([
+      Template.countDocuments(query),
+      Template.find(query)
+        .sort({ friendlyName: 1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    logInfo(`Retrieved ${templates.length} templates for query: ${JSON.stringify(req.query)}`);
+
+    res.json({
+      success: true,
+      data: templates,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logError('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates'
+    });
+  }
+});
+
+/**
+ * POST /sync
+ * Pull the template catalog from every messaging provider in use now instead of waiting for the periodic sync.
+ * Restricted to callers with access to all contacts.
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    if (!req.auth?.allowedContacts.includes(ALL_CONTACTS)) {
+      return res.status(403).json({ success: false, error: 'Not authorized to sync templates' });
+    }
+
+    const result = await syncTemplates();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logError('Error syncing templates:', error);
+    res.status(502).json({ success: false, error: 'Failed to sync templates from the messaging providers' });
+  }
+});
+
+/**
+ * GET /:contentSid
+ * Get a single template, fetching it from the messaging providers if it is not in the catalog yet
+ */
+router.get('/:contentSid', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.contentSid);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    logError('Error fetching template:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch template' });
+  }
+});
+
+/**
+ * Global error handler for the template router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in template routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in template routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
@@ -1,114 +1,224 @@
 // src/routes/webhookRoutes.js
 import express from 'express';
 import Message from '../models/Message.js';
-import { logInfo, logError } from '../utils/logger.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+import { publishMessageCreated, publishMessageStatus } from '../utils/realtime.js';
+import { runWithTenant, getCurrentTenant } from '../utils/tenantContext.js';
+import { normalizePhone } from '../utils/phone.js';
+import { requireWebhookSignature } from '../middleware/webhookSignature.js';
+import { getProvider, getProviderForSender, getSenderNumbers } from '../providers/index.js';
+import { loadTenant, findTenantBySlug, findTenantBySenderNumber, hasTenants } from '../services/tenantService.js';
+import { lookupContactIdByPhone, syncContactFromMessage } from '../services/contactService.js';
+import { downloadInboundMedia, mediaProxyUrl } from '../services/inboundMedia.js';
+import { recordInboundMessage } from '../services/conversationService.js';
+import { describeLocation, VCARD_CONTENT_TYPES } from '../services/structuredMessageService.js';
+import { detectConsentKeyword, recordConsent } from '../services/consentService.js';
+import { emitMessageReceived, emitMessageStatusChanged } from '../services/webhookService.js';
+import { queueSalesforceSync } from '../services/salesforceSync.js';
+import { resolveSalesforceContact } from '../services/salesforceResolver.js';
 
 const router = express.Router();
 
-// Helper function to look up Salesforce ContactId by WhatsApp number
-async function lookupContactIdByPhone(phone) {
-  // Clean the phone number for consistent matching
-  const cleanPhone = phone.replace(/[^\d]/g, '');
-  
-  // Try to find the most recent outbound message to this phone
-  const outbound = await Message.findOne({ 
-    to: { $regex: cleanPhone, $options: 'i' }, 
-    direction: 'outbound',
-    contactId: { $regex: '^003' } // Ensure it's a Salesforce Contact ID
-  }).sort({ timestamp: -1 });
-  
-  if (outbound && outbound.contactId && outbound.contactId.startsWith('003')) {
-    logInfo(`Found Salesforce ContactId from outbound message: ${outbound.contactId} for phone: ${phone}`);
-    return outbound.contactId;
+/**
+ * Build middleware that runs the rest of a webhook in the context of the tenant it is for, so the signature
+ * is checked with that tenant's credentials and everything saved belongs to it. Before any tenant exists the
+ * webhook runs without one (single-tenant mode); otherwise webhooks no active tenant claims get 404.
+ *
+ * @param {Function} findTenant - async (req) => loaded tenant or null
+ * @returns {Function} - Express middleware
+ */
+const routeToTenant = (findTenant) => async (req, res, next) => {
+  let tenant;
+  try {
+    tenant = await findTenant(req);
+    if (!tenant && !(await hasTenants())) return next();
+  } catch (error) {
+    logError(`Error resolving the tenant for webhook ${req.originalUrl}:`, error);
+    return res.sendStatus(500);
   }
-  
-  // Try to find the most recent inbound message from this phone with a Salesforce contactId
-  const inbound = await Message.findOne({ 
-    from: { $regex: cleanPhone, $options: 'i' }, 
-    direction: 'inbound', 
-    contactId: { $regex: '^003' } 
-  }).sort({ timestamp: -1 });
-  
-  if (inbound && inbound.contactId && inbound.contactId.startsWith('003')) {
-    logInfo(`Found Salesforce ContactId from inbound message: ${inbound.contactId} for phone: ${phone}`);
-    return inbound.contactId;
+
+  if (!tenant?.active) {
+    logWarn(`Ignoring webhook ${req.originalUrl}: no active tenant for it`, { to: req.body?.To, from: req.body?.From });
+    return res.status(404).send('Not Found');
   }
-  
-  // Try broader search - any message with this phone number that has a Salesforce Contact ID
-  const anyMessage = await Message.findOne({
-    $or: [
-      { from: { $regex: cleanPhone, $options: 'i' } },
-      { to: { $regex: cleanPhone, $options: 'i' } }
-    ],
-    contactId: { $regex: '^003' }
-  }).sort({ timestamp: -1 });
-  
-  if (anyMessage && anyMessage.contactId && anyMessage.contactId.startsWith('003')) {
-    logInfo(`Found Salesforce ContactId from any message: ${anyMessage.contactId} for phone: ${phone}`);
-    return anyMessage.contactId;
+  runWithTenant(tenant, next);
+};
+
+// Inbound messages belong to the tenant that owns the number they were sent to
+const routeByRecipient = routeToTenant(req => findTenantBySenderNumber(req.body?.To));
+
+// Status callbacks belong to the tenant that sent the message, falling back to the owner of the sending number
+const routeBySentMessage = routeToTenant(async (req) => {
+  const message = req.body?.MessageSid
+    ? await Message.findOne({ messageSid: req.body.MessageSid }).select('tenantId').lean()
+    : null;
+  return (message?.tenantId && await loadTenant(message.tenantId)) || findTenantBySenderNumber(req.body?.From);
+});
+
+// Meta webhooks are configured per tenant as /webhook/meta/<tenant slug>
+const routeBySlug = routeToTenant(req => findTenantBySlug(req.params.tenant));
+
+// Later statuses a callback must not overwrite: providers (Meta especially) can deliver callbacks out of order
+const SUPERSEDING_STATUSES = {
+  sent: ['delivered', 'read'],
+  delivered: ['read']
+};
+
+/**
+ * Store an inbound message from any provider and run the follow-up work (conversation, media, consent, contact)
+ *
+ * @param {Object} inbound - Normalized message from provider.parseInbound / parseWebhook
+ * @param {string} providerName - Provider that received it
+ */
+const saveInboundMessage = async (inbound, providerName) => {
+  const { messageSid: MessageSid, body: Body, profileName: ProfileName, waId: WaId } = inbound;
+  // Providers send international numbers; store them as E.164 like every other number
+  const cleanFrom = normalizePhone(inbound.from) || inbound.from;
+  const cleanTo = normalizePhone(inbound.to) || inbound.to;
+  const contactName = ProfileName || cleanFrom;
+
+  // Lookup Salesforce ContactId by WhatsApp number
+  let salesforceContactId = await lookupContactIdByPhone(cleanFrom);
+  const isUnmapped = !salesforceContactId;
+  if (isUnmapped) {
+    // Key the message by phone for now; the Salesforce lookup runs after the message is saved
+    logInfo('No Salesforce ContactId mapped for incoming WhatsApp number yet', { cleanFrom });
+    salesforceContactId = cleanFrom;
   }
-  
-  logError(`No Salesforce ContactId found for phone: ${phone}`);
-  return null;
-}
 
-router.post('/incoming', async (req, res) => {
-  try {
-    logInfo('Processing incoming message webhook', { body: req.body });
+  let message = await Message.findOne({ messageSid: MessageSid });
+  if (!message) {
+    const now = new Date();
+    message = new Message({
+      messageSid: MessageSid,
+      contactId: salesforceContactId,
+      contactName,
+      fromName: contactName || 'Unknown',
+      message: Body,
+      direction: 'inbound',
+      status: 'received',
+      isRead: false,
+      provider: providerName,
+      from: cleanFrom,
+      to: cleanTo,
+      timestamp: now,
+      deliveredAt: now,
+      mediaUrl: [],
+      media: []
+    });
 
-    const { MessageSid, From, To, Body, NumMedia, ProfileName, WaId } = req.body;
+    // Handle media: keep the provider's URL for audit only and point clients at our authenticated proxy
+    for (const item of inbound.media) {
+      message.media.push({ sourceUrl: item.url, contentType: item.contentType, filename: item.filename, status: 'pending' });
+      message.mediaUrl.push(mediaProxyUrl(message._id, message.media.length - 1));
+    }
+    if (message.media.length > 0) {
+      // Shared contacts arrive as vCard media; the cards are parsed once the file is downloaded
+      message.messageType = message.media.every(item => VCARD_CONTENT_TYPES.includes(item.contentType)) ? 'contact' : 'media';
+    }
 
-    if (!MessageSid) {
-      logError('Missing MessageSid in incoming webhook', { body: req.body });
-      return res.status(400).send('Bad Request');
+    // Meta delivers shared contacts inline rather than as vCard files
+    if (inbound.contacts?.length) {
+      message.contacts = inbound.contacts;
+      message.messageType = 'contact';
+      if (!message.message) message.message = inbound.contacts.map(card => card.name?.formatted).filter(Boolean).join(', ');
     }
 
-    const cleanFrom = From.replace('whatsapp:', '');
-    const cleanTo = To.replace('whatsapp:', '');
-    const contactName = ProfileName || cleanFrom;
-
-    // Lookup Salesforce ContactId by WhatsApp number
-    let salesforceContactId = await lookupContactIdByPhone(cleanFrom);
-    if (!salesforceContactId) {
-      logError('No Salesforce ContactId found for incoming WhatsApp number', { cleanFrom });
-      // Optionally, you could create a placeholder or skip saving
-      // For now, fallback to using the phone number as contactId
-      salesforceContactId = cleanFrom;
+    const { location } = inbound;
+    if (location) {
+      message.location = location;
+      message.messageType = 'location';
+      if (!message.message) message.message = describeLocation(location);
     }
 
-    let message = await Message.findOne({ messageSid: MessageSid });
-    if (!message) {
-      const now = new Date();
-      message = new Message({
-        messageSid: MessageSid,
-        contactId: salesforceContactId,
-        contactName,
-        fromName: contactName || 'Unknown',
-        message: Body,
-        direction: 'inbound',
-        status: 'received',
-        isRead: false,
-        from: cleanFrom,
-        to: cleanTo,
-        timestamp: now,
-        deliveredAt: now,
-        mediaUrl: []
-      });
-
-      // Handle media
-      for (let i = 0; i < parseInt(NumMedia || 0); i++) {
-        if (req.body[`MediaUrl${i}`]) {
-          message.mediaUrl.push(req.body[`MediaUrl${i}`]);
-        }
+    // Button taps and list selections carry the chosen option; link them to the message that offered it
+    const { interactive } = inbound;
+    if (interactive) {
+      if (interactive.repliedMessageSid) {
+        const original = await Message.findOne({ messageSid: interactive.repliedMessageSid }).select('_id');
+        interactive.repliedMessageId = original?._id;
       }
+      message.interactive = interactive;
+      message.messageType = 'interactive';
+      if (!message.message) message.message = interactive.title || interactive.id || '';
+    }
+
+    // Thread into the contact's conversation (reopening it if recently closed); never drop the message over it
+    try {
+      const conversation = await recordInboundMessage(message);
+      message.conversationId = conversation._id;
+    } catch (error) {
+      logError(`Failed to update conversation for ${salesforceContactId}:`, error);
+    }
+
+    await message.save();
+    logInfo(`Incoming message saved: ${MessageSid}`);
+    publishMessageCreated(message);
+    await emitMessageReceived(message);
+    await queueSalesforceSync(message);
+
+    // Download media in the background so the provider gets a fast response; clients get message:updated when done
+    if (message.media.length > 0) {
+      downloadInboundMedia(message._id)
+        .catch(error => logError(`Failed to download media for ${MessageSid}:`, error));
+    }
 
-      await message.save();
-      logInfo(`Incoming message saved: ${MessageSid}`);
-    } else {
-      // Update if needed
-      await Message.updateOne({ messageSid: MessageSid }, { $set: { status: 'received' } });
+    // STOP / START style keywords update the consent registry that outbound sends are checked against
+    const consentChange = message.messageType === 'text' ? detectConsentKeyword(Body) : null;
+    if (consentChange) {
+      await recordConsent(cleanFrom, consentChange.status, { source: 'keyword', keyword: consentChange.keyword, messageSid: MessageSid })
+        .catch(error => logError(`Failed to record consent change for ${cleanFrom}:`, error));
     }
 
+    // Keep the contact's WhatsApp profile and last activity current
+    await syncContactFromMessage(message, { profileName: ProfileName, waId: WaId })
+      .catch(error => logError(`Failed to update contact for ${cleanFrom}:`, error));
+
+    // New numbers: ask Salesforce (when enabled) in the background, so its up to three calls never hold up
+    // the provider's webhook. A match re-links this and earlier phone-keyed messages and conversations.
+    if (isUnmapped) {
+      resolveSalesforceContact(cleanFrom, { profileName: ProfileName })
+        .catch(error => logError(`Failed to resolve Salesforce contact for ${cleanFrom}:`, error));
+    }
+  } else {
+    // Update if needed
+    await Message.updateOne({ messageSid: MessageSid }, { $set: { status: 'received' } });
+  }
+};
+
+/**
+ * The Twilio-format provider (twilio or fake) serving one of our numbers, which authenticates and parses
+ * its /incoming and /status webhooks. Numbers of a provider with its own webhook format (Meta) fall back to Twilio.
+ *
+ * @param {string} number - Our number in the webhook, with or without the whatsapp: prefix
+ * @returns {Object} - Messaging provider
+ */
+const getTwilioFormatProvider = (number) => {
+  const provider = getProviderForSender(number);
+  return provider.parseInbound ? provider : getProvider('twilio');
+};
+
+// Inbound messages are addressed To our number; status callbacks come From it
+const incomingProvider = (req) => getTwilioFormatProvider(req.body?.To);
+const statusProvider = (req) => getTwilioFormatProvider(req.body?.From);
+
+/**
+ * POST /incoming
+ * Twilio-format inbound messages, routed to the tenant that owns the To number and
+ * handled by the provider serving it
+ */
+router.post('/incoming', routeByRecipient, requireWebhookSignature(incomingProvider), async (req, res) => {
+  try {
+    logInfo('Processing incoming message webhook', { body: req.body });
+
+    const provider = incomingProvider(req);
+    const inbound = provider.parseInbound(req.body);
+    if (!inbound) {
+      logError('Missing message ID or numbers in incoming webhook', { body: req.body });
+      return res.status(400).send('Bad Request');
+    }
+
+    await saveInboundMessage(inbound, provider.name);
     res.sendStatus(204).end();
   } catch (error) {
     logError('Error processing incoming webhook:', error);
@@ -116,43 +226,66 @@ router.post('/incoming', async (req, res) => {
   }
 });
 
-router.post('/status', async (req, res) => {
-  try {
-    const { MessageSid, MessageStatus, To, From } = req.body;
+/**
+ * Apply a provider status callback to the tracked message
+ *
+ * @param {Object} statusUpdate - { messageSid, status, errorCode, errorMessage } from provider.parseStatus
+ */
+const applyStatusUpdate = async ({ messageSid: MessageSid, status, errorCode, errorMessage }) => {
+  logInfo(`Processing status webhook for MessageSid: ${MessageSid}, Status: ${status}`);
 
-    if (!MessageSid || !MessageStatus) {
-      logError('Invalid webhook data:', req.body);
-      return res.status(400).send('Invalid webhook data');
-    }
+  // Update the message document
+  const update = {
+    status,
+    updatedAt: new Date()
+  };
+  if (status === 'delivered') update.deliveredAt = new Date();
+  if (status === 'read') {
+    update.readAt = new Date();
+    update.isRead = true;
+  }
+  if (['failed', 'undelivered'].includes(status)) {
+    update.failedAt = new Date();
+    update.errorCode = errorCode || 'UNKNOWN';
+    update.errorMessage = errorMessage || 'Delivery failed';
+  }
 
-    logInfo(`Processing status webhook for MessageSid: ${MessageSid}, Status: ${MessageStatus}`);
-
-    // Update the message document
-    const update = {
-      status: MessageStatus.toLowerCase(),
-      updatedAt: new Date()
-    };
-    if (MessageStatus === 'delivered') update.deliveredAt = new Date();
-    if (MessageStatus === 'read') {
-      update.readAt = new Date();
-      update.isRead = true;
-    }
-    if (['failed', 'undelivered'].includes(MessageStatus)) {
-      update.failedAt = new Date();
-      update.errorCode = req.body.ErrorCode || 'UNKNOWN';
-      update.errorMessage = req.body.ErrorMessage || 'Delivery failed';
-    }
+  const previous = await Message.findOneAndUpdate(
+    { messageSid: MessageSid, status: { $nin: SUPERSEDING_STATUSES[status] || [] } },
+    { $set: update },
+    { new: false }
+  );
 
-    const result = await Message.updateOne({ messageSid: MessageSid }, { $set: update });
+  if (previous) {
+    logInfo(`Message updated successfully: ${MessageSid}`);
+    // Providers can repeat a callback for the same status; only push real transitions
+    if (previous.status !== update.status) {
+      const updated = Object.assign(previous.toObject(), update);
+      publishMessageStatus(updated, previous.status);
+      await emitMessageStatusChanged(updated, previous.status);
+      await queueSalesforceSync(updated);
+    }
+  } else {
+    // Don't log as error for status updates of messages we don't track
+    // This is normal for messages sent outside our system, and for late callbacks already superseded
+    logInfo(`Status update for untracked or superseded MessageSid: ${MessageSid} (Status: ${status})`);
+  }
+};
 
-    if (result.matchedCount > 0) {
-      logInfo(`Message updated successfully: ${MessageSid}`);
-    } else {
-      // Don't log as error for status updates of messages we don't track
-      // This is normal for messages sent outside our system
-      logInfo(`Status update for untracked MessageSid: ${MessageSid} (Status: ${MessageStatus})`);
+/**
+ * POST /status
+ * Twilio-format status callbacks, routed to the tenant that sent the message and
+ * handled by the provider serving the From number
+ */
+router.post('/status', routeBySentMessage, requireWebhookSignature(statusProvider), async (req, res) => {
+  try {
+    const statusUpdate = statusProvider(req).parseStatus(req.body);
+    if (!statusUpdate) {
+      logError('Invalid webhook data:', req.body);
+      return res.status(400).send('Invalid webhook data');
     }
 
+    await applyStatusUpdate(statusUpdate);
     res.sendStatus(204).end(); // Acknowledge the webhook
   } catch (error) {
     logError('Error processing status webhook:', error);
@@ -160,4 +293,46 @@ router.post('/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /meta/:tenant (GET /meta in single-tenant mode)
+ * Meta's webhook verification handshake: echoes hub.challenge when hub.verify_token matches the tenant's
+ * verify token (META_VERIFY_TOKEN in single-tenant mode)
+ */
+router.get(['/meta', '/meta/:tenant'], routeBySlug, (req, res) => {
+  const challenge = getProvider('meta').verifySubscription(req.query);
+  if (challenge === null) {
+    logError('Rejected Meta webhook verification: hub.mode or hub.verify_token did not match');
+    return res.status(403).send('Forbidden');
+  }
+  logInfo('Meta webhook subscription verified');
+  res.status(200).type('text/plain').send(String(challenge));
+});
+
+/**
+ * POST /meta/:tenant (POST /meta in single-tenant mode)
+ * Meta Cloud API notifications, signed with the tenant's app secret. One request can batch several inbound
+ * messages and status updates; each is processed on its own so one failure does not drop the rest. Always
+ * answers 200 once the signature checks out, because Meta keeps redelivering anything else for days.
+ */
+router.post(['/meta', '/meta/:tenant'], routeBySlug, requireWebhookSignature('meta'), async (req, res) => {
+  const { messages, statuses } = getProvider('meta').parseWebhook(req.body);
+  logInfo(`Processing Meta webhook: ${messages.length} messages, ${statuses.length} statuses`);
+
+  // One Meta app can serve several businesses; never store a message to another tenant's number under this one
+  const ownNumbers = getCurrentTenant() ? getSenderNumbers() : null;
+  for (const inbound of messages) {
+    if (ownNumbers && !ownNumbers.includes(inbound.to)) {
+      logWarn(`Ignoring Meta message ${inbound.messageSid} to ${inbound.to}: not one of this tenant's numbers`);
+      continue;
+    }
+    await saveInboundMessage(inbound, 'meta')
+      .catch(error => logError(`Error processing Meta message ${inbound.messageSid}:`, error));
+  }
+  for (const statusUpdate of statuses) {
+    await applyStatusUpdate(statusUpdate)
+      .catch(error => logError(`Error processing Meta status for ${statusUpdate.messageSid}:`, error));
+  }
+  res.sendStatus(200);
+});
+
 export default router;
@@ -0,0 +1,326 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { ALL_CONTACTS } from '../middleware/auth.js';
+import {
+  validateWebhookUrl,
+  checkWebhookTarget,
+  validateWebhookEvents,
+  generateWebhookSecret,
+  replayDelivery
+} from '../services/webhookService.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+// Webhooks receive events for every contact, so only callers with access to all contacts may manage them
+router.use((req, res, next) => {
+  if (!req.auth?.allowedContacts.includes(ALL_CONTACTS)) {
+    return res.status(403).json({ success: false, error: 'Not authorized to manage webhooks' });
+  }
+  next();
+});
+
+/**
+ * Load a document by ID from a route parameter
+ *
+ * @param {Object} Model - Mongoose model
+ * @param {string} id - Route parameter value
+ * @returns {Promise<Object|null>}
+ */
+const findById = (Model, id) => (mongoose.isValidObjectId(id) ? Model.findById(id) : Promise.resolve(null));
+
+/**
+ * Validate the writable subscription fields present in a request body; the url must point at a public host
+ *
+ * @param {Object} body - { url, events, description, active }
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+const validateSubscriptionFields = async ({ url, events, description, active }) => {
+  if (url !== undefined) {
+    const urlError = typeof url === 'string' ? validateWebhookUrl(url.trim()) || await checkWebhookTarget(url.trim()) : 'url must be a string';
+    if (urlError) return urlError;
+  }
+  if (events !== undefined) {
+    const eventsError = validateWebhookEvents(events);
+    if (eventsError) return eventsError;
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+  return null;
+};
+
+/**
+ * POST / (mounted at /api/webhooks)
+ * Register an HTTPS endpoint for webhook events
+ *
+ * Request body:
+ * - url: HTTPS endpoint that receives POSTed JSON events; its host must resolve to public addresses
+ * - events: Event filter, e.g. ["message.received", "contact.opted_out"], or ["*"] for all
+ * - description: Optional note
+ *
+ * The response includes the signing secret; it is not returned again (rotate it to get a new one).
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    if (url === undefined || events === undefined) {
+      return res.status(400).json({ success: false, error: 'url and events are required' });
+    }
+    const validationError = await validateSubscriptionFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const secret = generateWebhookSecret();
+    const subscription = await WebhookSubscription.create({
+      url: url.trim(),
+      events: [...new Set(events)],
+      secret,
+      description: description?.trim() || undefined,
+      createdBy: req.auth?.subject
+    });
+
+    logInfo(`Webhook subscription ${subscription._id} created for ${subscription.url} (${subscription.events.join(', ')})`);
+    res.status(201).json({ success: true, data: { ...subscription.toObject(), secret } });
+  } catch (error) {
+    logError('Error creating webhook subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to create webhook subscription' });
+  }
+});
+
+/**
+ * GET / (mounted at /api/webhooks)
+ * List webhook subscriptions, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    logError('Error fetching webhook subscriptions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook subscriptions' });
+  }
+});
+
+/**
+ * GET /deliveries/:deliveryId
+ * Get a single delivery with its payload and last response
+ */
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await findById(WebhookDelivery, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    logError('Error fetching webhook delivery:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+/**
+ * POST /deliveries/:deliveryId/replay
+ * Send a delivery's event again, with the same event ID and payload, as a new delivery
+ */
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const delivery = await findById(WebhookDelivery, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      return res.status(409).json({ success: false, error: 'Cannot replay to a deleted or inactive subscription' });
+    }
+
+    const replay = await replayDelivery(delivery);
+    res.status(202).json({ success: true, data: replay });
+  } catch (error) {
+    logError('Error replaying webhook delivery:', error);
+    res.status(500).json({ success: false, error: 'Failed to replay webhook delivery' });
+  }
+});
+
+/**
+ * GET /:id
+ * Get a webhook subscription
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await findById(WebhookSubscription, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    logError('Error fetching webhook subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook subscription' });
+  }
+});
+
+/**
+ * PATCH /:id
+ * Update a subscription's url, events, description or active flag
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const validationError = await validateSubscriptionFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const subscription = await findById(WebhookSubscription, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const { url, events, description, active } = req.body;
+    if (url !== undefined) subscription.url = url.trim();
+    if (events !== undefined) subscription.events = [...new Set(events)];
+    if (description !== undefined) subscription.description = description?.trim() || undefined;
+    if (active !== undefined) subscription.active = active;
+    await subscription.save();
+
+    logInfo(`Webhook subscription ${subscription._id} updated by ${req.auth?.subject}`);
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    logError('Error updating webhook subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to update webhook subscription' });
+  }
+});
+
+/**
+ * DELETE /:id
+ * Delete a subscription and its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await findById(WebhookSubscription, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    await subscription.deleteOne();
+    await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+
+    logInfo(`Webhook subscription ${subscription._id} deleted by ${req.auth?.subject}`);
+    res.json({ success: true, message: 'Webhook subscription deleted' });
+  } catch (error) {
+    logError('Error deleting webhook subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook subscription' });
+  }
+});
+
+/**
+ * POST /:id/rotate-secret
+ * Replace a subscription's signing secret; the new secret is returned once
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const subscription = await findById(WebhookSubscription, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const secret = generateWebhookSecret();
+    subscription.secret = secret;
+    await subscription.save();
+
+    logInfo(`Webhook subscription ${subscription._id} secret rotated by ${req.auth?.subject}`);
+    res.json({ success: true, data: { ...subscription.toObject(), secret } });
+  } catch (error) {
+    logError('Error rotating webhook secret:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+  }
+});
+
+/**
+ * GET /:id/deliveries
+ * Delivery log for a subscription, newest first
+ *
+ * Query parameters:
+ * - status: Filter by delivery status (pending, delivering, succeeded, failed)
+ * - event: Filter by event name
+ * - page: Page number (default: 1)
+ * - limit: Number of deliveries per page (default: 50, max: 200)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 200); // Cap limit at 200
+
+    if (pageNum < 1 || limitNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page and limit must be positive integers'
+      });
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const subscription = await findById(WebhookSubscription, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const query = { subscriptionId: subscription._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [total, deliveries] = await Promise.all([
+      WebhookDelivery.countDocuments(query),
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('-payload')
+        .lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logError('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+/**
+ * Global error handler for the webhook subscription router
+ */
+router.use((error, req, res, next) => {
+  logError('Unhandled error in webhook subscription routes:', error);
+
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred in webhook subscription routes',
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,276 @@
+// Campaigns: recipient preparation, throttled queuing through the outbound queue, and stats
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import Message from '../models/Message.js';
+import { enqueueMessage, updateMessageStatus, RETRYABLE_ERROR_CODES } from './outboundQueue.js';
+import { findContactByKey, normalizeContactPhone } from './contactService.js';
+import { validateTemplateVariables } from './templateService.js';
+import { isOptedOut } from './consentService.js';
+import { getDefaultSenderNumber } from '../providers/index.js';
+import { runWithTenantId } from './tenantService.js';
+import { logInfo, logError, logWarn, logDebug } from '../utils/logger.js';
+
+// How often the worker starts due campaigns and queues the next batch of recipients
+const TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '1000', 10);
+// A recipient left in 'processing' longer than this is assumed orphaned by a crash and retried
+const STALE_LOCK_MS = parseInt(process.env.CAMPAIGN_STALE_LOCK_MS || '120000', 10);
+
+let tickTimer = null;
+let running = false;
+
+// Read a dotted path such as "fields.city" from a recipient
+const readPath = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+/**
+ * Work out one recipient's template variables: campaign defaults, then the campaign's
+ * variableMapping applied to the recipient, then the recipient's own overrides
+ *
+ * @param {Object} campaign - { defaultVariables, variableMapping }
+ * @param {Object} recipient - { contactId, contactName, phone, fields, variables }
+ * @returns {Object} - Variables keyed by placeholder
+ */
+export const resolveRecipientVariables = (campaign, recipient) => {
+  const variables = { ...(campaign.defaultVariables || {}) };
+  for (const [placeholder, path] of Object.entries(campaign.variableMapping || {})) {
+    const value = readPath(recipient, path);
+    if (value !== undefined && value !== null && value !== '') variables[placeholder] = value;
+  }
+  return { ...variables, ...(recipient.variables || {}) };
+};
+
+/**
+ * Validate campaign recipients and resolve their phones and variables.
+ * Recipients without `to` are looked up in the Contact collection by contactId.
+ *
+ * @param {Object} campaign - Unsaved campaign (defaultVariables, variableMapping)
+ * @param {Object} template - Template document for campaign.contentSid
+ * @param {Object[]} input - [{ contactId, to, contactName, variables, fields }]
+ * @returns {Promise<Object>} - { recipients, errors: [{ index, contactId, error }] }
+ */
+export const prepareRecipients = async (campaign, template, input) => {
+  const recipients = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const [index, entry] of input.entries()) {
+    const contactId = typeof entry?.contactId === 'string' ? entry.contactId.trim() : '';
+    const fail = (error) => errors.push({ index, contactId: contactId || null, error });
+
+    if (!contactId) { fail('contactId is required'); continue; }
+    if (seen.has(contactId)) { fail('Duplicate contactId'); continue; }
+    seen.add(contactId);
+
+    let phone = typeof entry.to === 'string' && entry.to.trim() ? normalizeContactPhone(entry.to) : null;
+    let contactName = entry.contactName;
+    if (!phone) {
+      const contact = await findContactByKey(contactId);
+      phone = contact?.phone || null;
+      contactName = contactName || contact?.name || contact?.profileName;
+    }
+    if (!phone || phone.length < 8) { fail('No valid phone number (pass to, or create the contact first)'); continue; }
+
+    const recipient = { contactId, contactName: contactName || 'Unknown', phone, fields: entry.fields, variables: entry.variables };
+    const variables = resolveRecipientVariables(campaign, recipient);
+    const variablesError = validateTemplateVariables(template, variables);
+    if (variablesError) { fail(variablesError); continue; }
+
+    recipients.push({ ...recipient, variables });
+  }
+
+  return { recipients, errors };
+};
+
+/**
+ * Delivery funnel for a campaign. sent, delivered and read are cumulative
+ * (a read message also counts as sent and delivered).
+ *
+ * @param {string} campaignId - Campaign document ID
+ * @returns {Promise<Object>} - { total, pending, queued, sent, delivered, read, failed, skipped }
+ */
+export const getCampaignStats = async (campaignId) => {
+  const id = new mongoose.Types.ObjectId(String(campaignId));
+  const [recipientCounts, messageCounts] = await Promise.all([
+    CampaignRecipient.aggregate([{ $match: { campaignId: id } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Message.aggregate([{ $match: { campaignId: id } }, { $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+  const recipients = Object.fromEntries(recipientCounts.map(({ _id, count }) => [_id, count]));
+  const messages = Object.fromEntries(messageCounts.map(({ _id, count }) => [_id, count]));
+  const count = (source, ...statuses) => statuses.reduce((sum, status) => sum + (source[status] || 0), 0);
+
+  return {
+    total: Object.values(recipients).reduce((sum, value) => sum + value, 0),
+    pending: count(recipients, 'pending', 'processing'),
+    queued: count(messages, 'queued', 'sending'),
+    sent: count(messages, 'sent', 'delivered', 'read'),
+    delivered: count(messages, 'delivered', 'read'),
+    read: count(messages, 'read'),
+    failed: count(messages, 'failed', 'undelivered') + count(recipients, 'failed'),
+    skipped: count(recipients, 'skipped')
+  };
+};
+
+/**
+ * Cancel a campaign: skip recipients not yet queued and fail its messages still waiting in the outbound queue
+ *
+ * @param {Object} campaign - Campaign document
+ * @returns {Promise<Object>} - Saved campaign
+ */
+export const cancelCampaign = async (campaign) => {
+  campaign.set({ status: 'cancelled', cancelledAt: new Date() });
+  await campaign.save();
+
+  await CampaignRecipient.updateMany(
+    { campaignId: campaign._id, status: { $in: ['pending', 'processing'] } },
+    { $set: { status: 'skipped', error: 'Campaign cancelled', lockedAt: null } }
+  );
+  const waiting = await Message.find({ campaignId: campaign._id, status: 'queued' }).select('_id');
+  for (const { _id } of waiting) {
+    await updateMessageStatus(_id, {
+      status: 'failed',
+      nextRetryAt: null,
+      errorCode: 'CAMPAIGN_CANCELLED',
+      errorMessage: 'Campaign was cancelled before this message was sent',
+      failedAt: new Date()
+    });
+  }
+
+  logInfo(`Campaign ${campaign._id} cancelled (${waiting.length} queued messages withdrawn)`);
+  return campaign;
+};
+
+/**
+ * Hand one recipient to the outbound queue. The per-recipient idempotency key makes a retry
+ * after a crash link the existing message instead of sending twice.
+ */
+const queueRecipient = async (campaign, recipient) => {
+  const idempotencyKey = `campaign:${campaign._id}:${recipient._id}`;
+  if (await isOptedOut(recipient.phone)) {
+    recipient.set({ status: 'skipped', error: 'Recipient has opted out', lockedAt: null });
+    await recipient.save();
+    return;
+  }
+  try {
+    const message = await enqueueMessage({
+      messageSid: `tw_${uuidv4()}`,
+      idempotencyKey,
+      campaignId: campaign._id,
+      contactId: recipient.contactId,
+      contactName: recipient.contactName,
+      fromName: campaign.fromName,
+      contentSid: campaign.contentSid,
+      contentVariables: recipient.variables,
+      from: campaign.from || getDefaultSenderNumber(),
+      to: recipient.phone,
+      messageType: 'template'
+    });
+    recipient.set({ status: 'queued', messageId: message._id, queuedAt: new Date(), lockedAt: null });
+  } catch (error) {
+    const existing = error.code === 11000 ? await Message.findOne({ idempotencyKey }).select('_id') : null;
+    if (existing) {
+      recipient.set({ status: 'queued', messageId: existing._id, queuedAt: new Date(), lockedAt: null });
+    } else {
+      logError(`Failed to queue campaign ${campaign._id} message for ${recipient.contactId}:`, error);
+      recipient.set({ status: 'failed', error: error.message, lockedAt: null });
+    }
+  }
+  await recipient.save();
+};
+
+/**
+ * Queue the next batch for a running campaign, or complete it when every recipient is queued.
+ * Throttled to messagesPerSecond, and held back while Twilio is rate limiting or its backlog
+ * in the outbound queue has not drained.
+ */
+const runCampaign = async (campaign) => {
+  const rateLimited = await Message.exists({
+    campaignId: campaign._id,
+    status: 'queued',
+    errorCode: { $in: RETRYABLE_ERROR_CODES.map(String) }
+  });
+  if (rateLimited) {
+    logDebug(`Campaign ${campaign._id} waiting for retryable failures to clear`);
+    return;
+  }
+
+  const batchSize = Math.max(1, Math.floor(campaign.messagesPerSecond * TICK_MS / 1000));
+  const backlog = await Message.countDocuments({ campaignId: campaign._id, status: { $in: ['queued', 'sending'] } });
+  if (backlog >= batchSize * 2) return;
+
+  let queued = 0;
+  while (queued < batchSize) {
+    const recipient = await CampaignRecipient.findOneAndUpdate(
+      { campaignId: campaign._id, status: 'pending' },
+      { $set: { status: 'processing', lockedAt: new Date() } },
+      { sort: { _id: 1 }, new: true }
+    );
+    if (!recipient) break;
+    await queueRecipient(campaign, recipient);
+    queued += 1;
+  }
+
+  if (queued === 0) {
+    const remaining = await CampaignRecipient.countDocuments({ campaignId: campaign._id, status: { $in: ['pending', 'processing'] } });
+    if (remaining === 0) {
+      await Campaign.updateOne({ _id: campaign._id, status: 'running' }, { $set: { status: 'completed', completedAt: new Date() } });
+      logInfo(`Campaign ${campaign._id} completed: all recipients queued`);
+    }
+  }
+};
+
+/**
+ * Start due campaigns, retry orphaned recipients and queue one batch per running campaign, in the campaign's tenant
+ */
+export const processCampaigns = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const now = new Date();
+    const due = await Campaign.find({ status: 'scheduled', scheduledAt: { $lte: now } });
+    for (const campaign of due) {
+      const started = await Campaign.updateOne(
+        { _id: campaign._id, status: 'scheduled' },
+        { $set: { status: 'running', startedAt: campaign.startedAt || now } }
+      );
+      if (started.modifiedCount > 0) logInfo(`Campaign ${campaign._id} started (${campaign.totalRecipients} recipients)`);
+    }
+
+    const reclaimed = await CampaignRecipient.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } },
+      { $set: { status: 'pending', lockedAt: null } }
+    );
+    if (reclaimed.modifiedCount > 0) {
+      logWarn(`Reclaimed ${reclaimed.modifiedCount} campaign recipients stuck in 'processing'`);
+    }
+
+    for (const campaign of await Campaign.find({ status: 'running' })) {
+      try {
+        await runWithTenantId(campaign.tenantId, () => runCampaign(campaign));
+      } catch (error) {
+        logError(`Campaign ${campaign._id} run failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the campaign worker
+ */
+export const startCampaignWorker = () => {
+  if (tickTimer) return;
+  tickTimer = setInterval(() => {
+    processCampaigns().catch(error => logError('Campaign worker run failed:', error));
+  }, TICK_MS);
+  logInfo(`Campaign worker started (tick every ${TICK_MS}ms)`);
+};
+
+/**
+ * Stop the campaign worker
+ */
+export const stopCampaignWorker = () => {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+};
@@ -0,0 +1,114 @@
+// Opt-out / opt-in consent registry and keyword detection
+import Consent from '../models/Consent.js';
+import { normalizeContactPhone } from './contactService.js';
+import { emitConsentChanged } from './webhookService.js';
+import { logInfo } from '../utils/logger.js';
+
+// Error code returned when a send is blocked because the recipient opted out
+export const RECIPIENT_OPTED_OUT = 'RECIPIENT_OPTED_OUT';
+
+// Defaults cover English, Spanish, Portuguese, French, German and Italian; override with comma-separated env lists
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  'STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT',
+  'BAJA', 'ALTO', 'PARAR', 'DETENER', 'CANCELAR', 'SAIR',
+  'ARRET', 'ARRETER', 'DESABONNER', 'DESINSCRIRE',
+  'STOPP', 'ABMELDEN', 'ABBESTELLEN',
+  'BASTA', 'DISISCRIVITI'
+];
+const DEFAULT_OPT_IN_KEYWORDS = [
+  'START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN',
+  'ALTA', 'INICIAR', 'SUSCRIBIR', 'COMECAR',
+  'DEMARRER', 'ABONNER',
+  'ANMELDEN',
+  'ISCRIVITI'
+];
+
+// Compare case- and accent-insensitively, ignoring surrounding punctuation (so "Stop!" and "ARRÊT" match)
+const normalizeKeyword = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+  .replace(/[\s_-]+/g, ' ');
+
+const keywordList = (envValue, defaults) =>
+  new Set((envValue ? envValue.split(',') : defaults).map(normalizeKeyword).filter(Boolean));
+
+/**
+ * Detect an opt-out or opt-in keyword. Only a message consisting of the keyword alone counts,
+ * so "please don't stop sending updates" is not an opt-out.
+ *
+ * @param {string} body - Inbound message text
+ * @returns {Object|null} - { status: 'opted_out' | 'opted_in', keyword } or null
+ */
+export const detectConsentKeyword = (body) => {
+  const keyword = normalizeKeyword(body);
+  if (!keyword) return null;
+  if (keywordList(process.env.CONSENT_OPT_OUT_KEYWORDS, DEFAULT_OPT_OUT_KEYWORDS).has(keyword)) {
+    return { status: 'opted_out', keyword };
+  }
+  if (keywordList(process.env.CONSENT_OPT_IN_KEYWORDS, DEFAULT_OPT_IN_KEYWORDS).has(keyword)) {
+    return { status: 'opted_in', keyword };
+  }
+  return null;
+};
+
+/**
+ * Look up the consent record for a phone number
+ *
+ * @param {string} phone - Number, with or without the whatsapp: prefix
+ * @returns {Promise<Object|null>} - Consent document
+ */
+export const getConsent = (phone) => {
+  const normalized = normalizeContactPhone(phone);
+  return normalized ? Consent.findOne({ phone: normalized }) : Promise.resolve(null);
+};
+
+/**
+ * Whether outbound messages to a number are blocked
+ *
+ * @param {string} phone - Number, with or without the whatsapp: prefix
+ * @returns {Promise<boolean>}
+ */
+export const isOptedOut = async (phone) => {
+  const normalized = normalizeContactPhone(phone);
+  if (!normalized) return false;
+  return Boolean(await Consent.exists({ phone: normalized, status: 'opted_out' }));
+};
+
+/**
+ * Record a consent change, append it to the number's history and notify webhook subscribers
+ *
+ * @param {string} phone - Number, with or without the whatsapp: prefix
+ * @param {string} status - 'opted_in' or 'opted_out'
+ * @param {Object} details - { source: 'keyword' | 'api', keyword, messageSid, changedBy, note }
+ * @returns {Promise<Object>} - Updated consent document
+ */
+export const recordConsent = async (phone, status, { source, keyword, messageSid, changedBy, note } = {}) => {
+  const normalized = normalizeContactPhone(phone);
+  const at = new Date();
+  const consent = await Consent.findOneAndUpdate(
+    { phone: normalized },
+    {
+      $set: { status, source, keyword: keyword || null, changedAt: at },
+      $push: { history: { status, source, keyword, messageSid, changedBy, note, at } }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+  logInfo(`Consent for ${normalized} set to ${status} via ${source}${keyword ? ` (${keyword})` : ''}`);
+  await emitConsentChanged(consent, { source, keyword, messageSid });
+  return consent;
+};
+
+/**
+ * Shape a consent record for API responses; numbers without a record are 'unknown' (sends allowed)
+ *
+ * @param {Object|null} consent - Consent document or lean object
+ * @returns {Object} - { status, source, keyword, changedAt }
+ */
+export const describeConsent = (consent) => ({
+  status: consent?.status || 'unknown',
+  source: consent?.source || null,
+  keyword: consent?.keyword || null,
+  changedAt: consent?.changedAt || null
+});
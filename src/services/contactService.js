@@ -0,0 +1,109 @@
+// Contact lookups and bookkeeping shared by the webhook and send paths
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import { logInfo, logWarn } from '../utils/logger.js';
+import { normalizePhone } from '../utils/phone.js';
+
+/**
+ * Normalize a WhatsApp number to the E.164 form stored on contacts; national numbers are read
+ * in the given region or the tenant's default region
+ *
+ * @param {string} phone - Number with or without the whatsapp: prefix
+ * @param {Object} [options] - { region }
+ * @returns {string|null} - E.164 number, or null if it cannot be read
+ */
+export const normalizeContactPhone = (phone, options) => normalizePhone(phone, options);
+
+/**
+ * Whether a contactId is a Salesforce Contact record ID (003 key prefix)
+ *
+ * @param {string} contactId
+ * @returns {boolean}
+ */
+export const isSalesforceContactId = (contactId) => typeof contactId === 'string' && contactId.startsWith('003');
+
+/**
+ * Whether a contactId is a Salesforce Contact (003) or Lead (00Q) record ID
+ *
+ * @param {string} contactId
+ * @returns {boolean}
+ */
+export const isSalesforceRecordId = (contactId) => isSalesforceContactId(contactId) || (typeof contactId === 'string' && contactId.startsWith('00Q'));
+
+/**
+ * Exact, indexed lookup of a contact by WhatsApp number
+ *
+ * @param {string} phone - Number with or without the whatsapp: prefix
+ * @returns {Promise<Object|null>} - Contact document
+ */
+export const findContactByPhone = async (phone) => {
+  const normalized = normalizeContactPhone(phone);
+  if (!normalized) return null;
+  return Contact.findOne({ phone: normalized });
+};
+
+/**
+ * Resolve the Message.contactId for an inbound number
+ *
+ * @param {string} phone - Sender number
+ * @returns {Promise<string|null>} - Salesforce ID of the mapped contact, or null when unmapped
+ */
+export const lookupContactIdByPhone = async (phone) => {
+  const contact = await findContactByPhone(phone);
+  if (contact?.salesforceId) {
+    logInfo(`Found Salesforce ContactId ${contact.salesforceId} for phone: ${phone}`);
+    return contact.salesforceId;
+  }
+  return null;
+};
+
+/**
+ * Create or refresh the contact behind a saved message.
+ * Links the phone to the Salesforce ID when the message carries one, and records WhatsApp profile details for inbound messages.
+ * Best-effort: conflicts (e.g. the Salesforce ID already mapped to another number) are logged, not thrown.
+ *
+ * @param {Object} message - Saved Message document
+ * @param {Object} [profile] - { profileName, waId } from the inbound webhook
+ * @returns {Promise<Object|null>} - Contact document
+ */
+export const syncContactFromMessage = async (message, profile = {}) => {
+  const phone = normalizeContactPhone(message.direction === 'inbound' ? message.from : message.to);
+  if (!phone) return null;
+
+  const set = {};
+  if (isSalesforceRecordId(message.contactId)) set.salesforceId = message.contactId;
+  if (message.direction === 'outbound' && message.contactName && message.contactName !== 'Unknown') {
+    set.name = message.contactName;
+  }
+  if (profile.profileName) set.profileName = profile.profileName;
+  if (profile.waId) set.waId = profile.waId;
+
+  const at = message.timestamp || new Date();
+  const update = { $max: { lastMessageAt: at, ...(message.direction === 'inbound' ? { lastInboundAt: at } : {}) } };
+  if (Object.keys(set).length > 0) update.$set = set;
+
+  try {
+    return await Contact.findOneAndUpdate({ phone }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (error) {
+    if (error.code === 11000) {
+      logWarn(`Contact mapping conflict for ${phone} (contactId ${message.contactId}): ${error.message}`);
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find a contact by Mongo _id, Salesforce ID or phone number
+ *
+ * @param {string} key - Any of the contact's identifiers
+ * @returns {Promise<Object|null>} - Contact document
+ */
+export const findContactByKey = async (key) => {
+  if (!key || typeof key !== 'string') return null;
+  const trimmed = key.trim();
+  const clauses = [{ salesforceId: trimmed }];
+  if (mongoose.isValidObjectId(trimmed)) clauses.push({ _id: trimmed });
+  if (/^(whatsapp:)?\+?[\d\s().-]+$/.test(trimmed)) clauses.push({ phone: normalizeContactPhone(trimmed) });
+  return Contact.findOne({ $or: clauses });
+};
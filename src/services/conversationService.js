@@ -0,0 +1,183 @@
+// Conversation lifecycle: threading messages, reopening, assignment and closing
+import Conversation from '../models/Conversation.js';
+import { publishConversationUpdated } from '../utils/realtime.js';
+import { logInfo } from '../utils/logger.js';
+
+// A closed conversation that gets a new inbound message within this window is reopened; after it, a new thread starts
+const REOPEN_WINDOW_MS = parseInt(process.env.CONVERSATION_REOPEN_WINDOW_HOURS || '24', 10) * 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['open', 'pending'];
+
+const previewOf = (message) => (message.message ? message.message.substring(0, 100) : (message.media?.length || message.mediaUrl?.length ? 'Media message' : ''));
+
+/**
+ * Find the contact's active (open or pending) conversation
+ *
+ * @param {string} contactId - Message.contactId
+ * @returns {Promise<Object|null>} - Conversation document
+ */
+export const findActiveConversation = (contactId) =>
+  Conversation.findOne({ contactId, status: { $in: ACTIVE_STATUSES } }).sort({ openedAt: -1 });
+
+/**
+ * Apply an update to the contact's active conversation in one atomic operation, creating the conversation
+ * when there is none. The unique index on active conversations makes a concurrent creation fail with a
+ * duplicate key; the conversation it created then matches and the update is applied to it.
+ *
+ * @param {string} contactId - Message.contactId
+ * @param {Object} update - Update operators; $setOnInsert fields only apply to a new conversation
+ * @returns {Promise<Object>} - { conversation, created }
+ */
+const upsertActiveConversation = async (contactId, update) => {
+  const filter = { contactId, status: { $in: ACTIVE_STATUSES } };
+  const options = { upsert: true, new: true, includeResultMetadata: true, sort: { openedAt: -1 } };
+  let result;
+  try {
+    result = await Conversation.findOneAndUpdate(filter, update, options);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    result = await Conversation.findOneAndUpdate(filter, update, options);
+  }
+  return { conversation: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+/**
+ * Reopen the contact's most recent conversation if it was closed within the reopen window
+ *
+ * @param {string} contactId - Message.contactId
+ * @param {Date} at - Time of the inbound message
+ * @param {Object} activity - Last-message fields to set
+ * @returns {Promise<Object|null>} - Reopened conversation, or null when there is none to reopen
+ */
+const reopenRecentConversation = async (contactId, at, activity) => {
+  try {
+    return await Conversation.findOneAndUpdate(
+      { contactId, status: 'closed', resolvedAt: { $gte: new Date(at - REOPEN_WINDOW_MS) } },
+      {
+        $set: { ...activity, status: 'open', reopenedAt: at, resolvedAt: null, resolvedBy: null, unreadCount: 1 },
+        $inc: { reopenCount: 1 }
+      },
+      { sort: { resolvedAt: -1 }, new: true }
+    );
+  } catch (error) {
+    // A concurrent message already started an active conversation; thread into that one instead
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+};
+
+/**
+ * Thread an inbound message: update the active conversation, reopen a recently closed one, or start a new one.
+ * A pending conversation goes back to open because the customer replied.
+ *
+ * @param {Object} message - Inbound message (contactId, contactName, message, timestamp)
+ * @returns {Promise<Object>} - Conversation document
+ */
+export const recordInboundMessage = async (message) => {
+  const at = message.timestamp || new Date();
+  const activity = {
+    lastMessageAt: at,
+    lastInboundAt: at,
+    lastMessageDirection: 'inbound',
+    lastMessagePreview: previewOf(message)
+  };
+
+  let conversation = null;
+  if (!(await Conversation.exists({ contactId: message.contactId, status: { $in: ACTIVE_STATUSES } }))) {
+    conversation = await reopenRecentConversation(message.contactId, at, activity);
+    if (conversation) logInfo(`Reopened conversation ${conversation._id} for contact ${message.contactId}`);
+  }
+  if (!conversation) {
+    const result = await upsertActiveConversation(message.contactId, {
+      $set: { ...activity, status: 'open' },
+      $inc: { unreadCount: 1 },
+      // Sets the field when missing (a conversation the agent started)
+      $min: { firstInboundAt: at },
+      $setOnInsert: { contactName: message.contactName, openedAt: at }
+    });
+    conversation = result.conversation;
+    if (result.created) logInfo(`Started conversation for contact ${message.contactId}`);
+  }
+
+  if (message.contactName && !conversation.contactName) {
+    await Conversation.updateOne({ _id: conversation._id, contactName: null }, { $set: { contactName: message.contactName } });
+    conversation.contactName = message.contactName;
+  }
+  publishConversationUpdated(conversation);
+  return conversation;
+};
+
+/**
+ * Thread an outbound message: attach it to the active conversation (or start one when the agent initiates),
+ * record the first response time and clear the unread count.
+ *
+ * @param {Object} message - Outbound message (contactId, contactName, message, timestamp)
+ * @returns {Promise<Object>} - Conversation document
+ */
+export const recordOutboundMessage = async (message) => {
+  const at = message.timestamp || new Date();
+  const { conversation, created } = await upsertActiveConversation(message.contactId, {
+    $set: {
+      lastMessageAt: at,
+      lastMessageDirection: 'outbound',
+      lastMessagePreview: previewOf(message),
+      unreadCount: 0
+    },
+    $setOnInsert: { contactName: message.contactName, openedAt: at }
+  });
+  if (created) logInfo(`Started agent-initiated conversation for contact ${message.contactId}`);
+
+  if (conversation.firstInboundAt && !conversation.firstResponseAt) {
+    await Conversation.updateOne({ _id: conversation._id, firstResponseAt: null }, { $set: { firstResponseAt: at } });
+    conversation.firstResponseAt = at;
+  }
+  publishConversationUpdated(conversation);
+  return conversation;
+};
+
+/**
+ * Assign (or unassign, with a null agent) a conversation
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {string|null} agentId - Agent identifier
+ * @param {string} [agentName] - Agent display name
+ * @returns {Promise<Object>} - Saved conversation
+ */
+export const assignConversation = async (conversation, agentId, agentName) => {
+  conversation.set({
+    assignedAgent: agentId || null,
+    assignedAgentName: agentId ? agentName || null : null,
+    assignedAt: agentId ? new Date() : null
+  });
+  await conversation.save();
+  logInfo(`Conversation ${conversation._id} ${agentId ? `assigned to ${agentId}` : 'unassigned'}`);
+  publishConversationUpdated(conversation);
+  return conversation;
+};
+
+/**
+ * Move a conversation to a new status, stamping resolution or reopen times
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {string} status - open, pending or closed
+ * @param {string} [actor] - Agent or integration making the change
+ * @returns {Promise<Object>} - Saved conversation
+ */
+export const setConversationStatus = async (conversation, status, actor) => {
+  const previous = conversation.status;
+  if (previous === status) return conversation;
+
+  const now = new Date();
+  conversation.status = status;
+  if (status === 'closed') {
+    conversation.set({ resolvedAt: now, resolvedBy: actor || null, unreadCount: 0 });
+  } else if (previous === 'closed') {
+    conversation.set({ reopenedAt: now, resolvedAt: null, resolvedBy: null });
+    conversation.reopenCount += 1;
+  }
+
+  await conversation.save();
+  logInfo(`Conversation ${conversation._id} moved from ${previous} to ${status}${actor ? ` by ${actor}` : ''}`);
+  publishConversationUpdated(conversation);
+  return conversation;
+};
@@ -0,0 +1,144 @@
+// Download inbound WhatsApp media from the messaging provider into our own storage
+import Message from '../models/Message.js';
+import { getProvider } from '../providers/index.js';
+import { storeMediaStream, removeMedia, openMediaStream, normalizeContentType, SUPPORTED_MEDIA_TYPES } from './mediaService.js';
+import { VCARD_CONTENT_TYPES } from './structuredMessageService.js';
+import { parseVCards } from '../utils/vcard.js';
+import { publishMessageUpdated } from '../utils/realtime.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+
+// Customers can send larger files than we allow for uploads (e.g. long videos), so inbound has its own cap
+const INBOUND_MEDIA_MAX_BYTES = parseInt(process.env.INBOUND_MEDIA_MAX_BYTES || String(100 * 1024 * 1024), 10);
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.INBOUND_MEDIA_TIMEOUT_MS || '30000', 10);
+// A download claim older than this belongs to a caller that died (e.g. a restart) and may be taken over
+const STALE_CLAIM_MS = parseInt(process.env.INBOUND_MEDIA_STALE_CLAIM_MS || String(DOWNLOAD_TIMEOUT_MS * 2), 10);
+// vCards are read back into memory to fill Message.contacts; larger ones are only stored
+const VCARD_MAX_BYTES = SUPPORTED_MEDIA_TYPES['text/vcard'].maxBytes;
+
+/**
+ * Build the proxy URL the widget uses to render an inbound media item
+ *
+ * @param {string} messageId - Message document ID
+ * @param {number} index - Position in message.media
+ * @returns {string} - Absolute URL of GET /messages/:id/media/:index
+ */
+export const mediaProxyUrl = (messageId, index) => {
+  const apiBaseUrl = process.env.API_BASE_URL || 'https://whatsappwidget-be.onrender.com';
+  return `${apiBaseUrl}/messages/${messageId}/media/${index}`;
+};
+
+/**
+ * Claim a media item for download, so that concurrent callers (the webhook and media views) fetch it only once.
+ * A claim older than STALE_CLAIM_MS belongs to a download that died and is taken over.
+ *
+ * @param {string} messageId - Message document ID
+ * @param {number} index - Position in message.media
+ * @returns {Promise<Date|null>} - Claim time, or null if the item is stored or another caller holds it
+ */
+const claimMediaItem = async (messageId, index) => {
+  const path = `media.${index}`;
+  const lockedAt = new Date();
+  const result = await Message.updateOne(
+    {
+      _id: messageId,
+      $or: [
+        { [`${path}.status`]: { $in: ['pending', 'failed'] } },
+        { [`${path}.status`]: 'downloading', [`${path}.lockedAt`]: { $lt: new Date(lockedAt - STALE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { [`${path}.status`]: 'downloading', [`${path}.lockedAt`]: lockedAt } }
+  );
+  return result.modifiedCount === 1 ? lockedAt : null;
+};
+
+// Read a small stored file (a vCard) back as text
+const readMediaText = async (media) => {
+  const chunks = [];
+  for await (const chunk of await openMediaStream(media)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Download every pending or failed media item of an inbound message and record it on the message.
+ * Each item is claimed before it is downloaded and streamed straight to storage; items another caller
+ * is downloading are left to it. Failures are recorded per item; the proxy route retries failed items on demand.
+ *
+ * @param {string} messageId - Message document ID
+ * @returns {Promise<Object|null>} - Updated message, or null if not found
+ */
+export const downloadInboundMedia = async (messageId) => {
+  const message = await Message.findById(messageId).select('+media.sourceUrl').lean();
+  if (!message) return null;
+
+  let changed = false;
+  for (const [index, item] of message.media.entries()) {
+    if (item.status === 'stored' || !item.sourceUrl) continue;
+
+    const lockedAt = await claimMediaItem(message._id, index);
+    if (!lockedAt) {
+      logInfo(`Media ${index} of message ${message.messageSid} is already being downloaded`);
+      continue;
+    }
+
+    // Results are only written while the claim is still ours
+    const path = `media.${index}`;
+    const claim = { _id: message._id, [`${path}.status`]: 'downloading', [`${path}.lockedAt`]: lockedAt };
+    let media = null;
+    try {
+      // Messages stored before the provider was recorded came through the default provider
+      const { stream, contentType } = await getProvider(message.provider).downloadMedia(item.sourceUrl, { maxBytes: INBOUND_MEDIA_MAX_BYTES, timeoutMs: DOWNLOAD_TIMEOUT_MS });
+      // Prefer the type declared in the webhook (e.g. Twilio's MediaContentType{i}) over the download response
+      media = await storeMediaStream({
+        stream,
+        contentType: item.contentType || normalizeContentType(contentType) || 'application/octet-stream',
+        filename: item.filename,
+        direction: 'inbound'
+      });
+
+      const update = {
+        $set: {
+          [`${path}.mediaId`]: media._id,
+          [`${path}.contentType`]: media.contentType,
+          [`${path}.size`]: media.size,
+          [`${path}.checksum`]: media.checksum,
+          [`${path}.status`]: 'stored'
+        },
+        $unset: { [`${path}.error`]: '', [`${path}.lockedAt`]: '' }
+      };
+      if (VCARD_CONTENT_TYPES.includes(media.contentType) && media.size <= VCARD_MAX_BYTES) {
+        const cards = parseVCards(await readMediaText(media));
+        if (cards.length > 0) {
+          update.$push = { contacts: { $each: cards } };
+          if (!message.message) update.$set.message = cards.map(card => card.name.formatted).filter(Boolean).join(', ');
+        }
+      }
+
+      const saved = await Message.updateOne(claim, update);
+      if (saved.modifiedCount === 0) {
+        // The claim went stale and another caller took the item over; keep only its copy
+        logWarn(`Media ${index} of message ${message.messageSid} was claimed by another download, discarding ${media._id}`);
+        await removeMedia(media);
+        continue;
+      }
+      logInfo(`Stored inbound media ${index} for message ${message.messageSid}: ${media._id}`);
+    } catch (error) {
+      logError(`Failed to download inbound media ${index} for message ${message.messageSid}:`, error);
+      if (media) {
+        await removeMedia(media).catch(removeError => logError(`Failed to remove media ${media._id}:`, removeError));
+      }
+      await Message.updateOne(claim, {
+        $set: { [`${path}.status`]: 'failed', [`${path}.error`]: error.message },
+        $unset: { [`${path}.lockedAt`]: '' }
+      });
+    }
+    changed = true;
+  }
+
+  const updated = await Message.findById(messageId);
+  if (changed) {
+    publishMessageUpdated(updated);
+  } else {
+    logWarn(`No media to download for message ${message.messageSid}: stored or being downloaded`);
+  }
+  return updated;
+};
@@ -0,0 +1,120 @@
+// Interactive WhatsApp messages: outbound quick replies and list pickers
+import crypto from 'crypto';
+import Template from '../models/Template.js';
+import { getProvider } from '../providers/index.js';
+import { saveTemplate } from './templateService.js';
+import { logInfo } from '../utils/logger.js';
+
+// WhatsApp limits for session (non-template) interactive messages
+export const INTERACTIVE_LIMITS = {
+  bodyLength: 1024,
+  quickReplyButtons: 3,
+  buttonTitleLength: 20,
+  buttonIdLength: 200,
+  listItems: 10,
+  listButtonLength: 20,
+  listItemLength: 24,
+  listDescriptionLength: 72
+};
+
+// Prefix for Content resources created on the fly; keeps them apart from templates authored in the Twilio console
+const INTERACTIVE_CONTENT_PREFIX = 'widget_interactive_';
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+/**
+ * Validate a quick-reply request and build its twilio/quick-reply definition
+ *
+ * @param {Object} input - { body, buttons: [{ title, id }] }
+ * @returns {Object} - { definition } or { error }
+ */
+export const buildQuickReply = ({ body, buttons }) => {
+  if (isBlank(body) || body.length > INTERACTIVE_LIMITS.bodyLength) {
+    return { error: `body is required and must be at most ${INTERACTIVE_LIMITS.bodyLength} characters` };
+  }
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.quickReplyButtons) {
+    return { error: `buttons must be an array of 1 to ${INTERACTIVE_LIMITS.quickReplyButtons} items` };
+  }
+
+  const actions = [];
+  for (const [index, button] of buttons.entries()) {
+    const title = typeof button === 'string' ? button : button?.title;
+    if (isBlank(title) || title.trim().length > INTERACTIVE_LIMITS.buttonTitleLength) {
+      return { error: `buttons[${index}].title is required and must be at most ${INTERACTIVE_LIMITS.buttonTitleLength} characters` };
+    }
+    const id = (typeof button === 'object' && button.id) || title.trim();
+    if (typeof id !== 'string' || id.length > INTERACTIVE_LIMITS.buttonIdLength) {
+      return { error: `buttons[${index}].id must be a string of at most ${INTERACTIVE_LIMITS.buttonIdLength} characters` };
+    }
+    actions.push({ type: 'QUICK_REPLY', title: title.trim(), id });
+  }
+  if (new Set(actions.map(action => action.id)).size !== actions.length) {
+    return { error: 'Button ids must be unique' };
+  }
+
+  return { definition: { body: body.trim(), actions } };
+};
+
+/**
+ * Validate a list request and build its twilio/list-picker definition
+ *
+ * @param {Object} input - { body, button, items: [{ item, id, description }] }
+ * @returns {Object} - { definition } or { error }
+ */
+export const buildListPicker = ({ body, button, items }) => {
+  if (isBlank(body) || body.length > INTERACTIVE_LIMITS.bodyLength) {
+    return { error: `body is required and must be at most ${INTERACTIVE_LIMITS.bodyLength} characters` };
+  }
+  if (isBlank(button) || button.trim().length > INTERACTIVE_LIMITS.listButtonLength) {
+    return { error: `button is required and must be at most ${INTERACTIVE_LIMITS.listButtonLength} characters` };
+  }
+  if (!Array.isArray(items) || items.length === 0 || items.length > INTERACTIVE_LIMITS.listItems) {
+    return { error: `items must be an array of 1 to ${INTERACTIVE_LIMITS.listItems} entries` };
+  }
+
+  const listItems = [];
+  for (const [index, entry] of items.entries()) {
+    const item = entry?.item ?? entry?.title;
+    if (isBlank(item) || item.trim().length > INTERACTIVE_LIMITS.listItemLength) {
+      return { error: `items[${index}].item is required and must be at most ${INTERACTIVE_LIMITS.listItemLength} characters` };
+    }
+    if (entry.description !== undefined && (typeof entry.description !== 'string' || entry.description.length > INTERACTIVE_LIMITS.listDescriptionLength)) {
+      return { error: `items[${index}].description must be at most ${INTERACTIVE_LIMITS.listDescriptionLength} characters` };
+    }
+    const listItem = { item: item.trim(), id: entry.id || item.trim() };
+    if (entry.description) listItem.description = entry.description;
+    listItems.push(listItem);
+  }
+  if (new Set(listItems.map(item => item.id)).size !== listItems.length) {
+    return { error: 'Item ids must be unique' };
+  }
+
+  return { definition: { body: body.trim(), button: button.trim(), items: listItems } };
+};
+
+/**
+ * Get a Content SID for an interactive definition, creating the Content resource on first use.
+ * Identical definitions share one resource, keyed by a hash in its friendly name.
+ *
+ * @param {string} contentType - 'twilio/quick-reply' or 'twilio/list-picker'
+ * @param {Object} definition - Definition from buildQuickReply/buildListPicker
+ * @param {Object} [provider] - Messaging provider of the sender number (default: the default provider)
+ * @returns {Promise<Object>} - Template document for the Content resource
+ */
+export const getInteractiveContent = async (contentType, definition, provider = getProvider()) => {
+  const types = { [contentType]: definition, 'twilio/text': { body: definition.body } };
+  const hash = crypto.createHash('sha256').update(JSON.stringify(types)).digest('hex').substring(0, 24);
+  const friendlyName = `${INTERACTIVE_CONTENT_PREFIX}${hash}`;
+
+  const existing = await Template.findOne({ friendlyName, active: true });
+  if (existing) return existing;
+
+  const content = await provider.createContent({
+    friendlyName,
+    language: process.env.INTERACTIVE_CONTENT_LANGUAGE || 'en',
+    variables: {},
+    types
+  });
+  logInfo(`Created ${contentType} content ${content.sid} (${friendlyName})`);
+  return saveTemplate(content, undefined, provider.name);
+};
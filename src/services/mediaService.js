@@ -0,0 +1,218 @@
+// Media storage, WhatsApp type validation and signed public URLs
+import crypto from 'crypto';
+import path from 'path';
+import { Transform, pipeline } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import Media from '../models/Media.js';
+import { getStorage } from '../storage/index.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { ALL_CONTACTS } from '../middleware/auth.js';
+
+const MB = 1024 * 1024;
+
+// MIME types WhatsApp accepts through Twilio, with per-type size limits and file extensions
+export const SUPPORTED_MEDIA_TYPES = {
+  'image/jpeg': { maxBytes: 5 * MB, extension: '.jpg' },
+  'image/png': { maxBytes: 5 * MB, extension: '.png' },
+  'audio/ogg': { maxBytes: 16 * MB, extension: '.ogg' },
+  'audio/mpeg': { maxBytes: 16 * MB, extension: '.mp3' },
+  'audio/amr': { maxBytes: 16 * MB, extension: '.amr' },
+  'audio/mp4': { maxBytes: 16 * MB, extension: '.m4a' },
+  'audio/aac': { maxBytes: 16 * MB, extension: '.aac' },
+  'video/mp4': { maxBytes: 16 * MB, extension: '.mp4' },
+  'video/3gpp': { maxBytes: 16 * MB, extension: '.3gp' },
+  'application/pdf': { maxBytes: 16 * MB, extension: '.pdf' },
+  'application/msword': { maxBytes: 16 * MB, extension: '.doc' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { maxBytes: 16 * MB, extension: '.docx' },
+  'application/vnd.ms-excel': { maxBytes: 16 * MB, extension: '.xls' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { maxBytes: 16 * MB, extension: '.xlsx' },
+  'application/vnd.ms-powerpoint': { maxBytes: 16 * MB, extension: '.ppt' },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { maxBytes: 16 * MB, extension: '.pptx' },
+  'text/plain': { maxBytes: 16 * MB, extension: '.txt' },
+  'text/vcard': { maxBytes: 16 * MB, extension: '.vcf' }
+};
+
+// Largest file any supported type allows; used as the multipart upload limit
+export const MAX_MEDIA_BYTES = Math.max(...Object.values(SUPPORTED_MEDIA_TYPES).map(type => type.maxBytes));
+
+// Lifetime of signed media URLs handed to Twilio
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS || '3600', 10);
+
+/**
+ * Normalize a Content-Type header value to its bare MIME type
+ *
+ * @param {string} contentType - e.g. 'image/jpeg; charset=binary'
+ * @returns {string} - e.g. 'image/jpeg'
+ */
+export const normalizeContentType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Check a file against WhatsApp's supported types and size limits
+ *
+ * @param {string} contentType - MIME type
+ * @param {number} size - File size in bytes
+ * @returns {string|null} - Error message, or null if the file is acceptable
+ */
+export const validateMediaFile = (contentType, size) => {
+  const type = SUPPORTED_MEDIA_TYPES[normalizeContentType(contentType)];
+  if (!type) {
+    return `Unsupported media type: ${contentType}. Supported types: ${Object.keys(SUPPORTED_MEDIA_TYPES).join(', ')}`;
+  }
+  if (size > type.maxBytes) {
+    return `File is too large for ${contentType}: ${size} bytes (max ${type.maxBytes} bytes)`;
+  }
+  if (size === 0) {
+    return 'File is empty';
+  }
+  return null;
+};
+
+// Storage key for a new file, e.g. inbound/2024/05/<uuid>.jpg
+const buildStorageKey = (direction, contentType, filename) => {
+  const extension = SUPPORTED_MEDIA_TYPES[contentType]?.extension || path.extname(filename || '');
+  const now = new Date();
+  return `${direction}/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${uuidv4()}${extension}`;
+};
+
+/**
+ * Write a file to the storage backend and record it as a Media document
+ *
+ * @param {Object} file - { buffer, contentType, filename, direction, uploadedBy }
+ * @returns {Promise<Object>} - Saved Media document
+ */
+export const storeMedia = async ({ buffer, contentType, filename, direction, uploadedBy }) => {
+  const storage = getStorage();
+  const normalizedType = normalizeContentType(contentType);
+  const storageKey = buildStorageKey(direction, normalizedType, filename);
+
+  await storage.save(storageKey, buffer, { contentType: normalizedType });
+  const media = await Media.create({
+    storageKey,
+    storageDriver: storage.name,
+    filename: filename ? path.basename(filename) : undefined,
+    contentType: normalizedType,
+    size: buffer.length,
+    checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+    direction,
+    uploadedBy
+  });
+
+  logInfo(`Media stored: ${media._id} (${normalizedType}, ${buffer.length} bytes)`);
+  return media;
+};
+
+/**
+ * Stream a file to the storage backend and record it as a Media document, without holding it in memory
+ *
+ * @param {Object} file - { stream, contentType, filename, direction, uploadedBy }
+ * @returns {Promise<Object>} - Saved Media document
+ */
+export const storeMediaStream = async ({ stream, contentType, filename, direction, uploadedBy }) => {
+  const storage = getStorage();
+  const normalizedType = normalizeContentType(contentType);
+  const storageKey = buildStorageKey(direction, normalizedType, filename);
+
+  // Size and checksum are taken on the way through; source errors reach the backend through this stream
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  await storage.saveStream(storageKey, pipeline(stream, measure, () => {}), { contentType: normalizedType });
+
+  let media;
+  try {
+    media = await Media.create({
+      storageKey,
+      storageDriver: storage.name,
+      filename: filename ? path.basename(filename) : undefined,
+      contentType: normalizedType,
+      size,
+      checksum: hash.digest('hex'),
+      direction,
+      uploadedBy
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(removeError => logError(`Failed to remove unrecorded media ${storageKey}:`, removeError));
+    throw error;
+  }
+
+  logInfo(`Media stored: ${media._id} (${normalizedType}, ${size} bytes)`);
+  return media;
+};
+
+/**
+ * Delete a Media document and its stored file
+ *
+ * @param {Object} media - Media document
+ */
+export const removeMedia = async (media) => {
+  await getStorage().remove(media.storageKey);
+  await Media.deleteOne({ _id: media._id });
+  logInfo(`Media removed: ${media._id}`);
+};
+
+/**
+ * Check whether the caller may see or send a media file.
+ * Unrestricted callers may use any file; others only files they uploaded.
+ *
+ * @param {Object} auth - Caller identity from the auth middleware
+ * @param {Object} media - Media document
+ * @returns {boolean}
+ */
+export const canUseMedia = (auth, media) =>
+  Boolean(auth && media) && (auth.allowedContacts.includes(ALL_CONTACTS) || media.uploadedBy === auth.subject);
+
+/**
+ * Open a read stream for a stored Media document
+ *
+ * @param {Object} media - Media document
+ * @returns {Promise<ReadableStream>}
+ */
+export const openMediaStream = (media) => getStorage().createReadStream(media.storageKey);
+
+// Dedicated secret when configured; otherwise derived from the Twilio auth token so signing works out of the box
+const getSigningSecret = () => {
+  const secret = process.env.MEDIA_SIGNING_SECRET || process.env.TWILIO_AUTH_TOKEN;
+  if (!secret) {
+    throw new Error('MEDIA_SIGNING_SECRET is not configured');
+  }
+  return secret;
+};
+
+const computeSignature = (mediaId, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${mediaId}:${expires}`).digest('base64url');
+
+/**
+ * Build a public, expiring URL for a media file that Twilio can fetch without credentials
+ *
+ * @param {string} mediaId - Media document ID
+ * @param {number} [ttlSeconds] - URL lifetime
+ * @returns {string} - Absolute signed URL
+ */
+export const signMediaUrl = (mediaId, ttlSeconds = MEDIA_URL_TTL_SECONDS) => {
+  const apiBaseUrl = process.env.API_BASE_URL || 'https://whatsappwidget-be.onrender.com';
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${apiBaseUrl}/media/${mediaId}?expires=${expires}&signature=${computeSignature(String(mediaId), expires)}`;
+};
+
+/**
+ * Check a signed media URL's expiry and signature
+ *
+ * @param {string} mediaId - Media document ID from the URL
+ * @param {string} expires - Unix timestamp (seconds) from the URL
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean}
+ */
+export const verifyMediaSignature = (mediaId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(computeSignature(mediaId, expiresAt));
+  const provided = Buffer.from(String(signature));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
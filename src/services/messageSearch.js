@@ -0,0 +1,178 @@
+// Full-text message search on the Message text index, with highlight snippets and cursor pagination
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+
+export const SEARCH_SORTS = ['relevance', 'date'];
+// Longest accepted search string
+export const MAX_QUERY_LENGTH = 200;
+// Characters of context kept around the first match in a snippet
+const SNIPPET_LENGTH = parseInt(process.env.SEARCH_SNIPPET_LENGTH || '160', 10);
+
+/**
+ * Text shown for a rendered template or interactive message beyond its body: card title and
+ * subtitle, button titles, list button and items
+ *
+ * @param {Object} content - Message renderedContent
+ * @returns {string}
+ */
+const renderedText = (content) => {
+  if (!content) return '';
+  return [
+    content.title,
+    content.subtitle,
+    content.button,
+    ...(content.actions || []).map(action => action.title),
+    ...(content.items || []).flatMap(item => [item.item, item.description])
+  ].filter(value => typeof value === 'string' && value.trim()).join(' · ');
+};
+
+/**
+ * Terms to highlight from a $text search string: words and quoted phrases, without negated terms.
+ * Words are reduced to a rough stem so 'refunds' also marks 'refund' and 'refunded', as the index does.
+ *
+ * @param {string} q - Search string
+ * @returns {string[]} - Lower-case terms, longest first
+ */
+const highlightTerms = (q) => {
+  const terms = new Set();
+  const phrases = q.replace(/-?"([^"]*)"/g, (match, phrase) => {
+    if (!match.startsWith('-') && phrase.trim()) terms.add(phrase.trim().toLowerCase());
+    return ' ';
+  });
+  for (const word of phrases.split(/[^\p{L}\p{N}-]+/u)) {
+    if (!word || word.startsWith('-')) continue;
+    const lower = word.toLowerCase();
+    terms.add(lower.length > 4 ? lower.replace(/(ing|ed|es|s)$/, '') : lower);
+  }
+  return [...terms].filter(Boolean).sort((a, b) => b.length - a.length);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cut a snippet around the first match in a text and locate every match in it
+ *
+ * @param {string} text - Field text
+ * @param {RegExp} pattern - Global pattern over the highlight terms
+ * @returns {Object|null} - { text, matches: [{ start, end }] } with offsets into the snippet, or null without a match
+ */
+const buildSnippet = (text, pattern) => {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, Math.min(start, end - SNIPPET_LENGTH));
+  // Do not cut words in half
+  const wordStart = text.indexOf(' ', start) + 1;
+  if (start > 0 && wordStart > 0 && wordStart <= first.index) start = wordStart;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > first.index ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  const matches = [];
+  pattern.lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return { text: snippet, matches };
+};
+
+/**
+ * Highlights for a search result: one snippet per field the terms appear in
+ *
+ * @param {Object} message - Lean message
+ * @param {string[]} terms - Terms from highlightTerms
+ * @returns {Object[]} - [{ field, text, matches: [{ start, end }] }]
+ */
+const buildHighlights = (message, terms) => {
+  if (terms.length === 0) return [];
+  // Terms match at the start of a word and run to its end, so stems mark the whole word
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const fields = [
+    ['message', message.message],
+    ['contactName', message.contactName],
+    ['renderedContent', renderedText(message.renderedContent)],
+    ['interactive', message.interactive?.title]
+  ];
+  return fields.flatMap(([field, text]) => {
+    const snippet = typeof text === 'string' && text ? buildSnippet(text, pattern) : null;
+    return snippet ? [{ field, ...snippet }] : [];
+  });
+};
+
+const encodeCursor = (sort, message) => Buffer.from(JSON.stringify({
+  sort,
+  score: sort === 'relevance' ? message.score : undefined,
+  timestamp: new Date(message.timestamp).getTime(),
+  id: String(message._id)
+})).toString('base64url');
+
+/**
+ * Decode a cursor returned as pagination.nextCursor
+ *
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Sort of the current request; a cursor only continues the sort it came from
+ * @returns {Object} - { value: { score, timestamp, id } } or { error }
+ */
+export const parseSearchCursor = (cursor, sort) => {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (value.sort !== sort) {
+      return { error: `cursor belongs to a search sorted by ${value.sort}; repeat the search with sort=${value.sort} or without a cursor` };
+    }
+    if (!Number.isFinite(value.timestamp) || !mongoose.isValidObjectId(value.id) || (sort === 'relevance' && !Number.isFinite(value.score))) {
+      throw new Error('Malformed cursor');
+    }
+    return { value: { score: value.score, timestamp: new Date(value.timestamp), id: new mongoose.Types.ObjectId(value.id) } };
+  } catch (error) {
+    return { error: 'cursor is not valid' };
+  }
+};
+
+/**
+ * Search messages with MongoDB $text. Relevance order is by text score, then newest first;
+ * date order is newest first. Each page continues after the last result of the previous one.
+ *
+ * @param {Object} options
+ * @param {string} options.q - $text search string: words (any may match), "exact phrases", -excluded words
+ * @param {Object} options.filter - Additional Message filter (contact scope, contactId, status, dates, ...)
+ * @param {string} options.sort - 'relevance' or 'date'
+ * @param {number} options.limit - Page size
+ * @param {Object} [options.cursor] - Decoded cursor from parseSearchCursor
+ * @returns {Promise<Object>} - { results: [message with score and highlights], nextCursor }
+ */
+export const searchMessages = async ({ q, filter, sort, limit, cursor }) => {
+  const after = (field, value) => ({ [field]: { $lt: value } });
+  const afterDate = cursor && {
+    $or: [after('timestamp', cursor.timestamp), { timestamp: cursor.timestamp, ...after('_id', cursor.id) }]
+  };
+
+  // $text must lead the first $match; the tenant plugin merges tenantId into it
+  const match = { $text: { $search: q }, ...filter };
+  if (sort === 'date' && afterDate) match.$and = [...(match.$and || []), afterDate];
+  const pipeline = [
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } }
+  ];
+  if (sort === 'relevance') {
+    if (cursor) {
+      pipeline.push({ $match: { $or: [after('score', cursor.score), { score: cursor.score, ...afterDate }] } });
+    }
+    pipeline.push({ $sort: { score: -1, timestamp: -1, _id: -1 } });
+  } else {
+    pipeline.push({ $sort: { timestamp: -1, _id: -1 } });
+  }
+  // Aggregation ignores select: false, so drop the audit-only media URLs here
+  pipeline.push({ $limit: limit + 1 }, { $project: { 'media.sourceUrl': 0 } });
+
+  const messages = await Message.aggregate(pipeline);
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  const terms = highlightTerms(q);
+  return {
+    results: page.map(message => ({ ...message, highlights: buildHighlights(message, terms) })),
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+  };
+};
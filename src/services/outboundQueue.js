@@ -0,0 +1,326 @@
+// Persistent outbound message queue backed by the messages collection
+import Message from '../models/Message.js';
+import { getProvider, getProviderForSender, RETRYABLE_ERROR_CODES } from '../providers/index.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+import { publishMessageCreated, publishMessageStatus } from '../utils/realtime.js';
+import { syncContactFromMessage } from './contactService.js';
+import { recordOutboundMessage } from './conversationService.js';
+import { getTemplate, renderTemplate } from './templateService.js';
+import { isOptedOut, RECIPIENT_OPTED_OUT } from './consentService.js';
+import { emitMessageStatusChanged } from './webhookService.js';
+import { queueSalesforceSync } from './salesforceSync.js';
+import { runWithTenantId } from './tenantService.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+
+// Poll interval for due messages
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOUND_POLL_INTERVAL_MS || '2000', 10);
+// Base delay for exponential backoff between attempts (base, 2x, 4x, ...)
+const RETRY_BASE_DELAY_MS = parseInt(process.env.OUTBOUND_RETRY_BASE_MS || '5000', 10);
+// A message left in 'sending' longer than this is assumed orphaned by a crash and re-queued
+const STALE_LOCK_MS = parseInt(process.env.OUTBOUND_STALE_LOCK_MS || '120000', 10);
+// Queued messages older than this are failed instead of sent days late after an outage
+const MAX_QUEUE_AGE_MS = parseInt(process.env.OUTBOUND_MAX_QUEUE_AGE_MS || String(24 * 60 * 60 * 1000), 10);
+
+export { RETRYABLE_ERROR_CODES };
+
+/**
+ * Check whether a send error is transient and the send should be retried
+ *
+ * @param {Object} error - Error thrown by the messaging provider
+ * @param {Object} [provider] - Provider that threw it (default: MESSAGING_PROVIDER)
+ * @returns {boolean}
+ */
+export const isRetryableError = (error, provider = getProvider()) => provider.isRetryableError(error);
+
+/**
+ * Update a message; on a status change notify the contact's room and webhook subscribers and queue the Salesforce sync
+ *
+ * @param {string} messageId - Message document ID
+ * @param {Object} updateData - Fields to set
+ * @returns {Promise<Object|null>} - Updated message, or null if not found
+ */
+export const updateMessageStatus = async (messageId, updateData) => {
+  const previous = await Message.findOneAndUpdate({ _id: messageId }, { $set: updateData }, { new: false });
+  if (!previous) {
+    logError(`Failed to update message: ${messageId} - Document not found`);
+    return null;
+  }
+
+  const updated = Object.assign(previous.toObject(), updateData);
+  if (updateData.status && updateData.status !== previous.status) {
+    publishMessageStatus(updated, previous.status);
+    await emitMessageStatusChanged(updated, previous.status);
+    await queueSalesforceSync(updated);
+  }
+  return updated;
+};
+
+let wakeTimer = null;
+
+/**
+ * Nudge the worker instead of waiting for the next poll. The run leaves the caller's tenant context,
+ * since it drains every tenant's messages.
+ */
+export const wakeQueue = () => {
+  if (wakeTimer) return;
+  wakeTimer = setImmediate(() => {
+    wakeTimer = null;
+    runWithTenant(null, processQueue).catch(error => logError('Outbound queue run failed:', error));
+  });
+};
+
+/**
+ * Render a template message locally so the widget shows the final text and buttons without waiting on Twilio.
+ * Leaves the message unrendered (but sendable) if the template cannot be loaded.
+ *
+ * @param {Object} message - Message document with contentSid and contentVariables
+ */
+export const renderMessageTemplate = async (message) => {
+  try {
+    const template = await getTemplate(message.contentSid);
+    if (template) {
+      const { body, content } = renderTemplate(template, message.contentVariables || {});
+      message.message = body;
+      message.renderedContent = content;
+    } else {
+      logWarn(`Template ${message.contentSid} not found, queuing ${message.contactId} message without a rendered body`);
+    }
+  } catch (error) {
+    logError(`Failed to render template ${message.contentSid}:`, error);
+  }
+};
+
+// Thread into the contact's conversation; a failure here must not block the send
+const threadOutboundMessage = async (message) => {
+  try {
+    const conversation = await recordOutboundMessage(message);
+    message.conversationId = conversation._id;
+  } catch (error) {
+    logError(`Failed to update conversation for ${message.contactId}:`, error);
+  }
+};
+
+/**
+ * Persist an outbound message as 'queued' so the worker picks it up, or as 'scheduled' when
+ * messageData.sendAt is set (see releaseScheduledMessage).
+ * Returns as soon as the document is saved; delivery happens in the background.
+ *
+ * @param {Object} messageData - Message fields (contactId, from, to, message/contentSid, sendAt, ...)
+ * @returns {Promise<Object>} - Saved message document
+ */
+export const enqueueMessage = async (messageData) => {
+  const apiBaseUrl = process.env.API_BASE_URL || 'https://whatsappwidget-be.onrender.com';
+  const scheduled = Boolean(messageData.sendAt);
+  const message = new Message({
+    statusCallback: `${apiBaseUrl}/webhook/status`,
+    ...messageData,
+    direction: 'outbound',
+    status: scheduled ? 'scheduled' : 'queued',
+    timestamp: new Date(),
+    nextRetryAt: scheduled ? null : new Date()
+  });
+
+  if (message.contentSid && !message.renderedContent) {
+    await renderMessageTemplate(message);
+  }
+  await message.save();
+
+  // Thread only once the message is stored, so a failed save (or a lost idempotency race) never reaches
+  // the conversation. Scheduled messages join the conversation when they are released, not when they are written.
+  if (!scheduled) {
+    await threadOutboundMessage(message);
+    if (message.conversationId) {
+      await Message.updateOne({ _id: message._id }, { $set: { conversationId: message.conversationId } });
+    }
+  }
+
+  publishMessageCreated(message);
+  if (scheduled) {
+    logInfo(`Message scheduled: ${message._id} to ${message.to} at ${message.sendAt.toISOString()}`);
+    return message;
+  }
+
+  logInfo(`Message queued: ${message._id} to ${message.to}`);
+  await syncContactFromMessage(message)
+    .catch(error => logError(`Failed to update contact for ${message.to}:`, error));
+  wakeQueue();
+  return message;
+};
+
+/**
+ * Move a due scheduled message into the queue so it is sent like any other message
+ *
+ * @param {string} messageId - Message document ID
+ * @returns {Promise<Object|null>} - Queued message, or null if it is no longer scheduled (e.g. cancelled)
+ */
+export const releaseScheduledMessage = async (messageId) => {
+  const now = new Date();
+  const message = await Message.findOneAndUpdate(
+    { _id: messageId, status: 'scheduled' },
+    { $set: { status: 'queued', timestamp: now, nextRetryAt: now } },
+    { new: true }
+  );
+  if (!message) return null;
+
+  await threadOutboundMessage(message);
+  if (message.conversationId) {
+    await Message.updateOne({ _id: message._id }, { $set: { conversationId: message.conversationId } });
+  }
+
+  logInfo(`Scheduled message released: ${message._id} to ${message.to}`);
+  publishMessageStatus(message, 'scheduled');
+  await emitMessageStatusChanged(message, 'scheduled');
+  await syncContactFromMessage(message)
+    .catch(error => logError(`Failed to update contact for ${message.to}:`, error));
+  wakeQueue();
+  return message;
+};
+
+/**
+ * Send one claimed message and record the outcome.
+ * Delivery is at-least-once: a crash between the provider call and the status update re-sends after the lock goes stale.
+ *
+ * @param {Object} message - Message document already marked 'sending'
+ */
+const deliver = async (message) => {
+  const attempt = message.retryCount + 1;
+  let provider;
+  try {
+    // Checked again here because the customer may have opted out after the message was queued
+    if (await isOptedOut(message.to)) {
+      await updateMessageStatus(message._id, {
+        status: 'failed',
+        lockedAt: null,
+        nextRetryAt: null,
+        errorCode: RECIPIENT_OPTED_OUT,
+        errorMessage: 'Recipient has opted out of WhatsApp messages',
+        failedAt: new Date()
+      });
+      logWarn(`Message ${message._id} not sent: ${message.to} has opted out`);
+      return;
+    }
+
+    // The sender number decides the provider (MESSAGING_PROVIDER_BY_NUMBER)
+    provider = getProviderForSender(message.from);
+    logInfo(`Sending message ${message._id} via ${provider.name} (attempt ${attempt}/${message.maxRetries + 1})`);
+    const sent = await provider.send(message);
+    await updateMessageStatus(message._id, { messageSid: sent.sid, provider: provider.name, status: 'sent', sentAt: new Date(), lockedAt: null, nextRetryAt: null });
+    logInfo(`Message sent successfully: ${sent.sid} to ${message.to}`);
+  } catch (error) {
+    logError(`Send attempt ${attempt} failed for message ${message._id}:`, error);
+
+    if (provider && isRetryableError(error, provider) && message.retryCount < message.maxRetries) {
+      const delay = Math.pow(2, message.retryCount) * RETRY_BASE_DELAY_MS;
+      await updateMessageStatus(message._id, {
+        status: 'queued',
+        retryCount: attempt,
+        nextRetryAt: new Date(Date.now() + delay),
+        lockedAt: null,
+        errorCode: String(error.code || 'UNKNOWN_ERROR'),
+        errorMessage: error.message || 'Unknown error occurred'
+      });
+      logInfo(`Message ${message._id} re-queued, retrying in ${delay}ms`);
+      return;
+    }
+
+    await updateMessageStatus(message._id, {
+      status: 'failed',
+      retryCount: attempt,
+      nextRetryAt: null,
+      lockedAt: null,
+      errorCode: String(error.code || 'UNKNOWN_ERROR'),
+      errorMessage: error.message || 'Unknown error occurred',
+      failedAt: new Date()
+    });
+    logError(`Message ${message._id} permanently failed: ${error.message} (Code: ${error.code})`);
+  }
+};
+
+/**
+ * Return messages orphaned in 'sending' to the queue and fail queued messages that are too old to send
+ */
+const reclaimStuckMessages = async () => {
+  const now = Date.now();
+  const reclaimed = await Message.updateMany(
+    { direction: 'outbound', status: 'sending', $or: [{ lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } }, { lockedAt: null }] },
+    { $set: { status: 'queued', lockedAt: null, nextRetryAt: new Date(now) } }
+  );
+  if (reclaimed.modifiedCount > 0) {
+    logWarn(`Reclaimed ${reclaimed.modifiedCount} outbound messages stuck in 'sending'`);
+  }
+
+  const expired = await Message.find({ direction: 'outbound', status: 'queued', timestamp: { $lt: new Date(now - MAX_QUEUE_AGE_MS) } }).select('_id tenantId');
+  for (const { _id, tenantId } of expired) {
+    await runWithTenantId(tenantId, () => updateMessageStatus(_id, {
+      status: 'failed',
+      nextRetryAt: null,
+      errorCode: 'QUEUE_EXPIRED',
+      errorMessage: 'Message was not sent before the queue expiry window elapsed',
+      failedAt: new Date()
+    }));
+  }
+  if (expired.length > 0) {
+    logWarn(`Failed ${expired.length} queued messages older than ${MAX_QUEUE_AGE_MS}ms`);
+  }
+};
+
+/**
+ * Atomically claim the next due message so concurrent workers never send it twice
+ *
+ * @returns {Promise<Object|null>} - Claimed message document
+ */
+const claimNextMessage = () => Message.findOneAndUpdate(
+  { direction: 'outbound', status: 'queued', $or: [{ nextRetryAt: { $lte: new Date() } }, { nextRetryAt: null }] },
+  { $set: { status: 'sending', lockedAt: new Date() } },
+  { sort: { nextRetryAt: 1, timestamp: 1 }, new: true }
+);
+
+let running = false;
+
+/**
+ * Drain all currently due messages, each sent in its tenant's context. Runs are serialised within the process.
+ */
+export const processQueue = async () => {
+  if (running) return;
+  running = true;
+  try {
+    let message;
+    while ((message = await claimNextMessage())) {
+      publishMessageStatus(message, 'queued');
+      try {
+        await runWithTenantId(message.tenantId, () => deliver(message));
+      } catch (error) {
+        // Only reached when the message's tenant is gone; there is nobody left to send it for
+        logError(`Could not send message ${message._id}:`, error);
+        await updateMessageStatus(message._id, { status: 'failed', nextRetryAt: null, errorCode: 'TENANT_NOT_FOUND', errorMessage: error.message, failedAt: new Date() });
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+let pollTimer = null;
+
+/**
+ * Start the background worker. Reclaims stuck rows first so messages lost on restart are resumed.
+ */
+export const startOutboundWorker = async () => {
+  if (pollTimer) return;
+  await reclaimStuckMessages();
+  pollTimer = setInterval(() => {
+    reclaimStuckMessages()
+      .then(processQueue)
+      .catch(error => logError('Outbound queue run failed:', error));
+  }, POLL_INTERVAL_MS);
+  logInfo(`Outbound queue worker started (poll every ${POLL_INTERVAL_MS}ms)`);
+  processQueue().catch(error => logError('Outbound queue run failed:', error));
+};
+
+/**
+ * Stop polling for due messages
+ */
+export const stopOutboundWorker = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
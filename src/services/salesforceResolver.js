@@ -0,0 +1,196 @@
+// Resolve unknown WhatsApp numbers to Salesforce Contacts or Leads (in the current tenant's org) and re-link
+// their earlier messages
+import Contact from '../models/Contact.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { isSalesforceConfigured, salesforceQuery, salesforceRequest, escapeSoql } from '../config/salesforce.js';
+import { normalizeContactPhone } from './contactService.js';
+import { getCurrentTenant } from '../utils/tenantContext.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+
+// Enables lookups; tenants also opt in with salesforce.resolverEnabled
+const RESOLVER_ENABLED = process.env.SALESFORCE_RESOLVER_ENABLED === 'true';
+// Single-tenant settings; tenants set the same in tenant.salesforce (resolverPhoneFields, resolverCreateLeads, ...)
+// Phone fields searched on Contact and Lead
+const PHONE_FIELDS = (process.env.SALESFORCE_RESOLVER_PHONE_FIELDS || 'Phone,MobilePhone')
+  .split(',').map(field => field.trim()).filter(Boolean);
+// How long a lookup that found nothing is remembered before Salesforce is asked again
+const NEGATIVE_CACHE_MS = parseInt(process.env.SALESFORCE_RESOLVER_NEGATIVE_TTL_MINUTES || '60', 10) * 60 * 1000;
+const CREATE_LEADS = process.env.SALESFORCE_RESOLVER_CREATE_LEADS === 'true';
+const LEAD_COMPANY = process.env.SALESFORCE_LEAD_COMPANY || 'WhatsApp';
+const LEAD_SOURCE = process.env.SALESFORCE_LEAD_SOURCE || 'WhatsApp';
+
+/**
+ * Lookup settings of the current tenant (tenant.salesforce), or the SALESFORCE_RESOLVER_* variables outside a tenant
+ *
+ * @returns {Object} - { enabled, phoneFields, createLeads, leadCompany, leadSource }
+ */
+const getResolverSettings = () => {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    const settings = tenant.salesforce || {};
+    return {
+      enabled: settings.resolverEnabled === true,
+      phoneFields: settings.resolverPhoneFields?.length ? settings.resolverPhoneFields : ['Phone', 'MobilePhone'],
+      createLeads: settings.resolverCreateLeads === true,
+      leadCompany: settings.leadCompany || 'WhatsApp',
+      leadSource: settings.leadSource || 'WhatsApp'
+    };
+  }
+  return { enabled: true, phoneFields: PHONE_FIELDS, createLeads: CREATE_LEADS, leadCompany: LEAD_COMPANY, leadSource: LEAD_SOURCE };
+};
+
+/**
+ * Whether unknown numbers are looked up in Salesforce: lookups are enabled, the current tenant opted in
+ * and its org (or, outside a tenant, the env org) is configured
+ *
+ * @returns {boolean}
+ */
+export const isSalesforceResolverEnabled = () => RESOLVER_ENABLED && getResolverSettings().enabled && isSalesforceConfigured();
+
+/**
+ * Ways a number is commonly typed into Salesforce phone fields. SOQL compares strings exactly,
+ * so each format is searched; North American numbers also get their national formats.
+ *
+ * @param {string} phone - E.164 number
+ * @returns {string[]}
+ */
+export const phoneSearchVariants = (phone) => {
+  const digits = phone.replace(/\D/g, '');
+  const variants = [phone, digits, `00${digits}`];
+  if (digits.length === 11 && digits.startsWith('1')) {
+    const [area, exchange, line] = [digits.slice(1, 4), digits.slice(4, 7), digits.slice(7)];
+    variants.push(
+      digits.slice(1),
+      `(${area}) ${exchange}-${line}`,
+      `${area}-${exchange}-${line}`,
+      `+1 (${area}) ${exchange}-${line}`,
+      `+1 ${area}-${exchange}-${line}`
+    );
+  }
+  return variants;
+};
+
+/**
+ * Query Contacts, then unconverted Leads, by phone
+ *
+ * @param {string} phone - E.164 number
+ * @returns {Promise<Object|null>} - { salesforceId, objectType, name }
+ */
+export const findSalesforceRecordByPhone = async (phone) => {
+  const { phoneFields } = getResolverSettings();
+  const values = phoneSearchVariants(phone).map(value => `'${escapeSoql(value)}'`).join(', ');
+  const phoneFilter = phoneFields.map(field => `${field} IN (${values})`).join(' OR ');
+  const fields = ['Id', 'Name', ...phoneFields].join(', ');
+
+  for (const [objectType, extraFilter] of [['Contact', ''], ['Lead', 'IsConverted = false AND ']]) {
+    const records = await salesforceQuery(
+      `SELECT ${fields} FROM ${objectType} WHERE ${extraFilter}(${phoneFilter}) ORDER BY LastModifiedDate DESC LIMIT 10`
+    );
+
+    if (records.length > 0) {
+      if (records.length > 1) {
+        logWarn(`${records.length} Salesforce ${objectType}s share phone ${phone}; using the most recently modified (${records[0].Id})`);
+      }
+      return { salesforceId: records[0].Id, objectType, name: records[0].Name };
+    }
+  }
+  return null;
+};
+
+/**
+ * Create a Lead for a number with no Salesforce match
+ *
+ * @param {string} phone - E.164 number
+ * @param {string} [profileName] - WhatsApp profile name
+ * @returns {Promise<Object>} - { salesforceId, objectType: 'Lead', name }
+ */
+const createLead = async (phone, profileName) => {
+  const name = profileName?.trim() || `WhatsApp ${phone}`;
+  const { leadCompany, leadSource } = getResolverSettings();
+  const result = await salesforceRequest('POST', '/sobjects/Lead', {
+    LastName: name,
+    Company: leadCompany,
+    LeadSource: leadSource,
+    MobilePhone: phone
+  });
+  logInfo(`Created Salesforce Lead ${result.id} for ${phone}`);
+  return { salesforceId: result.id, objectType: 'Lead', name };
+};
+
+/**
+ * Move messages and conversations stored under the raw phone number onto the Salesforce record,
+ * and queue messages the Salesforce sync skipped for being unlinked
+ *
+ * @param {string} phone - E.164 number used as the fallback contactId
+ * @param {string} salesforceId - Resolved record ID
+ * @returns {Promise<Object>} - { messages, conversations } counts
+ */
+export const relinkOrphanedMessages = async (phone, salesforceId) => {
+  const orphaned = { contactId: phone, $or: [{ direction: 'inbound', from: phone }, { direction: 'outbound', to: phone }] };
+  await Message.updateMany(
+    { ...orphaned, 'salesforceSync.status': 'skipped' },
+    { $set: { 'salesforceSync.status': 'pending', 'salesforceSync.attempts': 0, 'salesforceSync.nextAttemptAt': new Date() } }
+  );
+  const messages = await Message.updateMany(orphaned, { $set: { contactId: salesforceId } });
+  const conversations = await Conversation.updateMany({ contactId: phone }, { $set: { contactId: salesforceId } });
+
+  if (messages.modifiedCount > 0 || conversations.modifiedCount > 0) {
+    logInfo(`Re-linked ${messages.modifiedCount} messages and ${conversations.modifiedCount} conversations from ${phone} to ${salesforceId}`);
+  }
+  return { messages: messages.modifiedCount, conversations: conversations.modifiedCount };
+};
+
+/**
+ * Find the Salesforce record for a number that has no local mapping. Results are cached on the
+ * contact: a match becomes its salesforceId, a miss is not retried until the negative cache expires.
+ * On a new match the number's earlier phone-keyed messages are re-linked.
+ *
+ * @param {string} phone - Number with or without the whatsapp: prefix
+ * @param {Object} [options] - { profileName, createLead (default: the tenant's resolverCreateLeads or
+ *   SALESFORCE_RESOLVER_CREATE_LEADS), force (ignore the negative cache) }
+ * @returns {Promise<Object|null>} - { salesforceId, objectType, name, created }, or null when unresolved or on error
+ */
+export const resolveSalesforceContact = async (phone, { profileName, createLead: allowCreate, force = false } = {}) => {
+  const normalized = normalizeContactPhone(phone);
+  if (!normalized || !isSalesforceResolverEnabled()) return null;
+  if (allowCreate === undefined) allowCreate = getResolverSettings().createLeads;
+
+  try {
+    const contact = await Contact.findOne({ phone: normalized });
+    if (contact?.salesforceId) {
+      return { salesforceId: contact.salesforceId, objectType: contact.salesforceObject || null, name: contact.name || null, created: false };
+    }
+    if (!force && contact?.salesforceLookupAt && Date.now() - contact.salesforceLookupAt.getTime() < NEGATIVE_CACHE_MS) {
+      return null;
+    }
+
+    let match = await findSalesforceRecordByPhone(normalized);
+    const created = !match && allowCreate;
+    if (created) match = await createLead(normalized, profileName);
+
+    const set = { salesforceLookupAt: new Date() };
+    if (match) Object.assign(set, { salesforceId: match.salesforceId, salesforceObject: match.objectType });
+    if (match?.name && !contact?.name) set.name = match.name;
+    try {
+      await Contact.updateOne({ phone: normalized }, { $set: set }, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // The record is already mapped to another number; keep this one unlinked rather than steal the mapping
+      logWarn(`Salesforce ${match.salesforceId} is already linked to another number; ${normalized} left unlinked`);
+      await Contact.updateOne({ phone: normalized }, { $set: { salesforceLookupAt: set.salesforceLookupAt } }, { upsert: true });
+      return null;
+    }
+
+    if (!match) {
+      logInfo(`No Salesforce Contact or Lead found for ${normalized}`);
+      return null;
+    }
+    logInfo(`Resolved ${normalized} to Salesforce ${match.objectType} ${match.salesforceId}`);
+    await relinkOrphanedMessages(normalized, match.salesforceId);
+    return { ...match, created };
+  } catch (error) {
+    logError(`Salesforce lookup failed for ${normalized}:`, error.message);
+    return null;
+  }
+};
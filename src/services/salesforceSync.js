@@ -0,0 +1,343 @@
+// Salesforce write-back: log inbound and outbound messages as Tasks or a configured custom object,
+// each in the org of the tenant the message belongs to
+import Message from '../models/Message.js';
+import { isSalesforceConfigured, salesforceRequest } from '../config/salesforce.js';
+import { runWithTenantId } from './tenantService.js';
+import { getCurrentTenant } from '../utils/tenantContext.js';
+import { logInfo, logError, logWarn, logDebug } from '../utils/logger.js';
+
+// Runs the write-back worker; tenants also opt in with salesforce.syncEnabled
+const SYNC_ENABLED = process.env.SALESFORCE_SYNC_ENABLED === 'true';
+// Single-tenant settings; tenants set the same in tenant.salesforce (syncObject, syncExternalIdField, ...)
+// Object each message is written to; anything other than Task needs SALESFORCE_SYNC_FIELD_MAP
+const OBJECT_TYPE = process.env.SALESFORCE_SYNC_OBJECT || 'Task';
+// Optional external ID field holding the Twilio MessageSid; makes writes upserts so a retry never duplicates a record
+const EXTERNAL_ID_FIELD = process.env.SALESFORCE_SYNC_EXTERNAL_ID_FIELD || null;
+// Messages not linked to a Salesforce Contact or Lead are skipped unless this is 'false'
+const REQUIRE_RECORD = process.env.SALESFORCE_SYNC_REQUIRE_RECORD !== 'false';
+
+const POLL_INTERVAL_MS = parseInt(process.env.SALESFORCE_SYNC_POLL_INTERVAL_MS || '5000', 10);
+// Base delay for exponential backoff between attempts (base, 2x, 4x, ...)
+const RETRY_BASE_DELAY_MS = parseInt(process.env.SALESFORCE_SYNC_RETRY_BASE_MS || '30000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.SALESFORCE_SYNC_MAX_ATTEMPTS || '6', 10);
+// A message left in 'syncing' longer than this is assumed orphaned by a crash and retried
+const STALE_LOCK_MS = parseInt(process.env.SALESFORCE_SYNC_STALE_LOCK_MS || '120000', 10);
+const BATCH_SIZE = 50;
+
+// Only messages that reached the customer (or came from them) are logged; queued and scheduled ones wait
+export const SYNCABLE_STATUSES = ['received', 'sent', 'delivered', 'read', 'failed', 'undelivered'];
+
+// Contact (003) and Lead (00Q) IDs, the records a Task's WhoId can point at
+const WHO_ID_PATTERN = /^(003|00Q)[a-zA-Z0-9]{12}([a-zA-Z0-9]{3})?$/;
+
+// Task fields written by default. Values are templates over the mapping context (see buildMappingContext).
+const DEFAULT_TASK_MAPPING = {
+  Subject: 'WhatsApp {{direction}} message',
+  Description: '{{body}}',
+  WhoId: '{{whoId}}',
+  ActivityDate: '{{activityDate}}',
+  Status: 'Completed',
+  Priority: 'Normal'
+};
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Write-back settings of the current tenant (tenant.salesforce), or the SALESFORCE_SYNC_* variables outside a tenant
+ *
+ * @returns {Object} - { enabled, objectType, externalIdField, requireRecord, fieldMap, fieldMapSetting }
+ */
+const getSyncSettings = () => {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    const settings = tenant.salesforce || {};
+    return {
+      enabled: settings.syncEnabled === true,
+      objectType: settings.syncObject || 'Task',
+      externalIdField: settings.syncExternalIdField || null,
+      requireRecord: settings.syncRequireRecord !== false,
+      fieldMap: settings.syncFieldMap || null,
+      fieldMapSetting: 'salesforce.syncFieldMap'
+    };
+  }
+  return {
+    enabled: true,
+    objectType: OBJECT_TYPE,
+    externalIdField: EXTERNAL_ID_FIELD,
+    requireRecord: REQUIRE_RECORD,
+    fieldMap: process.env.SALESFORCE_SYNC_FIELD_MAP || null,
+    fieldMapSetting: 'SALESFORCE_SYNC_FIELD_MAP'
+  };
+};
+
+/**
+ * Field mapping for the configured object: the tenant's salesforce.syncFieldMap or SALESFORCE_SYNC_FIELD_MAP
+ * (JSON object of Salesforce field -> template such as "{{body}}"), or the default Task mapping
+ *
+ * @returns {Object} - { mapping } or { error }
+ */
+export const getSyncMapping = () => {
+  const { objectType, fieldMap, fieldMapSetting } = getSyncSettings();
+  if (!fieldMap) {
+    return objectType === 'Task'
+      ? { mapping: DEFAULT_TASK_MAPPING }
+      : { error: `${fieldMapSetting} is required to sync to ${objectType}` };
+  }
+  try {
+    const mapping = typeof fieldMap === 'string' ? JSON.parse(fieldMap) : fieldMap;
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+      return { error: `${fieldMapSetting} must be a non-empty JSON object` };
+    }
+    return { mapping };
+  } catch {
+    return { error: `${fieldMapSetting} is not valid JSON` };
+  }
+};
+
+/**
+ * Whether messages are written back to Salesforce: the worker is enabled, the current tenant opted in
+ * and its org (or, outside a tenant, the env org) is configured
+ *
+ * @returns {boolean}
+ */
+export const isSalesforceSyncEnabled = () => SYNC_ENABLED && getSyncSettings().enabled && isSalesforceConfigured();
+
+/**
+ * Values a field mapping can reference, e.g. "{{contactName}}" or "{{timestamp}}"
+ *
+ * @param {Object} message - Message document or lean object
+ * @returns {Object}
+ */
+export const buildMappingContext = (message) => {
+  const data = typeof message?.toObject === 'function' ? message.toObject() : message;
+  const iso = (date) => (date ? new Date(date).toISOString() : null);
+  return {
+    id: String(data._id),
+    messageSid: data.messageSid,
+    direction: data.direction,
+    status: data.status,
+    messageType: data.messageType,
+    contactId: data.contactId,
+    contactName: data.contactName,
+    whoId: WHO_ID_PATTERN.test(data.contactId || '') ? data.contactId : null,
+    from: data.from,
+    to: data.to,
+    fromName: data.fromName,
+    body: data.message || `[${data.messageType || 'message'}]`,
+    contentSid: data.contentSid || null,
+    conversationId: data.conversationId ? String(data.conversationId) : null,
+    campaignId: data.campaignId ? String(data.campaignId) : null,
+    timestamp: iso(data.timestamp),
+    activityDate: iso(data.timestamp)?.slice(0, 10) || null,
+    sentAt: iso(data.sentAt),
+    deliveredAt: iso(data.deliveredAt),
+    readAt: iso(data.readAt),
+    failedAt: iso(data.failedAt),
+    errorCode: data.errorCode || null,
+    errorMessage: data.errorMessage || null
+  };
+};
+
+/**
+ * Apply a field mapping. A template that is exactly one placeholder keeps the value as is;
+ * mixed text is interpolated. Fields that resolve to nothing are left out.
+ *
+ * @param {Object} mapping - Salesforce field -> template or literal
+ * @param {Object} context - From buildMappingContext
+ * @returns {Object} - Salesforce record fields
+ */
+export const mapMessageFields = (mapping, context) => {
+  const fields = {};
+  for (const [field, template] of Object.entries(mapping)) {
+    let value = template;
+    if (typeof template === 'string') {
+      const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+      value = whole
+        ? context[whole[1]]
+        : template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (context[key] == null ? '' : String(context[key])));
+    }
+    if (value !== undefined && value !== null && value !== '') fields[field] = value;
+  }
+  return fields;
+};
+
+/**
+ * Mark a message for (re)writing to Salesforce. Called when a message is received or changes status;
+ * a message already synced is updated in place.
+ *
+ * @param {Object} message - Message document or lean object carrying its current status
+ */
+export const queueSalesforceSync = async (message) => {
+  if (!isSalesforceSyncEnabled() || !SYNCABLE_STATUSES.includes(message?.status)) return;
+  try {
+    await Message.updateOne({ _id: message._id }, {
+      $set: {
+        'salesforceSync.status': 'pending',
+        'salesforceSync.attempts': 0,
+        'salesforceSync.nextAttemptAt': new Date(),
+        'salesforceSync.error': null
+      }
+    });
+  } catch (error) {
+    logError(`Failed to queue Salesforce sync for message ${message._id}:`, error);
+  }
+};
+
+// Network errors, rate limits, expired sessions and server errors are worth retrying; other rejections are final
+const isRetryableSyncError = (error) =>
+  !error.status || error.status === 401 || error.status === 429 || error.status >= 500 || error.code === 'REQUEST_LIMIT_EXCEEDED';
+
+/**
+ * Write one message to Salesforce: upsert on the external ID when configured, otherwise create
+ * the record on the first sync and update it afterwards
+ *
+ * @param {Object} message - Message document
+ * @param {Object} fields - Mapped record fields
+ * @param {Object} settings - { objectType, externalIdField } from getSyncSettings
+ * @returns {Promise<string|null>} - Salesforce record ID, when known
+ */
+const writeRecord = async (message, fields, { objectType, externalIdField }) => {
+  const recordId = message.salesforceSync?.recordId;
+  if (externalIdField) {
+    const result = await salesforceRequest('PATCH', `/sobjects/${objectType}/${externalIdField}/${encodeURIComponent(message.messageSid)}`, fields);
+    return result?.id || recordId || null;
+  }
+  if (recordId) {
+    await salesforceRequest('PATCH', `/sobjects/${objectType}/${recordId}`, fields);
+    return recordId;
+  }
+  const result = await salesforceRequest('POST', `/sobjects/${objectType}`, fields);
+  return result.id;
+};
+
+/**
+ * Sync one claimed message to its tenant's org and record the outcome
+ *
+ * @param {Object} message - Message document in 'syncing' state
+ */
+const syncMessage = async (message) => {
+  const { lockedAt } = message.salesforceSync;
+  const attempts = (message.salesforceSync.attempts || 0) + 1;
+  const now = new Date();
+  const context = buildMappingContext(message);
+  // Only finish the sync we claimed; a status change queued meanwhile leaves the message pending
+  const claimed = { _id: message._id, 'salesforceSync.status': 'syncing', 'salesforceSync.lockedAt': lockedAt };
+  const finish = (update) => Message.updateOne(claimed, {
+    $set: Object.fromEntries(Object.entries({ ...update, lockedAt: null, lastAttemptAt: now, attempts }).map(([key, value]) => [`salesforceSync.${key}`, value]))
+  });
+
+  const settings = getSyncSettings();
+  if (!isSalesforceSyncEnabled()) {
+    await finish({ status: 'skipped', error: 'Salesforce sync is not enabled for this tenant' });
+    return;
+  }
+  // A configuration error fails the message; fix the mapping and retry with POST /api/salesforce/sync/retry
+  const { mapping, error: configError } = getSyncMapping();
+  if (configError) {
+    await finish({ status: 'failed', error: configError });
+    logError(`Salesforce sync for message ${message._id} failed: ${configError}`);
+    return;
+  }
+  if (settings.requireRecord && !context.whoId) {
+    await finish({ status: 'skipped', error: 'Message is not linked to a Salesforce Contact or Lead' });
+    return;
+  }
+
+  try {
+    const fields = mapMessageFields(mapping, context);
+    if (settings.externalIdField) delete fields[settings.externalIdField];
+    const recordId = await writeRecord(message, fields, settings);
+    // Keep the record ID even if the message was re-queued meanwhile, so the next sync updates instead of duplicating
+    await Message.updateOne({ _id: message._id }, { $set: { 'salesforceSync.recordId': recordId, 'salesforceSync.objectType': settings.objectType } });
+    await finish({ status: 'synced', syncedAt: now, error: null });
+    logDebug(`Message ${message._id} synced to Salesforce ${settings.objectType} ${recordId}`);
+  } catch (error) {
+    if (isRetryableSyncError(error) && attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+      await finish({ status: 'pending', nextAttemptAt: new Date(now.getTime() + delay), error: error.message });
+      logWarn(`Salesforce sync for message ${message._id} failed (${error.message}), retrying in ${delay}ms`);
+    } else {
+      await finish({ status: 'failed', error: error.code ? `${error.code}: ${error.message}` : error.message });
+      logError(`Salesforce sync for message ${message._id} failed after ${attempts} attempts:`, error.message);
+    }
+  }
+};
+
+/**
+ * Sync every due message, each in its tenant's context so it is written to that tenant's org.
+ * Messages are claimed atomically so several instances can share the work.
+ */
+export const processSalesforceSync = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const reclaimed = await Message.updateMany(
+      { 'salesforceSync.status': 'syncing', 'salesforceSync.lockedAt': { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { 'salesforceSync.status': 'pending', 'salesforceSync.lockedAt': null } }
+    );
+    if (reclaimed.modifiedCount > 0) {
+      logWarn(`Reclaimed ${reclaimed.modifiedCount} messages stuck in Salesforce 'syncing'`);
+    }
+
+    for (let processed = 0; processed < BATCH_SIZE; processed += 1) {
+      const message = await Message.findOneAndUpdate(
+        { 'salesforceSync.status': 'pending', 'salesforceSync.nextAttemptAt': { $lte: new Date() } },
+        { $set: { 'salesforceSync.status': 'syncing', 'salesforceSync.lockedAt': new Date() } },
+        { sort: { 'salesforceSync.nextAttemptAt': 1 }, new: true }
+      );
+      if (!message) break;
+      try {
+        await runWithTenantId(message.tenantId, () => syncMessage(message));
+      } catch (syncError) {
+        logError(`Failed to process Salesforce sync for message ${message._id}:`, syncError);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Summary of the current tenant's write-back configuration and per-status message counts
+ *
+ * @returns {Promise<Object>} - { enabled, objectType, externalIdField, configError, counts }
+ */
+export const getSalesforceSyncStatus = async () => {
+  const counts = await Message.aggregate([
+    { $match: { 'salesforceSync.status': { $exists: true } } },
+    { $group: { _id: '$salesforceSync.status', count: { $sum: 1 } } }
+  ]);
+  const settings = getSyncSettings();
+  return {
+    enabled: isSalesforceSyncEnabled(),
+    objectType: settings.objectType,
+    externalIdField: settings.externalIdField,
+    configError: getSyncMapping().error || null,
+    counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+  };
+};
+
+/**
+ * Start writing messages back to Salesforce, if SALESFORCE_SYNC_ENABLED is set. Which messages are queued
+ * depends on each tenant's settings (or, single-tenant, on the SALESFORCE_* client credentials).
+ */
+export const startSalesforceSync = () => {
+  if (pollTimer) return;
+  if (!SYNC_ENABLED) {
+    logInfo('Salesforce sync disabled (set SALESFORCE_SYNC_ENABLED=true and Salesforce client credentials to enable)');
+    return;
+  }
+  pollTimer = setInterval(() => {
+    processSalesforceSync().catch(error => logError('Salesforce sync run failed:', error));
+  }, POLL_INTERVAL_MS);
+  logInfo(`Salesforce sync started (poll every ${POLL_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop the Salesforce sync worker
+ */
+export const stopSalesforceSync = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
@@ -0,0 +1,128 @@
+// Scheduled sends: release due messages to the outbound queue, edit and cancel pending ones
+import Message from '../models/Message.js';
+import { releaseScheduledMessage, renderMessageTemplate } from './outboundQueue.js';
+import { getServiceWindow, isServiceWindowEnforced, SERVICE_WINDOW_CLOSED } from './serviceWindow.js';
+import { publishMessageStatus, publishMessageUpdated } from '../utils/realtime.js';
+import { emitMessageStatusChanged } from './webhookService.js';
+import { runWithTenantId } from './tenantService.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+
+// How often due messages are released; sends happen up to this long after sendAt
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '15000', 10);
+const BATCH_SIZE = 100;
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Move a scheduled message to a final status, unless it was released or cancelled meanwhile
+ *
+ * @param {string} messageId - Message document ID
+ * @param {Object} update - Fields to set (status, errorCode, ...)
+ * @returns {Promise<Object|null>} - Updated message, or null if it was no longer scheduled
+ */
+const closeScheduledMessage = async (messageId, update) => {
+  const message = await Message.findOneAndUpdate({ _id: messageId, status: 'scheduled' }, { $set: update }, { new: true });
+  if (message) {
+    publishMessageStatus(message, 'scheduled');
+    await emitMessageStatusChanged(message, 'scheduled');
+  }
+  return message;
+};
+
+/**
+ * Cancel a scheduled message
+ *
+ * @param {string} messageId - Message document ID
+ * @returns {Promise<Object|null>} - Cancelled message, or null if it was no longer scheduled
+ */
+export const cancelScheduledMessage = async (messageId) => {
+  const message = await closeScheduledMessage(messageId, { status: 'cancelled', cancelledAt: new Date(), nextRetryAt: null });
+  if (message) logInfo(`Scheduled message cancelled: ${messageId}`);
+  return message;
+};
+
+/**
+ * Apply edits to a scheduled message (body, template variables, send time).
+ * Template messages are re-rendered so the widget shows the updated text.
+ *
+ * @param {Object} message - Scheduled message document
+ * @param {Object} changes - Fields to change: message, contentVariables, sendAt, timeZone
+ * @returns {Promise<Object|null>} - Updated message, or null if it was released or cancelled meanwhile
+ */
+export const updateScheduledMessage = async (message, changes) => {
+  message.set(changes);
+  if (message.contentSid && changes.contentVariables) {
+    await renderMessageTemplate(message);
+  }
+  await message.validate();
+
+  const update = { ...changes };
+  if (message.contentSid) Object.assign(update, { message: message.message, renderedContent: message.renderedContent });
+  const updated = await Message.findOneAndUpdate({ _id: message._id, status: 'scheduled' }, { $set: update }, { new: true });
+  if (updated) {
+    logInfo(`Scheduled message updated: ${updated._id} (sendAt ${updated.sendAt.toISOString()})`);
+    publishMessageUpdated(updated);
+  }
+  return updated;
+};
+
+/**
+ * Release every due scheduled message in its tenant's context. Free-form messages whose service window has
+ * closed since they were scheduled are failed instead of sent.
+ */
+export const processScheduledMessages = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const due = await Message.find({ status: 'scheduled', sendAt: { $lte: new Date() } })
+      .sort({ sendAt: 1 })
+      .limit(BATCH_SIZE)
+      .select('_id to contentSid tenantId');
+
+    for (const message of due) {
+      try {
+        await runWithTenantId(message.tenantId, async () => {
+          if (!message.contentSid && isServiceWindowEnforced()) {
+            const serviceWindow = await getServiceWindow(message.to);
+            if (!serviceWindow.open) {
+              await closeScheduledMessage(message._id, {
+                status: 'failed',
+                errorCode: SERVICE_WINDOW_CLOSED,
+                errorMessage: 'The 24-hour WhatsApp customer service window closed before the scheduled send time',
+                failedAt: new Date()
+              });
+              logWarn(`Scheduled message ${message._id} failed: service window closed for ${message.to}`);
+              return;
+            }
+          }
+          await releaseScheduledMessage(message._id);
+        });
+      } catch (error) {
+        logError(`Failed to release scheduled message ${message._id}:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start releasing due scheduled messages
+ */
+export const startScheduler = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => {
+    processScheduledMessages().catch(error => logError('Scheduled message run failed:', error));
+  }, POLL_INTERVAL_MS);
+  logInfo(`Message scheduler started (poll every ${POLL_INTERVAL_MS}ms)`);
+  processScheduledMessages().catch(error => logError('Scheduled message run failed:', error));
+};
+
+/**
+ * Stop the message scheduler
+ */
+export const stopScheduler = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
@@ -0,0 +1,70 @@
+// WhatsApp 24-hour customer service window tracking
+import Message from '../models/Message.js';
+import { findContactByPhone, normalizeContactPhone } from './contactService.js';
+import { logError } from '../utils/logger.js';
+
+// WhatsApp only allows free-form messages within 24 hours of the customer's last message
+export const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Error code returned when a free-form send is rejected because the window has closed
+export const SERVICE_WINDOW_CLOSED = 'SERVICE_WINDOW_CLOSED';
+
+/**
+ * Whether free-form sends outside the window are rejected (SERVICE_WINDOW_ENFORCEMENT, default on)
+ *
+ * @returns {boolean}
+ */
+export const isServiceWindowEnforced = () => process.env.SERVICE_WINDOW_ENFORCEMENT !== 'false';
+
+/**
+ * Describe the service window for a last inbound time
+ *
+ * @param {Date|null} lastInboundAt - Customer's most recent inbound message
+ * @returns {Object} - { open, lastInboundAt, expiresAt }
+ */
+export const describeServiceWindow = (lastInboundAt) => {
+  if (!lastInboundAt) {
+    return { open: false, lastInboundAt: null, expiresAt: null };
+  }
+  const expiresAt = new Date(new Date(lastInboundAt).getTime() + SERVICE_WINDOW_MS);
+  return { open: expiresAt > new Date(), lastInboundAt: new Date(lastInboundAt), expiresAt };
+};
+
+/**
+ * Look up the service window for a WhatsApp number.
+ * Uses the contact's lastInboundAt, falling back to message history for numbers without a contact record.
+ *
+ * @param {string} phone - Customer number, with or without the whatsapp: prefix
+ * @returns {Promise<Object>} - { open, lastInboundAt, expiresAt }
+ */
+export const getServiceWindow = async (phone) => {
+  const normalized = normalizeContactPhone(phone);
+  if (!normalized) return describeServiceWindow(null);
+
+  const contact = await findContactByPhone(normalized);
+  if (contact?.lastInboundAt) return describeServiceWindow(contact.lastInboundAt);
+
+  const lastInbound = await Message.findOne({ direction: 'inbound', from: normalized }).sort({ timestamp: -1 }).select('timestamp').lean();
+  return describeServiceWindow(lastInbound?.timestamp || null);
+};
+
+/**
+ * Configured re-engagement template substituted for free-form sends outside the window.
+ * Set REENGAGEMENT_TEMPLATE_SID (and optionally REENGAGEMENT_TEMPLATE_VARIABLES as JSON) to enable.
+ *
+ * @returns {Object|null} - { contentSid, contentVariables } or null when not configured
+ */
+export const getReengagementTemplate = () => {
+  const contentSid = process.env.REENGAGEMENT_TEMPLATE_SID;
+  if (!contentSid) return null;
+
+  let contentVariables = {};
+  if (process.env.REENGAGEMENT_TEMPLATE_VARIABLES) {
+    try {
+      contentVariables = JSON.parse(process.env.REENGAGEMENT_TEMPLATE_VARIABLES);
+    } catch (error) {
+      logError('REENGAGEMENT_TEMPLATE_VARIABLES is not valid JSON; sending the template without variables', error.message);
+    }
+  }
+  return { contentSid, contentVariables };
+};
@@ -0,0 +1,112 @@
+// Location pins and contact cards: validation and vCard storage
+import { storeMedia } from './mediaService.js';
+import { buildVCard, PHONE_TYPES, EMAIL_TYPES, hasControlCharacters } from '../utils/vcard.js';
+
+// Content types WhatsApp uses for shared contacts
+export const VCARD_CONTENT_TYPES = ['text/vcard', 'text/x-vcard'];
+
+const LABEL_MAX_LENGTH = 1000;
+
+const toCoordinate = (value, limit) => {
+  const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+/**
+ * Validate a location request
+ *
+ * @param {Object} input - { latitude, longitude, label, address }
+ * @returns {Object} - { value: { latitude, longitude, label, address } } or { error }
+ */
+export const buildLocation = ({ latitude, longitude, label, address }) => {
+  const lat = toCoordinate(latitude, 90);
+  const lng = toCoordinate(longitude, 180);
+  if (lat === null || lng === null) {
+    return { error: 'latitude (-90 to 90) and longitude (-180 to 180) are required numbers' };
+  }
+  for (const [field, value] of Object.entries({ label, address })) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > LABEL_MAX_LENGTH)) {
+      return { error: `${field} must be a string of at most ${LABEL_MAX_LENGTH} characters` };
+    }
+  }
+  return { value: { latitude: lat, longitude: lng, label: label?.trim() || undefined, address: address?.trim() || undefined } };
+};
+
+/**
+ * Text shown for a location message: its label and address, one per line
+ *
+ * @param {Object} location - { label, address }
+ * @returns {string}
+ */
+export const describeLocation = (location) => [location.label, location.address].filter(Boolean).join('\n');
+
+/**
+ * Validate a contact card request and normalize it to the shape stored on Message.contacts
+ *
+ * @param {Object} input - { contact: { name, phones: [{ number, type }] | [string], emails, organization } }
+ * @returns {Object} - { value: contact } or { error }
+ */
+export const buildContactCard = ({ contact }) => {
+  if (!contact || typeof contact !== 'object') {
+    return { error: 'contact is required' };
+  }
+
+  const name = typeof contact.name === 'string' ? { formatted: contact.name.trim() } : { ...(contact.name || {}) };
+  name.formatted = name.formatted || [name.first, name.last].filter(Boolean).join(' ');
+  if (!name.formatted) {
+    return { error: 'contact.name is required' };
+  }
+
+  const phones = (Array.isArray(contact.phones) ? contact.phones : [])
+    .map(phone => (typeof phone === 'string' ? { number: phone } : phone))
+    .filter(phone => phone && typeof phone.number === 'string' && phone.number.replace(/\D/g, '').length >= 7)
+    .map(phone => ({ number: phone.number.trim(), type: phone.type || 'cell' }));
+  if (phones.length === 0) {
+    return { error: 'contact.phones must include at least one valid phone number' };
+  }
+  if (phones.some(phone => hasControlCharacters(phone.number))) {
+    return { error: 'contact.phones numbers must not contain control characters' };
+  }
+  if (phones.some(phone => !PHONE_TYPES.includes(phone.type))) {
+    return { error: `contact.phones type must be one of: ${PHONE_TYPES.join(', ')}` };
+  }
+
+  const emails = (Array.isArray(contact.emails) ? contact.emails : [])
+    .map(email => (typeof email === 'string' ? { address: email } : email))
+    .filter(email => email && typeof email.address === 'string' && email.address.includes('@'))
+    .map(email => ({ address: email.address.trim(), type: email.type || 'internet' }));
+  if (emails.some(email => hasControlCharacters(email.address))) {
+    return { error: 'contact.emails addresses must not contain control characters' };
+  }
+  if (emails.some(email => !EMAIL_TYPES.includes(email.type))) {
+    return { error: `contact.emails type must be one of: ${EMAIL_TYPES.join(', ')}` };
+  }
+
+  return {
+    value: {
+      name: { formatted: name.formatted, first: name.first || null, last: name.last || null },
+      phones,
+      emails,
+      organization: typeof contact.organization === 'string' ? contact.organization.trim() || null : null
+    }
+  };
+};
+
+/**
+ * Store a contact as a .vcf file so it can be sent as media
+ *
+ * @param {Object} contact - Normalized contact from buildContactCard
+ * @param {string} [uploadedBy] - Caller subject
+ * @returns {Promise<Object>} - Media attachment fields for Message.media
+ */
+export const storeContactCard = async (contact, uploadedBy) => {
+  const filename = `${contact.name.formatted.replace(/[^\w\- ]+/g, '').trim() || 'contact'}.vcf`;
+  const media = await storeMedia({
+    buffer: Buffer.from(buildVCard(contact), 'utf8'),
+    contentType: 'text/vcard',
+    filename,
+    direction: 'outbound',
+    uploadedBy
+  });
+  return { mediaId: media._id, filename: media.filename, contentType: media.contentType, size: media.size, checksum: media.checksum };
+};
@@ -0,0 +1,266 @@
+// Local catalog of provider templates (Twilio Content, Meta message templates): sync, lookup and variable validation
+import Template from '../models/Template.js';
+import { getProvider, getActiveProviders } from '../providers/index.js';
+import { forEachTenant } from './tenantService.js';
+import { getCurrentTenantId } from '../utils/tenantContext.js';
+import { logInfo, logWarn, logError } from '../utils/logger.js';
+
+const SYNC_INTERVAL_MS = parseInt(process.env.TEMPLATE_SYNC_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+
+// Matches {{1}}, {{ 2 }}, {{first_name}} in template bodies, buttons and list items
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+let syncTimer = null;
+
+/**
+ * Collect the placeholder names used anywhere in a template's type definitions
+ *
+ * @param {Object} types - Twilio Content `types` object
+ * @returns {string[]} - Unique placeholder names, numeric ones in numeric order
+ */
+export const extractPlaceholders = (types) => {
+  const found = new Set();
+  const walk = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) found.add(match[1]);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(types);
+  return [...found].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+};
+
+// Map a Twilio Content resource (plus its WhatsApp approval, if any) to Template fields
+const toTemplateFields = (content, approval, provider) => ({
+  contentSid: content.sid,
+  provider,
+  friendlyName: content.friendlyName,
+  language: content.language,
+  contentTypes: Object.keys(content.types || {}),
+  types: content.types || {},
+  variables: content.variables || {},
+  placeholders: extractPlaceholders(content.types),
+  approvalStatus: approval?.status || 'unsubmitted',
+  category: approval?.category ? approval.category.toUpperCase() : undefined,
+  rejectionReason: approval?.rejection_reason || undefined,
+  active: true,
+  dateCreated: content.dateCreated,
+  dateUpdated: content.dateUpdated,
+  syncedAt: new Date()
+});
+
+/**
+ * Pull every template from one messaging provider into the local catalog.
+ * Templates no longer returned are marked inactive rather than deleted,
+ * so messages that reference them still resolve.
+ *
+ * @param {Object} provider - Messaging provider
+ * @returns {Promise<Object>} - { synced, deactivated }
+ */
+const syncProviderTemplates = async (provider) => {
+  const contents = await provider.listContent();
+  const syncedAt = new Date();
+
+  if (contents.length > 0) {
+    // bulkWrite bypasses query middleware, so the tenant goes into the filter (and upserted documents) here
+    const tenantId = getCurrentTenantId();
+    await Template.bulkWrite(contents.map(({ content, approval }) => ({
+      updateOne: {
+        filter: { ...(tenantId ? { tenantId } : {}), contentSid: content.sid },
+        update: { $set: { ...toTemplateFields(content, approval, provider.name), syncedAt } },
+        upsert: true
+      }
+    })));
+  }
+
+  // Templates cached before the provider was recorded belong to the default provider
+  const providerFilter = provider === getProvider() ? { $in: [provider.name, null] } : provider.name;
+  const { modifiedCount } = await Template.updateMany(
+    { provider: providerFilter, contentSid: { $nin: contents.map(({ content }) => content.sid) }, active: true },
+    { $set: { active: false, syncedAt } }
+  );
+
+  logInfo(`Template catalog synced from ${provider.name}: ${contents.length} templates, ${modifiedCount} deactivated`);
+  return { synced: contents.length, deactivated: modifiedCount };
+};
+
+/**
+ * Sync the catalog from every provider in use. A provider that fails is logged and skipped
+ * so the others still sync; the call only fails if every provider does.
+ *
+ * @returns {Promise<Object>} - { synced, deactivated }
+ */
+export const syncTemplates = async () => {
+  const totals = { synced: 0, deactivated: 0 };
+  const errors = [];
+
+  for (const provider of getActiveProviders()) {
+    try {
+      const { synced, deactivated } = await syncProviderTemplates(provider);
+      totals.synced += synced;
+      totals.deactivated += deactivated;
+    } catch (error) {
+      logError(`Template sync from ${provider.name} failed:`, error);
+      errors.push(error);
+    }
+  }
+
+  if (errors.length > 0 && errors.length === getActiveProviders().length) throw errors[0];
+  return totals;
+};
+
+/**
+ * Look up a template, fetching it from the messaging providers on a catalog miss (e.g. created since the last sync)
+ *
+ * @param {string} contentSid - Twilio Content SID or Meta template ID
+ * @returns {Promise<Object|null>} - Template document, or null if no provider knows it either
+ */
+export const getTemplate = async (contentSid) => {
+  const cached = await Template.findOne({ contentSid });
+  if (cached) return cached;
+
+  for (const provider of getActiveProviders()) {
+    let fetched;
+    try {
+      fetched = await provider.fetchContent(contentSid);
+    } catch (error) {
+      logWarn(`Could not look up template ${contentSid} in ${provider.name}: ${error.message}`);
+      continue;
+    }
+    if (!fetched) continue;
+
+    logInfo(`Template ${contentSid} fetched from ${provider.name} on demand`);
+    return saveTemplate(fetched.content, fetched.approval, provider.name);
+  }
+  return null;
+};
+
+/**
+ * Upsert a provider template into the local catalog
+ *
+ * @param {Object} content - Twilio Content resource (sid, friendlyName, language, types, variables, ...)
+ * @param {Object} [approval] - WhatsApp approval request (status, category, rejection_reason)
+ * @param {string} [provider] - Provider the template lives in (default: the default provider)
+ * @returns {Promise<Object>} - Template document
+ */
+export const saveTemplate = (content, approval, provider = getProvider().name) => Template.findOneAndUpdate(
+  { contentSid: content.sid },
+  { $set: toTemplateFields(content, approval, provider) },
+  { upsert: true, new: true }
+);
+
+/**
+ * Whether a provider can send a template: each template lives in one provider's catalog
+ *
+ * @param {Object} template - Template document
+ * @param {Object} provider - Messaging provider of the sender number
+ * @returns {boolean}
+ */
+export const isTemplateSendableBy = (template, provider) => (template.provider || getProvider().name) === provider.name;
+
+/**
+ * Normalize template variables from the request into Twilio's { "1": value } shape.
+ * Arrays map to 1-based positional placeholders.
+ *
+ * @param {Object|Array} contentVariables - Variables from the request body
+ * @returns {Object|null} - Variables object, or null if the input is not an object or array
+ */
+export const normalizeContentVariables = (contentVariables) => {
+  if (contentVariables === undefined || contentVariables === null) return {};
+  if (Array.isArray(contentVariables)) {
+    return Object.fromEntries(contentVariables.map((value, index) => [String(index + 1), value]));
+  }
+  if (typeof contentVariables === 'object') return { ...contentVariables };
+  return null;
+};
+
+/**
+ * Check supplied variables against a template's placeholders
+ *
+ * @param {Object} template - Template document
+ * @param {Object} variables - Normalized variables
+ * @returns {string|null} - Error message, or null if the variables match
+ */
+export const validateTemplateVariables = (template, variables) => {
+  const placeholders = template.placeholders || [];
+  const missing = placeholders.filter(name => {
+    const value = variables[name];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+  if (missing.length > 0) {
+    return `Missing values for template variables: ${missing.join(', ')}`;
+  }
+
+  const unknown = Object.keys(variables).filter(name => !placeholders.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown template variables: ${unknown.join(', ')}. Template ${template.contentSid} expects: ${placeholders.join(', ') || 'none'}`;
+  }
+  return null;
+};
+
+// When a template defines several content types, WhatsApp receives the richest one it supports
+const CONTENT_TYPE_PRIORITY = [
+  'whatsapp/authentication',
+  'whatsapp/card',
+  'twilio/card',
+  'twilio/list-picker',
+  'twilio/quick-reply',
+  'twilio/call-to-action',
+  'twilio/location',
+  'twilio/media',
+  'twilio/text'
+];
+
+// Replace {{placeholders}} in every string of a definition, leaving unknown ones as-is
+const substitute = (value, variables) => {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      (variables[name] === undefined || variables[name] === null ? match : String(variables[name])));
+  }
+  if (Array.isArray(value)) return value.map(item => substitute(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables)]));
+  }
+  return value;
+};
+
+/**
+ * Render a template with its variables the way WhatsApp will show it.
+ * Missing variables fall back to the template's default values, as Twilio does.
+ *
+ * @param {Object} template - Template document
+ * @param {Object} variables - Normalized variables
+ * @returns {Object} - { body, content } where content is the substituted definition ({ contentType, body, actions, items, ... })
+ */
+export const renderTemplate = (template, variables = {}) => {
+  const types = template.types || {};
+  const contentType = CONTENT_TYPE_PRIORITY.find(type => types[type]) || Object.keys(types)[0];
+  if (!contentType) return { body: '', content: null };
+
+  const definition = substitute(types[contentType], { ...(template.variables || {}), ...variables });
+  const body = definition.body || [definition.title, definition.subtitle].filter(Boolean).join('\n');
+  return { body, content: { contentType, ...definition } };
+};
+
+/**
+ * Sync every tenant's catalog now and then every TEMPLATE_SYNC_INTERVAL_MINUTES.
+ * A failed sync is logged and retried on the next tick; sends fall back to on-demand fetches.
+ */
+export const startTemplateSync = () => {
+  if (syncTimer) return;
+  const run = () => forEachTenant(syncTemplates).catch(error => logError('Template catalog sync failed:', error));
+  run();
+  syncTimer = setInterval(run, SYNC_INTERVAL_MS);
+  logInfo(`Template catalog sync started (every ${SYNC_INTERVAL_MS / 60000} minutes)`);
+};
+
+/**
+ * Stop the periodic template sync
+ */
+export const stopTemplateSync = () => {
+  if (syncTimer) clearInterval(syncTimer);
+  syncTimer = null;
+};
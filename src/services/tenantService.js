@@ -0,0 +1,239 @@
+// Tenant lookup with a short-lived cache, per-tenant context for workers, and origin checks for CORS
+import Tenant from '../models/Tenant.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import { encryptSecret, decryptSecret } from '../utils/secrets.js';
+import { normalizeSenderNumber } from '../providers/index.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+
+// How long a loaded tenant (and the CORS origin list) is reused before reading MongoDB again
+const CACHE_TTL_MS = parseInt(process.env.TENANT_CACHE_TTL_MS || '60000', 10);
+// Origins allowed for every tenant, comma-separated (e.g. an internal admin UI)
+const GLOBAL_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Origins allowed before tenants existed (Salesforce Lightning and My Domain hosts, local widget builds).
+// Single-tenant deployments keep them unless CORS_ALLOWED_ORIGINS is set; migrate:tenants seeds them on the tenant.
+export const DEFAULT_SINGLE_TENANT_ORIGINS = [
+  'https://*.lightning.force.com',
+  'https://*.salesforce.com',
+  'https://resilient-bear-otclnn-dev-ed.trailblaze.my.salesforce-scrt.com',
+  'http://localhost:3000',
+  'http://localhost:3001',
+  'http://localhost:3002'
+];
+
+const tenants = new Map(); // tenantId -> { tenant, loadedAt }
+let tenantsExist = { value: null, loadedAt: 0 };
+let originCache = { origins: null, loadedAt: 0 };
+
+const isFresh = (entry) => entry && Date.now() - entry.loadedAt < CACHE_TTL_MS;
+
+/**
+ * Turn a tenant document (with credentials selected) into the object kept in the tenant context:
+ * plain values, normalized numbers and decrypted credentials
+ *
+ * @param {Object} doc - Lean tenant document
+ * @returns {Object} - { _id, slug, name, active, senderNumbers, allowedOrigins, defaultRegion, salesforce, credentials, updatedAt }
+ */
+const toLoadedTenant = (doc) => {
+  let credentials = {};
+  if (doc.credentials) {
+    try {
+      credentials = decryptSecret(doc.credentials);
+    } catch (error) {
+      logError(`Could not decrypt credentials for tenant ${doc.slug}:`, error.message);
+    }
+  }
+  return {
+    _id: doc._id,
+    slug: doc.slug,
+    name: doc.name,
+    active: doc.active,
+    senderNumbers: (doc.senderNumbers || []).map(sender => ({ ...sender, number: normalizeSenderNumber(sender.number) })),
+    allowedOrigins: doc.allowedOrigins || [],
+    defaultRegion: doc.defaultRegion || null,
+    salesforce: doc.salesforce || {},
+    credentials,
+    updatedAt: doc.updatedAt
+  };
+};
+
+/**
+ * Load a tenant by ID, cached for TENANT_CACHE_TTL_MS
+ *
+ * @param {string|Object} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - Loaded tenant, or null if it does not exist
+ */
+export const loadTenant = async (tenantId) => {
+  if (!tenantId) return null;
+  const key = String(tenantId);
+  const cached = tenants.get(key);
+  if (isFresh(cached)) return cached.tenant;
+
+  const doc = await Tenant.findById(tenantId).select('+credentials').lean();
+  const tenant = doc ? toLoadedTenant(doc) : null;
+  tenants.set(key, { tenant, loadedAt: Date.now() });
+  return tenant;
+};
+
+/**
+ * Forget a cached tenant so the next request reads it again (after an update in this process)
+ *
+ * @param {string|Object} tenantId - Tenant ID
+ */
+export const invalidateTenant = (tenantId) => {
+  tenants.delete(String(tenantId));
+  originCache = { origins: null, loadedAt: 0 };
+};
+
+/**
+ * Find a tenant by slug
+ *
+ * @param {string} slug - Tenant slug
+ * @returns {Promise<Object|null>} - Loaded tenant
+ */
+export const findTenantBySlug = async (slug) => {
+  if (!slug || typeof slug !== 'string') return null;
+  const doc = await Tenant.findOne({ slug: slug.toLowerCase() }).select('_id').lean();
+  return doc ? loadTenant(doc._id) : null;
+};
+
+/**
+ * Find the tenant owning one of our WhatsApp numbers, for routing inbound webhooks
+ *
+ * @param {string} number - Number, with or without the whatsapp: prefix
+ * @returns {Promise<Object|null>} - Loaded tenant
+ */
+export const findTenantBySenderNumber = async (number) => {
+  const normalized = normalizeSenderNumber(number);
+  if (!normalized) return null;
+  const doc = await Tenant.findOne({ 'senderNumbers.number': normalized }).select('_id').lean();
+  return doc ? loadTenant(doc._id) : null;
+};
+
+/**
+ * Whether any tenant has been created. Until then the server runs single-tenant from env configuration.
+ *
+ * @returns {Promise<boolean>}
+ */
+export const hasTenants = async () => {
+  if (isFresh(tenantsExist) && tenantsExist.value !== null) return tenantsExist.value;
+  const value = Boolean(await Tenant.exists({}));
+  tenantsExist = { value, loadedAt: Date.now() };
+  return value;
+};
+
+/**
+ * Run a function in a tenant's context, loading the tenant by ID. Without an ID the function runs
+ * with no tenant, as single-tenant data does.
+ *
+ * @param {string|Object|null} tenantId - Tenant ID, e.g. a document's tenantId
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} - Whatever fn returns
+ * @throws {Error} - When the tenant no longer exists
+ */
+export const runWithTenantId = async (tenantId, fn) => {
+  if (!tenantId) return fn();
+  const tenant = await loadTenant(tenantId);
+  if (!tenant) {
+    throw new Error(`Tenant ${tenantId} not found`);
+  }
+  return runWithTenant(tenant, fn);
+};
+
+/**
+ * Run a function once per active tenant, each in its own context, or once without a tenant
+ * before any tenant exists. A failing tenant is logged and does not stop the others.
+ *
+ * @param {Function} fn - Function to run; receives the tenant (or null)
+ * @param {Object} [options] - { includeInactive }: also run for inactive tenants (data migrations)
+ */
+export const forEachTenant = async (fn, { includeInactive = false } = {}) => {
+  const selected = await Tenant.find(includeInactive ? {} : { active: true }).select('_id').lean();
+  if (selected.length === 0) {
+    if (!(await hasTenants())) await runWithTenant(null, () => fn(null));
+    return;
+  }
+  for (const { _id } of selected) {
+    try {
+      const tenant = await loadTenant(_id);
+      if (tenant) await runWithTenant(tenant, () => fn(tenant));
+    } catch (error) {
+      logError(`Tenant job failed for tenant ${_id}:`, error);
+    }
+  }
+};
+
+/**
+ * Store provider credentials on a tenant document, encrypted
+ *
+ * @param {Object} tenant - Tenant document
+ * @param {Object} credentials - { twilio: { accountSid, authToken }, meta: { accessToken, appSecret, verifyToken, wabaId },
+ *   salesforce: { clientId, clientSecret } }
+ */
+export const setTenantCredentials = (tenant, credentials) => {
+  tenant.credentials = encryptSecret(credentials || {});
+};
+
+// 'https://*.force.com' matches any subdomain of force.com over HTTPS; everything else must match exactly
+const originMatches = (pattern, origin) => {
+  if (!pattern.includes('*')) return pattern === origin;
+  const [scheme, host] = pattern.split('://*.');
+  return Boolean(host) && origin.startsWith(`${scheme}://`) && origin.endsWith(`.${host}`);
+};
+
+const isLocalOrigin = (origin) =>
+  process.env.NODE_ENV !== 'production' && /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+
+/**
+ * Whether a tenant's credentials may be used from a browser origin
+ *
+ * @param {Object} tenant - Loaded tenant
+ * @param {string} origin - Origin header
+ * @returns {boolean}
+ */
+export const isOriginAllowedForTenant = (tenant, origin) =>
+  isLocalOrigin(origin) || [...GLOBAL_ALLOWED_ORIGINS, ...(tenant?.allowedOrigins || [])].some(pattern => originMatches(pattern, origin));
+
+// Before any tenant exists and without CORS_ALLOWED_ORIGINS, the origins allowed before tenants
+const usesDefaultOrigins = async () => GLOBAL_ALLOWED_ORIGINS.length === 0 && !(await hasTenants());
+
+/**
+ * Whether any tenant allows a browser origin, for CORS preflights made before the caller is known.
+ * In single-tenant mode without CORS_ALLOWED_ORIGINS, DEFAULT_SINGLE_TENANT_ORIGINS are allowed.
+ * The union of allowed origins is cached for TENANT_CACHE_TTL_MS.
+ *
+ * @param {string} origin - Origin header
+ * @returns {Promise<boolean>}
+ */
+export const isOriginAllowed = async (origin) => {
+  if (isLocalOrigin(origin) || GLOBAL_ALLOWED_ORIGINS.some(pattern => originMatches(pattern, origin))) return true;
+  if (!isFresh(originCache) || !originCache.origins) {
+    try {
+      const origins = await usesDefaultOrigins()
+        ? DEFAULT_SINGLE_TENANT_ORIGINS
+        : await Tenant.distinct('allowedOrigins', { active: true });
+      originCache = { origins, loadedAt: Date.now() };
+    } catch (error) {
+      logWarn(`Could not load tenant origins for CORS: ${error.message}`);
+      return false;
+    }
+  }
+  return originCache.origins.some(pattern => originMatches(pattern, origin));
+};
+
+/**
+ * Log which browser origins CORS allows, warning when the single-tenant defaults are in use
+ */
+export const logCorsConfiguration = async () => {
+  try {
+    if (await usesDefaultOrigins()) {
+      logWarn(`CORS: no tenants and no CORS_ALLOWED_ORIGINS, so the default Salesforce origins are allowed (${DEFAULT_SINGLE_TENANT_ORIGINS.join(', ')}). `
+        + 'Set CORS_ALLOWED_ORIGINS or run npm run migrate:tenants to restrict them.');
+    } else if (GLOBAL_ALLOWED_ORIGINS.length > 0) {
+      logInfo(`CORS: allowing ${GLOBAL_ALLOWED_ORIGINS.join(', ')} plus each tenant's allowed origins`);
+    } else {
+      logInfo('CORS: allowing each tenant\'s allowed origins');
+    }
+  } catch (error) {
+    logWarn(`Could not check the CORS configuration: ${error.message}`);
+  }
+};
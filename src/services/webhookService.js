@@ -0,0 +1,413 @@
+// Outbound webhooks: event fan-out to subscriptions, HMAC-signed deliveries with retries, and replay
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+import { v4 as uuidv4 } from 'uuid';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import { logInfo, logError, logWarn, logDebug } from '../utils/logger.js';
+
+// Events subscribers can filter on. Treat these names and their payloads as a public contract.
+export const WEBHOOK_EVENTS = ['message.received', 'message.sent', 'message.status_changed', 'contact.opted_out', 'contact.opted_in'];
+// Subscribes to every event, including ones added later
+export const ALL_EVENTS = '*';
+
+// Poll interval for due deliveries (new deliveries also wake the worker immediately)
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000', 10);
+// How long to wait for a subscriber to respond
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+// Base delay for exponential backoff between attempts (base, 2x, 4x, ...)
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+// A delivery left in 'delivering' longer than this is assumed orphaned by a crash and retried
+const STALE_LOCK_MS = parseInt(process.env.WEBHOOK_STALE_LOCK_MS || '120000', 10);
+// Only the start of a subscriber's response is kept in the delivery log
+const RESPONSE_BODY_MAX_LENGTH = 2000;
+const BATCH_SIZE = 50;
+
+// Subscriptions may only target internal hosts (localhost, private networks) in development, or when allowed explicitly
+const ALLOW_PRIVATE_TARGETS = process.env.NODE_ENV === 'development' || process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// Loopback, private, shared, link-local (including cloud metadata at 169.254.169.254), multicast and reserved ranges.
+// BlockList also applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:10.0.0.5).
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+let pollTimer = null;
+let running = false;
+let wakeRequested = false;
+
+/**
+ * Check a subscription URL: HTTPS only, except http://localhost in development for local testing
+ *
+ * @param {string} url - Endpoint URL
+ * @returns {string|null} - Error message, or null if the URL is acceptable
+ */
+export const validateWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid absolute URL';
+  }
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol === 'https:') return null;
+  if (parsed.protocol === 'http:' && isLocal && ALLOW_PRIVATE_TARGETS) return null;
+  return 'url must use https';
+};
+
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Resolve a subscription URL's host and check that every address is public, so webhooks cannot be aimed
+ * at this server's network (internal services, cloud metadata). Internal targets are allowed in
+ * development or with WEBHOOK_ALLOW_PRIVATE_TARGETS=true.
+ *
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<Object>} - { addresses: [{ address, family }] } (null when any target is allowed) or { error }
+ */
+const resolveWebhookTarget = async (url) => {
+  if (ALLOW_PRIVATE_TARGETS) return { addresses: null };
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (/(^|\.)(localhost|internal|local)$/.test(hostname)) {
+    return { error: `url host ${hostname} is internal` };
+  }
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return { error: `url host ${hostname} could not be resolved (${error.code || error.message})` };
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked
+    ? { error: `url host ${hostname} resolves to a private or reserved address (${blocked.address})` }
+    : { addresses };
+};
+
+/**
+ * Check that a subscription URL points at a public host. Run when a subscription is saved; deliveries
+ * resolve the host again and connect only to the addresses that passed (see deliver).
+ *
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<string|null>} - Error message, or null if the host is public
+ */
+export const checkWebhookTarget = async (url) => (await resolveWebhookTarget(url)).error || null;
+
+/**
+ * HTTP dispatcher that connects only to already checked addresses, so the host cannot be re-pointed at an
+ * internal address between the check and the request (DNS rebinding). TLS still verifies the hostname.
+ *
+ * @param {Object[]} addresses - [{ address, family }] from resolveWebhookTarget
+ * @returns {Agent} - undici dispatcher; close it after the request
+ */
+const createPinnedAgent = (addresses) => new Agent({
+  connect: {
+    lookup: (hostname, options, callback) => {
+      if (options?.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    }
+  }
+});
+
+/**
+ * Check an event filter list
+ *
+ * @param {*} events - Requested events
+ * @returns {string|null} - Error message, or null if every entry is a known event or '*'
+ */
+export const validateWebhookEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return `events must be a non-empty array of: ${[ALL_EVENTS, ...WEBHOOK_EVENTS].join(', ')}`;
+  }
+  const unknown = events.filter(event => event !== ALL_EVENTS && !WEBHOOK_EVENTS.includes(event));
+  return unknown.length > 0 ? `Unknown events: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Generate a signing secret for a subscription
+ *
+ * @returns {string}
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a delivery body. Subscribers recompute HMAC-SHA256 over "<timestamp>.<raw body>"
+ * with their secret and compare it to v1 in the X-Webhook-Signature header.
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, sent as t= so old deliveries can be rejected
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Header value "t=<timestamp>,v1=<hex digest>"
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Trigger a worker run now instead of waiting for the next poll. The run leaves the caller's tenant
+ * context, since it sends every tenant's deliveries.
+ */
+export const wakeWebhookWorker = () => {
+  if (!pollTimer) return;
+  if (running) {
+    wakeRequested = true;
+    return;
+  }
+  runWithTenant(null, processDeliveries).catch(error => logError('Webhook worker run failed:', error));
+};
+
+/**
+ * Record an event for every active subscription that wants it and wake the worker.
+ * Never throws: a webhook problem must not fail the message flow that raised the event.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} - Number of deliveries created
+ */
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ active: true, events: { $in: [event, ALL_EVENTS] } }).select('_id').lean();
+    if (subscriptions.length === 0) return 0;
+
+    const eventId = `evt_${uuidv4()}`;
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+    await WebhookDelivery.insertMany(subscriptions.map(({ _id }) => ({ subscriptionId: _id, eventId, event, payload })));
+    logDebug(`Webhook event ${event} (${eventId}) queued for ${subscriptions.length} subscriptions`);
+    wakeWebhookWorker();
+    return subscriptions.length;
+  } catch (error) {
+    logError(`Failed to queue webhook event ${event}:`, error);
+    return 0;
+  }
+};
+
+// Fields of a message exposed to webhook subscribers
+const toWebhookMessage = (message) => {
+  const data = typeof message?.toObject === 'function' ? message.toObject() : message;
+  return {
+    id: data._id,
+    messageSid: data.messageSid,
+    direction: data.direction,
+    status: data.status,
+    messageType: data.messageType,
+    contactId: data.contactId,
+    contactName: data.contactName,
+    conversationId: data.conversationId || null,
+    campaignId: data.campaignId || null,
+    from: data.from,
+    to: data.to,
+    body: data.message,
+    contentSid: data.contentSid || null,
+    media: (data.media || []).map(({ mediaId, filename, contentType, size }) => ({ mediaId, filename, contentType, size })),
+    location: data.location || null,
+    interactive: data.interactive || null,
+    timestamp: data.timestamp,
+    sentAt: data.sentAt || null,
+    deliveredAt: data.deliveredAt || null,
+    readAt: data.readAt || null,
+    failedAt: data.failedAt || null,
+    error: data.errorCode ? { code: data.errorCode, message: data.errorMessage } : null
+  };
+};
+
+/**
+ * Emit message.received for a saved inbound message
+ *
+ * @param {Object} message - Message document or lean object
+ */
+export const emitMessageReceived = (message) => emitWebhookEvent('message.received', { message: toWebhookMessage(message) });
+
+/**
+ * Emit message.status_changed for a status transition, plus message.sent when the provider accepted the message
+ *
+ * @param {Object} message - Message document or lean object, already carrying the new status
+ * @param {string} [previousStatus] - Status before the transition
+ */
+export const emitMessageStatusChanged = async (message, previousStatus) => {
+  const data = { message: toWebhookMessage(message), previousStatus: previousStatus || null };
+  await emitWebhookEvent('message.status_changed', data);
+  if (data.message.status === 'sent') await emitWebhookEvent('message.sent', data);
+};
+
+/**
+ * Emit contact.opted_out or contact.opted_in for a consent change
+ *
+ * @param {Object} consent - Consent document
+ * @param {Object} change - The history entry just recorded ({ source, keyword, messageSid, changedBy, note })
+ */
+export const emitConsentChanged = (consent, change) => emitWebhookEvent(
+  consent.status === 'opted_out' ? 'contact.opted_out' : 'contact.opted_in',
+  {
+    phone: consent.phone,
+    status: consent.status,
+    source: change.source || null,
+    keyword: change.keyword || null,
+    messageSid: change.messageSid || null,
+    changedAt: consent.changedAt
+  }
+);
+
+/**
+ * Queue a delivery to be sent again with the same event ID and payload
+ *
+ * @param {Object} delivery - WebhookDelivery document to replay
+ * @returns {Promise<Object>} - New delivery
+ */
+export const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery.replayOf || delivery._id
+  });
+  logInfo(`Webhook delivery ${delivery._id} replayed as ${replay._id}`);
+  wakeWebhookWorker();
+  return replay;
+};
+
+// Network errors, timeouts, 408, 429 and 5xx are worth retrying; other responses are final
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * POST one claimed delivery to its subscriber and record the outcome
+ *
+ * @param {Object} delivery - Delivery document in 'delivering' status
+ */
+const deliver = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+  if (!subscription || !subscription.active) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed', lockedAt: null, error: 'Subscription was deleted or deactivated' }
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  let refused = false;
+
+  let dispatcher = null;
+  try {
+    // The host may have been re-pointed at an internal address since the subscription was saved;
+    // the request then goes to the addresses checked here and nowhere else
+    const target = await resolveWebhookTarget(subscription.url);
+    if (target.error) {
+      refused = true;
+      throw new Error(`Delivery refused: ${target.error}`);
+    }
+    if (target.addresses) dispatcher = createPinnedAgent(target.addresses);
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WhatsappWidget-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signWebhookPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      ...(dispatcher ? { dispatcher } : {})
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_MAX_LENGTH);
+    if (!response.ok) error = `Subscriber responded with HTTP ${response.status}`;
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : requestError.message;
+  } finally {
+    dispatcher?.close().catch(() => {});
+  }
+
+  const update = { attempts, lastAttemptAt: now, lockedAt: null, responseStatus, responseBody, error };
+  if (!error) {
+    Object.assign(update, { status: 'succeeded', deliveredAt: now });
+    logDebug(`Webhook ${delivery.event} delivered to ${subscription.url} (${delivery._id})`);
+  } else if (!refused && (responseStatus === null || isRetryableStatus(responseStatus)) && attempts < MAX_ATTEMPTS) {
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+    Object.assign(update, { status: 'pending', nextAttemptAt: new Date(now.getTime() + delay) });
+    logWarn(`Webhook delivery ${delivery._id} attempt ${attempts} failed (${error}), retrying in ${delay}ms`);
+  } else {
+    update.status = 'failed';
+    logWarn(`Webhook delivery ${delivery._id} to ${subscription.url} failed after ${attempts} attempts: ${error}`);
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  await WebhookSubscription.updateOne({ _id: subscription._id }, {
+    $set: { lastDeliveryAt: now, lastDeliveryStatus: error ? 'failed' : 'succeeded' }
+  });
+};
+
+/**
+ * Send every due delivery. Deliveries are claimed atomically so several instances can share the work.
+ */
+export const processDeliveries = async () => {
+  if (running) return;
+  running = true;
+  try {
+    do {
+      wakeRequested = false;
+      const now = new Date();
+
+      const reclaimed = await WebhookDelivery.updateMany(
+        { status: 'delivering', lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } },
+        { $set: { status: 'pending', lockedAt: null } }
+      );
+      if (reclaimed.modifiedCount > 0) {
+        logWarn(`Reclaimed ${reclaimed.modifiedCount} webhook deliveries stuck in 'delivering'`);
+      }
+
+      for (let processed = 0; processed < BATCH_SIZE; processed += 1) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { $set: { status: 'delivering', lockedAt: new Date() } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+        try {
+          await deliver(delivery);
+        } catch (error) {
+          logError(`Failed to process webhook delivery ${delivery._id}:`, error);
+        }
+      }
+    } while (wakeRequested);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the webhook delivery worker
+ */
+export const startWebhookWorker = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => {
+    processDeliveries().catch(error => logError('Webhook worker run failed:', error));
+  }, POLL_INTERVAL_MS);
+  logInfo(`Webhook worker started (poll every ${POLL_INTERVAL_MS}ms)`);
+  processDeliveries().catch(error => logError('Webhook worker run failed:', error));
+};
+
+/**
+ * Stop the webhook delivery worker
+ */
+export const stopWebhookWorker = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
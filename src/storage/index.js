@@ -0,0 +1,30 @@
+// Storage backend selection for uploaded and downloaded media
+import createLocalStorage from './localStorage.js';
+import { logInfo } from '../utils/logger.js';
+
+// Backend factories by STORAGE_DRIVER value; register new drivers (e.g. S3) here
+const drivers = {
+  local: () => createLocalStorage(process.env.MEDIA_STORAGE_DIR || 'uploads')
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend (STORAGE_DRIVER, default 'local').
+ * Every backend exposes save(key, buffer, meta), saveStream(key, stream, meta), createReadStream(key), remove(key) and exists(key).
+ *
+ * @returns {Object} - Storage backend
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+    storage = drivers[driver]();
+    logInfo(`Media storage initialised with '${driver}' driver`);
+  }
+  return storage;
+};
+
+export default getStorage;
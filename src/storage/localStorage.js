@@ -0,0 +1,64 @@
+// Local disk storage backend for media files
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Create a storage backend that keeps files under a directory on local disk
+ *
+ * @param {string} rootDir - Base directory for stored files
+ * @returns {Object} - Storage backend (save, saveStream, createReadStream, remove, exists)
+ */
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keys come from our own code, but never let one escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    saveStream: async (key, stream) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await pipeline(stream, fs.createWriteStream(filePath));
+      } catch (error) {
+        // Don't leave a partial file behind
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+      }
+      return { key, size: (await fs.promises.stat(filePath)).size };
+    },
+
+    createReadStream: async (key) => fs.createReadStream(resolveKey(key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+};
+
+export default createLocalStorage;
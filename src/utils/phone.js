@@ -0,0 +1,107 @@
+// Phone number parsing and normalization to E.164, with national numbers read in a default region
+import { parsePhoneNumberWithError, isSupportedCountry } from 'libphonenumber-js/max';
+import { getCurrentTenant } from './tenantContext.js';
+
+// Region national numbers (without a country code) are read in, when neither the request nor the tenant sets one
+const DEFAULT_REGION = (process.env.PHONE_DEFAULT_REGION || '').trim().toUpperCase() || null;
+// WhatsApp can be registered on landlines (e.g. through the Business app); set to accept them as recipients
+const ALLOW_LANDLINES = process.env.PHONE_ALLOW_LANDLINES === 'true';
+
+// Number types that may receive WhatsApp messages; undefined is a number whose type the metadata cannot tell
+const WHATSAPP_TYPES = [undefined, 'MOBILE', 'FIXED_LINE_OR_MOBILE', 'VOIP', 'PERSONAL_NUMBER'];
+
+const PARSE_ERRORS = {
+  INVALID_COUNTRY: 'has no country code; use E.164 (e.g. +14155550100) or set a region',
+  NOT_A_NUMBER: 'is not a phone number',
+  TOO_SHORT: 'is too short',
+  TOO_LONG: 'is too long',
+  INVALID_LENGTH: 'has an invalid length'
+};
+
+/**
+ * Check whether a string is an ISO 3166-1 alpha-2 region with phone metadata (e.g. 'AE', 'US')
+ *
+ * @param {string} region
+ * @returns {boolean}
+ */
+export const isValidRegion = (region) => typeof region === 'string' && isSupportedCountry(region.toUpperCase());
+
+/**
+ * Region national numbers are read in: the current tenant's defaultRegion, else PHONE_DEFAULT_REGION
+ *
+ * @returns {string|null} - ISO 3166-1 alpha-2 code, or null when numbers must carry a country code
+ */
+export const getDefaultRegion = () => getCurrentTenant()?.defaultRegion || DEFAULT_REGION;
+
+// Strip the whatsapp: prefix and turn a 00 international prefix into +
+const cleanInput = (input) => input.trim().replace(/^whatsapp:/i, '').trim().replace(/^00(?=[1-9])/, '+');
+
+/**
+ * Parse and validate a phone number for its country's length and numbering plan
+ *
+ * @param {string} input - Number as typed, e.g. '050 123 4567', '+971 50 123 4567' or 'whatsapp:+971501234567'
+ * @param {Object} [options] - { region }: region for national numbers, overriding the default region
+ * @returns {Object} - { phone (E.164), country, type } or { error }
+ */
+export const parsePhone = (input, { region } = {}) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { error: 'Phone number is required' };
+  }
+  if (region !== undefined && region !== null && region !== '' && !isValidRegion(region)) {
+    return { error: 'region must be an ISO 3166-1 alpha-2 country code (e.g. AE, GB, US)' };
+  }
+
+  const defaultCountry = (region ? region.toUpperCase() : getDefaultRegion()) || undefined;
+  let parsed;
+  try {
+    parsed = parsePhoneNumberWithError(cleanInput(input), defaultCountry);
+  } catch (error) {
+    return { error: `Phone number ${PARSE_ERRORS[error.message] || 'could not be parsed'}` };
+  }
+  if (!parsed.isValid()) {
+    return { error: `Phone number is not valid${parsed.country ? ` for ${parsed.country}` : ''}` };
+  }
+  return { phone: parsed.number, country: parsed.country, type: parsed.getType() };
+};
+
+/**
+ * Parse a number a WhatsApp message is sent to: valid, and a type that can use WhatsApp
+ * (landlines, toll-free and premium numbers are refused unless PHONE_ALLOW_LANDLINES allows fixed lines)
+ *
+ * @param {string} input - Number as typed
+ * @param {Object} [options] - { region }
+ * @returns {Object} - { phone, country, type } or { error }
+ */
+export const parseWhatsAppNumber = (input, options) => {
+  const result = parsePhone(input, options);
+  if (result.error) return result;
+  if (!WHATSAPP_TYPES.includes(result.type) && !(ALLOW_LANDLINES && result.type === 'FIXED_LINE')) {
+    return { error: `Phone number is a ${result.type.toLowerCase().replace(/_/g, ' ')} number, which cannot receive WhatsApp messages` };
+  }
+  return result;
+};
+
+/**
+ * Normalize a number to E.164 for storage and lookups. Numbers that do not parse keep their digits
+ * when they have a + (or there is no default region, so digits are read as international, like WhatsApp IDs)
+ * and a plausible length. Digits starting with 0 are a national number, not a country code, so without a
+ * region to read them in they cannot be normalized.
+ *
+ * @param {string} input - Number from a provider, a request or a stored record
+ * @param {Object} [options] - { region }
+ * @returns {string|null} - E.164 number, or null if it cannot be read
+ */
+export const normalizePhone = (input, { region } = {}) => {
+  if (!input || typeof input !== 'string') return null;
+  const cleaned = cleanInput(input);
+  const defaultCountry = (isValidRegion(region) ? region.toUpperCase() : getDefaultRegion()) || undefined;
+  try {
+    const parsed = parsePhoneNumberWithError(cleaned, defaultCountry);
+    if (parsed.isPossible()) return parsed.number;
+  } catch (error) {
+    // Fall through to the digits
+  }
+  const digits = cleaned.replace(/\D/g, '');
+  if (!/^[1-9]\d{6,14}$/.test(digits) || (defaultCountry && !cleaned.startsWith('+'))) return null;
+  return `+${digits}`;
+};
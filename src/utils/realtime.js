@@ -0,0 +1,122 @@
+// Real-time message events pushed to widget clients over Socket.IO
+import { logError, logDebug } from './logger.js';
+
+// Event names emitted to contact rooms. Treat these as a public contract with the widget.
+export const MESSAGE_EVENTS = { CREATED: 'message:new', UPDATED: 'message:updated', STATUS: 'message:status' };
+export const CONVERSATION_EVENTS = { UPDATED: 'conversation:updated' };
+// Room for inbox views that follow every conversation; joining it requires access to all contacts
+export const INBOX_ROOM = 'inbox';
+// Bump when the payload shape changes in a way clients must know about
+const SCHEMA_VERSION = 1;
+
+let broadcaster = null;
+
+/**
+ * Socket.IO room name for a contact or the inbox within a tenant, so two tenants' clients
+ * following the same contact ID never see each other's events
+ *
+ * @param {Object|string|null} tenantId - Tenant ID; null in single-tenant mode
+ * @param {string} room - Contact ID, phone number or INBOX_ROOM
+ * @returns {string}
+ */
+export const tenantRoom = (tenantId, room) => (tenantId ? `${tenantId}:${room}` : room);
+
+/**
+ * Register the function used to emit events to Socket.IO rooms.
+ * Called once from server.js with the broadcastToRoom helper returned by the socket handler.
+ *
+ * @param {Function} broadcastFn - (room, event, data) => boolean
+ */
+export const registerBroadcaster = (broadcastFn) => { broadcaster = broadcastFn; };
+
+const toPlain = (message) => (typeof message?.toObject === 'function' ? message.toObject() : message);
+
+// Strip the whatsapp: prefix so phone rooms match what clients send to `join`
+const phoneOf = (message) => {
+  const phone = message.direction === 'inbound' ? message.from : message.to;
+  return phone ? phone.replace(/^whatsapp:/, '') : null;
+};
+
+/**
+ * Rooms a message event is delivered to: the contact's room, plus the contact's phone
+ * number when the message is still keyed by something else (e.g. an unresolved inbound
+ * message that fell back to the raw phone as contactId, or a client that joined by phone).
+ */
+const roomsFor = (message) => [...new Set([message.contactId, phoneOf(message)].filter(Boolean))];
+
+const emit = (message, event, data, extraRooms = []) => {
+  if (!broadcaster) {
+    logDebug(`Realtime broadcaster not registered, dropping ${event} for ${message.contactId}`);
+    return false;
+  }
+  try {
+    const rooms = [...roomsFor(message), ...extraRooms].map(room => tenantRoom(message.tenantId, room));
+    return broadcaster(rooms, event, { event, version: SCHEMA_VERSION, contactId: message.contactId, emittedAt: new Date().toISOString(), ...data });
+  } catch (error) {
+    logError(`Failed to emit ${event} for contact ${message.contactId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Emit a `message:new` event for a freshly saved message (inbound or outbound).
+ *
+ * @param {Object} message - Message document or lean object
+ * @returns {boolean} - Whether the event was handed to Socket.IO
+ */
+export const publishMessageCreated = (message) => {
+  const data = toPlain(message);
+  if (!data) return false;
+  return emit(data, MESSAGE_EVENTS.CREATED, { message: data });
+};
+
+/**
+ * Emit a `message:updated` event when a message's content changes without a status transition
+ * (e.g. inbound media finished downloading).
+ *
+ * @param {Object} message - Message document or lean object
+ * @returns {boolean} - Whether the event was handed to Socket.IO
+ */
+export const publishMessageUpdated = (message) => {
+  const data = toPlain(message);
+  if (!data) return false;
+  return emit(data, MESSAGE_EVENTS.UPDATED, { message: data });
+};
+
+/**
+ * Emit a `message:status` event when a message transitions to a new status.
+ *
+ * @param {Object} message - Message document or lean object, already carrying the new status
+ * @param {string} [previousStatus] - Status before the transition, if known
+ * @returns {boolean} - Whether the event was handed to Socket.IO
+ */
+export const publishMessageStatus = (message, previousStatus) => {
+  const data = toPlain(message);
+  if (!data) return false;
+  return emit(data, MESSAGE_EVENTS.STATUS, {
+    messageId: data._id,
+    messageSid: data.messageSid,
+    direction: data.direction,
+    status: data.status,
+    previousStatus: previousStatus || null,
+    isRead: data.isRead || false,
+    sentAt: data.sentAt || null,
+    deliveredAt: data.deliveredAt || null,
+    readAt: data.readAt || null,
+    failedAt: data.failedAt || null,
+    error: data.errorCode ? { code: data.errorCode, message: data.errorMessage } : null
+  });
+};
+
+/**
+ * Emit a `conversation:updated` event to the contact's room and the inbox room
+ * whenever a conversation's status, assignment or latest activity changes.
+ *
+ * @param {Object} conversation - Conversation document or lean object
+ * @returns {boolean} - Whether the event was handed to Socket.IO
+ */
+export const publishConversationUpdated = (conversation) => {
+  const data = toPlain(conversation);
+  if (!data) return false;
+  return emit(data, CONVERSATION_EVENTS.UPDATED, { conversation: data }, [INBOX_ROOM]);
+};
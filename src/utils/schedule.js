@@ -0,0 +1,99 @@
+// Parsing of scheduled send times, including local times in a named time zone
+
+// How far ahead a message may be scheduled
+const MAX_SCHEDULE_DAYS = parseInt(process.env.SCHEDULE_MAX_DAYS || '30', 10);
+
+// ISO strings that carry their own offset (Z or +hh:mm) are absolute; others are local to a time zone
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Check whether a string is an IANA time zone name Node knows (e.g. 'America/New_York')
+ *
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, Number(value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an absolute Date.
+ * Times skipped by a DST change resolve to the instant after the gap.
+ *
+ * @param {string} localDateTime - e.g. '2026-03-08T09:00'
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date|null} - Absolute time, or null if the input is not a local date-time
+ */
+export const zonedTimeToDate = (localDateTime, timeZone) => {
+  const match = LOCAL_DATE_TIME.exec(localDateTime);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).filter(Boolean).map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Reject dates Date.UTC would silently roll over, such as February 30th
+  const check = new Date(asUtc);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) return null;
+  // Resolve the offset at the guessed instant, then again at the corrected instant in case DST changes between them
+  const first = asUtc - zoneOffset(asUtc, timeZone);
+  const offsetAtFirst = zoneOffset(first, timeZone);
+  const corrected = asUtc - offsetAtFirst;
+  const offsetAtCorrected = zoneOffset(corrected, timeZone);
+  if (corrected + offsetAtCorrected === asUtc) return new Date(corrected);
+  // In a DST gap no offset gives the wall time back. The offset from before the change (the smaller one)
+  // lands after the gap, e.g. 02:30 on a spring-forward night becomes 03:30.
+  return new Date(asUtc - Math.min(offsetAtFirst, offsetAtCorrected));
+};
+
+/**
+ * Parse and validate a requested send time
+ *
+ * @param {string} sendAt - ISO date-time with an offset, or a local date-time when timeZone is given
+ * @param {string} [timeZone] - IANA time zone the local time is in (e.g. the customer's)
+ * @returns {Object} - { sendAt: Date, timeZone } or { error }
+ */
+export const parseSendAt = (sendAt, timeZone) => {
+  if (typeof sendAt !== 'string' || !sendAt.trim()) {
+    return { error: 'sendAt must be an ISO date-time string' };
+  }
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return { error: `Unknown timeZone: ${timeZone}. Use an IANA name such as America/New_York` };
+  }
+
+  const value = sendAt.trim();
+  let date;
+  if (HAS_OFFSET.test(value)) {
+    date = new Date(value);
+  } else if (timeZone) {
+    date = zonedTimeToDate(value, timeZone);
+  } else {
+    return { error: 'sendAt without a UTC offset requires timeZone' };
+  }
+  if (!date || isNaN(date.getTime())) {
+    return { error: 'Invalid sendAt format. Use e.g. 2026-01-15T09:00:00Z, or 2026-01-15T09:00 with timeZone' };
+  }
+
+  const now = Date.now();
+  if (date.getTime() <= now) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (date.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `sendAt must be within ${MAX_SCHEDULE_DAYS} days` };
+  }
+  return { sendAt: date, timeZone: timeZone || undefined };
+};
@@ -0,0 +1,46 @@
+// Encryption of secrets stored in MongoDB (tenant provider credentials), with AES-256-GCM
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+// Prefix of every encrypted value, so the format can change later without guessing
+const VERSION = 'v1';
+
+// 256-bit key derived from TENANT_ENCRYPTION_KEY, any long random string
+const getKey = () => {
+  if (!process.env.TENANT_ENCRYPTION_KEY) {
+    throw new Error('TENANT_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(process.env.TENANT_ENCRYPTION_KEY).digest();
+};
+
+/**
+ * Encrypt a JSON-serialisable value
+ *
+ * @param {*} value - Value to encrypt
+ * @returns {string} - 'v1:<iv>:<auth tag>:<ciphertext>', base64url parts
+ * @throws {Error} - When TENANT_ENCRYPTION_KEY is missing
+ */
+export const encryptSecret = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ *
+ * @param {string} encrypted - Encrypted value
+ * @returns {*} - The original value
+ * @throws {Error} - When the key is missing or wrong, or the value was tampered with
+ */
+export const decryptSecret = (encrypted) => {
+  const [version, iv, tag, ciphertext] = String(encrypted).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognised encrypted secret format');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
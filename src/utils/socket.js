@@ -1,5 +1,8 @@
 // Socket.IO handler for real-time communication
 import { logInfo, logError, logWarn } from './logger.js';
+import { tenantRoom } from './realtime.js';
+import { authenticateToken, extractToken, canAccessContact } from '../middleware/auth.js';
+import { isOriginAllowedForTenant } from '../services/tenantService.js';
 
 const connectedClients = new Map();
 
@@ -7,8 +10,24 @@ export default (io) => {
   io.on('error', (error) => logError('Socket.IO server error:', error));
   io.engine.on('connection_error', (err) => logError('Socket.IO connection error:', err));
 
+  // Authenticate the handshake with the same API keys / JWTs as the REST API, including the tenant's origin check
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token || extractToken(socket.handshake.headers);
+      socket.data.auth = await authenticateToken(token);
+      const { origin } = socket.handshake.headers;
+      if (origin && socket.data.auth.tenant && !isOriginAllowedForTenant(socket.data.auth.tenant, origin)) {
+        throw new Error(`Origin ${origin} is not allowed for tenant ${socket.data.auth.tenant.slug}`);
+      }
+      next();
+    } catch (error) {
+      logWarn(`Rejected Socket.IO handshake: ${error.message}`, { socketId: socket.id, address: socket.handshake.address });
+      next(new Error('Authentication required'));
+    }
+  });
+
   io.on('connection', (socket) => {
-    const clientInfo = { id: socket.id, connectedAt: new Date(), lastActivity: new Date(), rooms: new Set() };
+    const clientInfo = { id: socket.id, subject: socket.data.auth.subject, connectedAt: new Date(), lastActivity: new Date(), rooms: new Set() };
     connectedClients.set(socket.id, clientInfo);
     logInfo(`Client connected: ${socket.id}`, { totalClients: connectedClients.size });
 
@@ -17,10 +36,12 @@ export default (io) => {
     socket.on('join', (contactId, ack) => {
       try {
         if (!contactId) throw new Error('contactId is required');
+        if (!canAccessContact(socket.data.auth, contactId)) throw new Error('Not authorized for this contact');
         clientInfo.rooms.forEach(room => socket.leave(room));
         clientInfo.rooms.clear();
-        socket.join(contactId);
-        clientInfo.rooms.add(contactId);
+        const room = tenantRoom(socket.data.auth.tenantId, contactId);
+        socket.join(room);
+        clientInfo.rooms.add(room);
         clientInfo.lastActivity = new Date();
         logInfo(`Client ${socket.id} joined room ${contactId}`, { rooms: [...clientInfo.rooms] });
         ack && ack({ success: true, room: contactId });
@@ -0,0 +1,28 @@
+// Tenant of the current request or job, carried across awaits so models can scope every query to it
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a tenant as the current context. Everything it awaits, including
+ * Mongoose hooks, sees the same tenant.
+ *
+ * @param {Object|null} tenant - Loaded tenant (see tenantService.loadTenant), or null for no tenant
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever fn returns
+ */
+export const runWithTenant = (tenant, fn) => storage.run({ tenant: tenant || null }, fn);
+
+/**
+ * The tenant the current request or job runs for
+ *
+ * @returns {Object|null} - Loaded tenant, or null outside a tenant context (single-tenant mode, system jobs)
+ */
+export const getCurrentTenant = () => storage.getStore()?.tenant || null;
+
+/**
+ * ID of the current tenant
+ *
+ * @returns {Object|null} - Tenant ObjectId
+ */
+export const getCurrentTenantId = () => getCurrentTenant()?._id || null;
@@ -0,0 +1,124 @@
+// Minimal vCard (RFC 6350 / 2.1 / 3.0) parsing and building for WhatsApp contact cards
+
+const unescapeValue = (value) => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+// Line breaks become \n; other control characters would end or corrupt the line, so they are dropped
+const escapeValue = (value) => String(value)
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\x00-\x09\x0b-\x1f\x7f]/g, '')
+  .replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// TYPE parameters written to built cards; anything else falls back to the first
+export const PHONE_TYPES = ['cell', 'work', 'home'];
+export const EMAIL_TYPES = ['internet', 'work', 'home'];
+
+// Control characters (including CR/LF) are never valid in a phone number or email address
+export const hasControlCharacters = (value) => /[\x00-\x1f\x7f]/.test(value);
+
+// Split on separators that are not backslash-escaped
+const splitUnescaped = (value, separator) => value.split(new RegExp(`(?<!\\\\)${separator}`));
+
+// Parse "TEL;TYPE=CELL;waid=123:+1 234" into { name, params, value }
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  const [rawName, ...rawParams] = line.substring(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, val] = param.split('=');
+    // vCard 2.1 allows bare types, e.g. TEL;CELL:...
+    if (val === undefined) params.type = [...(params.type || []), key.toLowerCase()];
+    else params[key.toLowerCase()] = key.toLowerCase() === 'type' ? [...(params.type || []), ...val.toLowerCase().split(',')] : val;
+  }
+  // Drop group prefixes such as item1.TEL
+  return { name: rawName.split('.').pop().toUpperCase(), params, value: line.substring(colon + 1) };
+};
+
+/**
+ * Parse vCard text into contact objects. A file may hold several cards.
+ *
+ * @param {string} text - vCard file contents
+ * @returns {Object[]} - [{ name: { formatted, first, last }, phones: [{ number, type, waId }], emails: [{ address, type }], organization }]
+ */
+export const parseVCards = (text) => {
+  // Unfold continuation lines (RFC 6350 section 3.2)
+  const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const property = parseLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      card = { name: { formatted: null, first: null, last: null }, phones: [], emails: [], organization: null };
+      continue;
+    }
+    if (!card) continue;
+
+    const type = property.params.type?.filter(value => !['pref', 'voice', 'internet'].includes(value))[0] || null;
+    switch (property.name) {
+      case 'END':
+        cards.push(card);
+        card = null;
+        break;
+      case 'FN':
+        card.name.formatted = unescapeValue(property.value);
+        break;
+      case 'N': {
+        const [last, first] = splitUnescaped(property.value, ';').map(unescapeValue);
+        card.name.last = last || null;
+        card.name.first = first || null;
+        break;
+      }
+      case 'TEL':
+        card.phones.push({ number: unescapeValue(property.value).replace(/^tel:/i, ''), type, waId: property.params.waid || null });
+        break;
+      case 'EMAIL':
+        card.emails.push({ address: unescapeValue(property.value), type });
+        break;
+      case 'ORG':
+        card.organization = splitUnescaped(property.value, ';').map(unescapeValue).filter(Boolean).join(', ') || null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  for (const parsed of cards) {
+    if (!parsed.name.formatted) {
+      parsed.name.formatted = [parsed.name.first, parsed.name.last].filter(Boolean).join(' ') || parsed.phones[0]?.number || null;
+    }
+  }
+  return cards;
+};
+
+/**
+ * Build a vCard 3.0 document for one contact
+ *
+ * @param {Object} contact - { name: { formatted, first, last } | string, phones: [{ number, type }], emails: [{ address, type }], organization }
+ * @returns {string} - vCard text with CRLF line endings
+ */
+export const buildVCard = (contact) => {
+  const name = typeof contact.name === 'string' ? { formatted: contact.name } : contact.name || {};
+  const formatted = name.formatted || [name.first, name.last].filter(Boolean).join(' ');
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeValue(name.last || '')};${escapeValue(name.first || (name.last ? '' : formatted))};;;`,
+    `FN:${escapeValue(formatted)}`
+  ];
+  if (contact.organization) lines.push(`ORG:${escapeValue(contact.organization)}`);
+  for (const phone of contact.phones || []) {
+    // WhatsApp shows a "Message" button when waid is present
+    const waId = String(phone.number).replace(/\D/g, '');
+    const type = PHONE_TYPES.includes(phone.type) ? phone.type : PHONE_TYPES[0];
+    lines.push(`TEL;TYPE=${type.toUpperCase()};waid=${waId}:${escapeValue(phone.number)}`);
+  }
+  for (const email of contact.emails || []) {
+    const type = EMAIL_TYPES.includes(email.type) ? email.type : EMAIL_TYPES[0];
+    lines.push(`EMAIL;TYPE=${type.toUpperCase()}:${escapeValue(email.address)}`);
+  }
+  lines.push('END:VCARD');
+  return `${lines.join('\r\n')}\r\n`;
+};
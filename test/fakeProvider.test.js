@@ -0,0 +1,222 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import mongoose from 'mongoose';
+
+// Drives sends and inbound webhooks through the real message and webhook routes with MESSAGING_PROVIDER=fake.
+// Needs MongoDB: MONGO_TEST_URI, or a mongod started by mongodb-memory-server; without either the
+// database tests are skipped.
+
+/**
+ * Connect to MONGO_TEST_URI, or start an in-memory MongoDB
+ *
+ * @returns {Promise<Object>} - { uri, server } or { error }
+ */
+const startDatabase = async () => {
+  if (process.env.MONGO_TEST_URI) return { uri: process.env.MONGO_TEST_URI };
+  try {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    const server = await MongoMemoryServer.create();
+    return { uri: server.getUri(), server };
+  } catch (error) {
+    return { error: error.message.split('\n')[0] };
+  }
+};
+
+const database = await startDatabase();
+const skipWithoutDatabase = database.error ? `MongoDB is not available (${database.error})` : false;
+
+// The fake provider posts its webhooks back to this server; providers read their configuration when
+// first imported, so the server listens before the routes are loaded
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+const server = await new Promise(resolve => {
+  const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+});
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+// A media file the fake provider's inbound messages link to, counting how often it is downloaded
+const photo = Buffer.alloc(64 * 1024, 7);
+let photoDownloads = 0;
+app.get('/files/photo.jpg', (req, res) => {
+  photoDownloads += 1;
+  res.type('image/jpeg').send(photo);
+});
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-provider-media-'));
+
+process.env.NODE_ENV = 'test';
+process.env.AUTH_DISABLED = 'true';
+process.env.MESSAGING_PROVIDER = 'fake';
+process.env.MESSAGING_FROM_NUMBER = '+14155550100';
+process.env.SERVICE_WINDOW_ENFORCEMENT = 'false';
+process.env.FAKE_PROVIDER_AUTO_DELIVER_MS = '0';
+process.env.FAKE_PROVIDER_WEBHOOK_SECRET = 'test-secret';
+process.env.FAKE_PROVIDER_WEBHOOK_BASE_URL = baseUrl;
+process.env.API_BASE_URL = baseUrl;
+process.env.MEDIA_STORAGE_DIR = storageDir;
+
+const { default: messageRoutes } = await import('../src/routes/messageRoutes.js');
+const { default: webhookRoutes } = await import('../src/routes/webhookRoutes.js');
+const { authenticateRequest } = await import('../src/middleware/auth.js');
+const { registerBroadcaster, MESSAGE_EVENTS } = await import('../src/utils/realtime.js');
+const { resolveSender } = await import('../src/providers/index.js');
+const { default: Message } = await import('../src/models/Message.js');
+const { default: Conversation } = await import('../src/models/Conversation.js');
+const { default: Media } = await import('../src/models/Media.js');
+const { downloadInboundMedia } = await import('../src/services/inboundMedia.js');
+
+app.use('/api/messages', authenticateRequest, messageRoutes);
+app.use('/webhook', webhookRoutes);
+
+// Realtime events the routes publish, as Socket.IO would broadcast them
+const events = [];
+registerBroadcaster((rooms, event, payload) => events.push({ event, payload }));
+
+if (!database.error) {
+  await mongoose.connect(database.uri, { dbName: `fake_provider_test_${process.pid}` });
+}
+
+// The sender a send without a from goes out from
+const { from, provider } = resolveSender();
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  if (!database.error) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  await database.server?.stop();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+/**
+ * Poll until a check returns a value, for work the routes finish in the background
+ *
+ * @param {Function} check - async () => value or null
+ * @returns {Promise<*>} - The first value returned
+ */
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+test('MESSAGING_PROVIDER=fake serves the default sender', () => {
+  assert.equal(from, '+14155550100');
+  assert.equal(provider.name, 'fake');
+});
+
+test('a failed send throws a retryable error', async () => {
+  provider.failNextSend({ code: 20429, status: 429, message: 'Too many requests' });
+  await assert.rejects(provider.send({ _id: 'message-1', from, to: '+971501234567', message: 'Hi' }), (error) => {
+    assert.equal(error.code, 20429);
+    assert.equal(provider.isRetryableError(error), true);
+    return true;
+  });
+});
+
+test('a message sent through the API is delivered by the fake provider and its status callbacks applied', { skip: skipWithoutDatabase }, async () => {
+  const response = await fetch(`${baseUrl}/api/messages/send-message`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contactId: '+971501234567', to: '+971 50 123 4567', body: 'Your order has shipped' })
+  });
+  assert.equal(response.status, 202);
+  const { data } = await response.json();
+  assert.equal(data.to, 'whatsapp:+971501234567');
+
+  // The queue worker sends it and stores the provider's SID
+  const sent = await waitFor(async () => {
+    const message = await Message.findById(data.messageId).lean();
+    return message?.status === 'sent' ? message : null;
+  });
+  assert.equal(sent.provider, 'fake');
+  assert.ok(sent.conversationId);
+  const [record] = provider.listSent({ to: '+971501234567' });
+  assert.equal(record.sid, sent.messageSid);
+  assert.equal(record.from, 'whatsapp:+14155550100');
+  assert.equal(record.body, 'Your order has shipped');
+
+  const delivered = await provider.simulateStatus(sent.messageSid, 'delivered');
+  assert.equal(delivered.webhookStatus, 204);
+  assert.equal((await Message.findById(data.messageId).lean()).status, 'delivered');
+  assert.ok(events.some(({ event, payload }) => event === MESSAGE_EVENTS.STATUS && payload.status === 'delivered'));
+
+  // A late 'sent' callback does not move the message back
+  await provider.simulateStatus(sent.messageSid, 'sent');
+  assert.equal((await Message.findById(data.messageId).lean()).status, 'delivered');
+});
+
+test('an inbound message is saved and threaded into one conversation', { skip: skipWithoutDatabase }, async () => {
+  const first = await provider.simulateInbound({ from: '+971501234568', body: 'Where is my order?', profileName: 'Layla' });
+  assert.equal(first.webhookStatus, 204);
+
+  const message = await Message.findOne({ messageSid: first.messageSid }).lean();
+  assert.equal(message.direction, 'inbound');
+  assert.equal(message.status, 'received');
+  assert.equal(message.provider, 'fake');
+  assert.equal(message.from, '+971501234568');
+  assert.equal(message.to, '+14155550100');
+  assert.equal(message.contactId, '+971501234568');
+  assert.equal(message.message, 'Where is my order?');
+
+  const second = await provider.simulateInbound({ from: '+971501234568', body: 'Any update?' });
+  const reply = await Message.findOne({ messageSid: second.messageSid }).lean();
+  assert.equal(String(reply.conversationId), String(message.conversationId));
+
+  const conversation = await Conversation.findById(message.conversationId).lean();
+  assert.equal(conversation.status, 'open');
+  assert.equal(conversation.unreadCount, 2);
+  assert.equal(conversation.contactName, 'Layla');
+});
+
+test('an inbound webhook without the fake provider secret is refused', { skip: skipWithoutDatabase }, async () => {
+  const response = await fetch(`${baseUrl}/webhook/incoming`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ MessageSid: 'SMunsigned', From: 'whatsapp:+971501234569', To: 'whatsapp:+14155550100', Body: 'Hi' })
+  });
+  assert.equal(response.status, 403);
+  assert.equal(await Message.exists({ messageSid: 'SMunsigned' }), null);
+});
+
+test('marking messages read publishes a status event for each', { skip: skipWithoutDatabase }, async () => {
+  const inbound = await provider.simulateInbound({ from: '+971501234570', body: 'Hello' });
+  const message = await Message.findOne({ messageSid: inbound.messageSid }).lean();
+
+  const response = await fetch(`${baseUrl}/api/messages/read`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contactId: message.contactId })
+  });
+  assert.equal(response.status, 200);
+  const event = events.find(({ event, payload }) => event === MESSAGE_EVENTS.STATUS && String(payload.messageId) === String(message._id));
+  assert.equal(event.payload.status, 'read');
+  assert.equal(event.payload.previousStatus, 'received');
+  assert.equal(event.payload.isRead, true);
+});
+
+test('inbound media is downloaded once however many callers ask for it', { skip: skipWithoutDatabase }, async () => {
+  const inbound = await provider.simulateInbound({ from: '+971501234571', media: [{ url: `${baseUrl}/files/photo.jpg`, contentType: 'image/jpeg' }] });
+  const { _id: messageId } = await Message.findOne({ messageSid: inbound.messageSid }).lean();
+
+  // The webhook already started a download in the background; media views ask for it at the same time
+  await Promise.all([downloadInboundMedia(messageId), downloadInboundMedia(messageId)]);
+  const message = await waitFor(async () => {
+    const current = await Message.findById(messageId).lean();
+    return current.media[0].status === 'stored' ? current : null;
+  });
+
+  assert.equal(photoDownloads, 1);
+  assert.equal(await Media.countDocuments({ checksum: message.media[0].checksum }), 1);
+  assert.equal(message.media[0].size, photo.length);
+  assert.equal(message.media[0].lockedAt, undefined);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone } from '../src/utils/phone.js';
+
+test('normalizePhone reads international numbers with or without a +', () => {
+  assert.equal(normalizePhone('whatsapp:+971 50 123 4567'), '+971501234567');
+  assert.equal(normalizePhone('971501234567'), '+971501234567');
+  assert.equal(normalizePhone('00971501234567'), '+971501234567');
+});
+
+test('normalizePhone reads national numbers only in a region', () => {
+  assert.equal(normalizePhone('0501234567', { region: 'AE' }), '+971501234567');
+  // No country code starts with 0, so without a region the number cannot be normalized
+  assert.equal(normalizePhone('0501234567'), null);
+  assert.equal(normalizePhone('+0501234567'), null);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToDate, parseSendAt } from '../src/utils/schedule.js';
+
+test('zonedTimeToDate converts a local time using the zone offset in effect', () => {
+  assert.equal(zonedTimeToDate('2026-01-15T09:00', 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToDate('2026-07-15T09:00', 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.equal(zonedTimeToDate('2026-07-15T09:00:30', 'Asia/Dubai').toISOString(), '2026-07-15T05:00:30.000Z');
+});
+
+test('zonedTimeToDate moves a time skipped by spring-forward to after the gap', () => {
+  // 02:30 does not exist on 2026-03-08 in New York; 03:30 EDT is 07:30Z
+  assert.equal(zonedTimeToDate('2026-03-08T02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(zonedTimeToDate('2026-03-29T01:30', 'Europe/London').toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.equal(zonedTimeToDate('2026-10-04T02:30', 'Australia/Sydney').toISOString(), '2026-10-03T16:30:00.000Z');
+});
+
+test('zonedTimeToDate resolves an ambiguous fall-back time to its first occurrence', () => {
+  assert.equal(zonedTimeToDate('2026-11-01T01:30', 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('zonedTimeToDate rejects dates that do not exist', () => {
+  assert.equal(zonedTimeToDate('2026-02-30T09:00', 'America/New_York'), null);
+  assert.equal(zonedTimeToDate('2026-02-10T24:00', 'America/New_York'), null);
+  assert.equal(zonedTimeToDate('tomorrow', 'America/New_York'), null);
+});
+
+test('parseSendAt rejects unknown time zones', () => {
+  assert.match(parseSendAt('2030-01-01T09:00', 'Mars/Olympus').error, /Unknown timeZone/);
+});
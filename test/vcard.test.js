@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildVCard, parseVCards } from '../src/utils/vcard.js';
+import { buildContactCard } from '../src/services/structuredMessageService.js';
+
+test('buildVCard escapes numbers and addresses so they cannot add properties', () => {
+  const text = buildVCard({
+    name: 'Layla',
+    phones: [{ number: '+971501234567\r\nEMAIL:attacker@example.com', type: 'cell' }],
+    emails: [{ address: 'layla@example.com;x', type: 'work' }]
+  });
+  const lines = text.split('\r\n');
+  assert.equal(lines.filter(line => line.startsWith('EMAIL')).length, 1);
+  assert.ok(lines.includes('TEL;TYPE=CELL;waid=971501234567:+971501234567\\nEMAIL:attacker@example.com'));
+  assert.ok(lines.includes('EMAIL;TYPE=WORK:layla@example.com\\;x'));
+});
+
+test('buildVCard writes only known types', () => {
+  const text = buildVCard({ name: 'Layla', phones: [{ number: '+971501234567', type: 'cell:x\r\nNOTE' }], emails: [] });
+  assert.ok(text.includes('TEL;TYPE=CELL;waid=971501234567:+971501234567\r\n'));
+  assert.ok(!text.includes('NOTE'));
+});
+
+test('a built card parses back to the same contact', () => {
+  const [card] = parseVCards(buildVCard({ name: 'Layla', phones: [{ number: '+971 50 123 4567', type: 'work' }], emails: [{ address: 'a,b@example.com', type: 'home' }] }));
+  assert.deepEqual(card.phones, [{ number: '+971 50 123 4567', type: 'work', waId: '971501234567' }]);
+  assert.deepEqual(card.emails, [{ address: 'a,b@example.com', type: 'home' }]);
+});
+
+test('buildContactCard rejects control characters and unknown types', () => {
+  assert.match(buildContactCard({ contact: { name: 'Layla', phones: ['+971501234567\nNOTE:x'] } }).error, /control characters/);
+  assert.match(buildContactCard({ contact: { name: 'Layla', phones: [{ number: '+971501234567', type: 'cell;x' }] } }).error, /type must be one of/);
+  assert.match(buildContactCard({ contact: { name: 'Layla', phones: ['+971501234567'], emails: [{ address: 'a@example.com', type: 'pager' }] } }).error, /type must be one of/);
+  assert.equal(buildContactCard({ contact: { name: 'Layla', phones: ['+971501234567'] } }).value.phones[0].type, 'cell');
+});